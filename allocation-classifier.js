@@ -0,0 +1,200 @@
+/**
+ * Allocation Classifier
+ *
+ * Assigns an OCR invoice, ledger invoice or payroll journal to one of the ARPA
+ * allocations of arpa-allocations.json using the rules listed there. Every
+ * rule that matches is collected:
+ * - rules that agree on one allocation classify the record, their
+ *   descriptions becoming the reason
+ * - a matching rule whose allocation is null sends the record to review
+ * - rules that name different allocations, or no matching rule at all, leave
+ *   the record Unclassified
+ *
+ * Rule format:
+ *   {
+ *     "id": "strobel-depaul-usa",                    unique, used in stamps
+ *     "allocation": "strobel-center",                allocation ID, or null for review
+ *     "description": "Depaul USA operates ...",      the stamp's reason
+ *     "match": { ... }                               all conditions must hold
+ *   }
+ *
+ * Match conditions:
+ *   vendor_guids    ["v-005-depaul-usa"]   vendors.json GUID of the record
+ *   business_units  ["53902028"]           business unit segment
+ *   object_codes    ["502363"]             object code segment
+ *   sub_accounts    ["R240490"]            project (sub-account) segment
+ *   gl_account      "^53902028\\."         regex tested against the GL account string
+ *   contracts       ["RS2025-974"]         contract numbers and resolutions the record
+ *                                          or its vendor's registry entry references
+ *
+ * Segments are decoded by gl-account.js from the journal's gl_account_string
+ * or the OCR bu_code, filled in from the ledger's own columns.
+ *
+ * Node:    const { loadAllocationRules, classifyAllocation } = require('./allocation-classifier');
+ * Browser: <script src="allocation-classifier.js"></script> exposes window.AllocationClassifier
+ *          (load gl-account.js first)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gl-account'));
+  } else {
+    root.AllocationClassifier = factory(root.GlAccount);
+  }
+})(typeof self !== 'undefined' ? self : this, function (GlAccount) {
+  'use strict';
+
+  const { glAccountOf } = GlAccount;
+
+  const MATCH_KEYS = ['vendor_guids', 'business_units', 'object_codes', 'sub_accounts', 'gl_account', 'contracts'];
+  const UNCLASSIFIED = 'Unclassified';
+  // Metro contract numbers and Council resolutions, e.g. "L-6426 / RS2025-974"
+  const CONTRACT_PATTERN = /\bL-\d{4,5}\b/g;
+  const RESOLUTION_PATTERN = /\bRS\d{4}-\d{2,4}\b/g;
+
+  // ==================== RULES ====================
+  function compileRule(rule, index, allocations) {
+    const id = rule.id || `rule-${index + 1}`;
+    const match = rule.match || {};
+    const keys = Object.keys(match);
+
+    keys.forEach(key => {
+      if (!MATCH_KEYS.includes(key)) {
+        throw new Error(`Allocation rule "${id}": unknown match condition "${key}"`);
+      }
+    });
+    if (keys.length === 0) {
+      throw new Error(`Allocation rule "${id}": needs at least one match condition`);
+    }
+    if (rule.allocation === undefined || (rule.allocation !== null && !allocations.has(rule.allocation))) {
+      throw new Error(`Allocation rule "${id}": unknown allocation "${rule.allocation}"`);
+    }
+
+    const listOf = key => match[key] ? new Set(match[key].map(String)) : null;
+    return {
+      id,
+      allocation: rule.allocation,
+      description: rule.description || id,
+      vendorGuids: listOf('vendor_guids'),
+      businessUnits: listOf('business_units'),
+      objectCodes: listOf('object_codes'),
+      subAccounts: listOf('sub_accounts'),
+      glAccount: match.gl_account ? new RegExp(match.gl_account) : null,
+      contracts: listOf('contracts')
+    };
+  }
+
+  /**
+   * Compile the allocations and rules of an arpa-allocations.json object;
+   * glReference (gl-account.js createGlReference) decodes account strings.
+   * Throws with the offending rule id on an unknown condition or allocation.
+   */
+  function loadAllocationRules(config, glReference) {
+    const allocations = new Map(config.allocations.map(allocation => [allocation.id, allocation]));
+    const rules = (config.rules || []).map((rule, index) => compileRule(rule, index, allocations));
+
+    const seen = new Set();
+    rules.forEach(rule => {
+      if (seen.has(rule.id)) {
+        throw new Error(`Duplicate allocation rule id "${rule.id}"`);
+      }
+      seen.add(rule.id);
+    });
+
+    return { allocations, rules, glReference };
+  }
+
+  // ==================== RECORD FEATURES ====================
+  /**
+   * Decoded GL account of a record (gl-account.js glAccountOf)
+   */
+  function accountOf(record, ruleSet) {
+    return glAccountOf(record, ruleSet.glReference);
+  }
+
+  /**
+   * Contract numbers and resolutions named by the record's invoice number,
+   * description or reference numbers, or by its vendor's registry entry
+   */
+  function contractsOf(record, vendor) {
+    const refs = new Set();
+    const text = [record.invoice_number, record.service_description, ...(record.reference_numbers || [])]
+      .filter(Boolean).join(' ');
+    (text.match(CONTRACT_PATTERN) || []).forEach(ref => refs.add(ref));
+    (text.match(RESOLUTION_PATTERN) || []).forEach(ref => refs.add(ref));
+    ((vendor && vendor.contracts) || []).forEach(contract => {
+      if (contract.number) refs.add(contract.number);
+      if (contract.resolution) refs.add(contract.resolution);
+    });
+    return refs;
+  }
+
+  function ruleMatches(rule, features) {
+    const { account, vendorGuid, contracts } = features;
+    if (rule.vendorGuids && !rule.vendorGuids.has(vendorGuid)) return false;
+    if (rule.businessUnits && !rule.businessUnits.has(account.segments.business_unit)) return false;
+    if (rule.objectCodes && !rule.objectCodes.has(account.segments.object_code)) return false;
+    if (rule.subAccounts && !rule.subAccounts.has(account.segments.project)) return false;
+    if (rule.glAccount && !(account.gl_account && rule.glAccount.test(account.gl_account))) return false;
+    if (rule.contracts && ![...rule.contracts].some(ref => contracts.has(ref))) return false;
+    return true;
+  }
+
+  // ==================== CLASSIFICATION ====================
+  function describeFeatures({ account, vendor }) {
+    const parts = [];
+    if (account.gl_account) parts.push(`GL ${account.gl_account}`);
+    else if (account.segments.object_code) parts.push(`object code ${account.segments.object_code}`);
+    if (vendor) parts.push(`vendor ${vendor.display_name}`);
+    return parts.length > 0 ? parts.join(', ') : 'no GL account or vendor';
+  }
+
+  /**
+   * Classify one record.
+   * @param {Object} record - OCR invoice, ledger invoice or journal
+   * @param {Object} ruleSet - result of loadAllocationRules()
+   * @param {Object|null} vendor - the record's vendors.json entry
+   * @returns {{ id: string|null, name: string, reason: string, rules: string[] }}
+   *   id is null when the record is Unclassified and needs review
+   */
+  function classifyAllocation(record, ruleSet, vendor) {
+    const features = {
+      account: accountOf(record, ruleSet),
+      vendor,
+      vendorGuid: record.vendor_guid || (vendor && vendor.guid) || null,
+      contracts: contractsOf(record, vendor)
+    };
+    const matched = ruleSet.rules.filter(rule => ruleMatches(rule, features));
+    const unclassified = (reason, rules) => ({ id: null, name: UNCLASSIFIED, reason, rules: rules.map(rule => rule.id) });
+
+    if (matched.length === 0) {
+      return unclassified(`No allocation rule matches (${describeFeatures(features)})`, []);
+    }
+    const review = matched.filter(rule => rule.allocation === null);
+    if (review.length > 0) {
+      return unclassified(review.map(rule => rule.description).join('; '), matched);
+    }
+    const ids = [...new Set(matched.map(rule => rule.allocation))];
+    if (ids.length > 1) {
+      const claims = ids.map(id => {
+        const claimedBy = matched.filter(rule => rule.allocation === id).map(rule => rule.id);
+        return `${ruleSet.allocations.get(id).name} (${claimedBy.join(', ')})`;
+      });
+      return unclassified(`Rules disagree: ${claims.join(' vs ')}`, matched);
+    }
+    return {
+      id: ids[0],
+      name: ruleSet.allocations.get(ids[0]).name,
+      reason: matched.map(rule => rule.description).join('; '),
+      rules: matched.map(rule => rule.id)
+    };
+  }
+
+  return {
+    UNCLASSIFIED,
+    loadAllocationRules,
+    accountOf,
+    contractsOf,
+    classifyAllocation
+  };
+});
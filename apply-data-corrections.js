@@ -7,112 +7,113 @@
  * 2. Split reused invoice numbers (9700274853, 9700283386)
  * 3. Replace placeholder invoice numbers ("INV")
  * 4. Consolidate duplicate vendor IDs
- * 5. Normalize variant vendor/property names
+ * 5. Normalize variant vendor/property names (vendor IDs and names come from
+ *    the registry, vendors.json: alternate IDs and aliases map to the vendor's
+ *    ID and display name)
  * 6. Fill missing invoice numbers
- * 7. Correct invoice types for lodging vendors (RENTAL → HOTEL)
+ * 7. Correct invoice types for lodging vendors (registry category "lodging": RENTAL → HOTEL)
  * 8. Remove zero-amount records with null/empty vendor
  * 9. Deduplicate invoices (remove exact duplicates based on invoice_number + vendor + date + amount)
+ *
+ * Every field change and removed record is written to the run's change journal
+ * (see change-journal.js) with the name of the correction that made it.
  */
 
 const fs = require('fs');
 const path = require('path');
-
-const BASE_DIR = __dirname;
+const { createChangeJournal, summarizeByRule } = require('./change-journal');
+const { readVendorRegistry } = require('./data-access');
 
 // Load JSON files
-function loadJSON(filename) {
-  const filepath = path.join(BASE_DIR, filename);
+function loadJSON(filepath) {
   const content = fs.readFileSync(filepath, 'utf-8');
   return JSON.parse(content);
 }
 
 // Save JSON files
-function saveJSON(filename, data) {
-  const filepath = path.join(BASE_DIR, filename);
+function saveJSON(filepath, data) {
   fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-  console.log(`Saved: ${filename}`);
+  console.log(`Saved: ${path.basename(filepath)}`);
 }
 
-// Vendor ID mappings (canonical IDs)
-const VENDOR_ID_MAPPINGS = {
-  // Gordon Food Service: use 12122 as canonical
-  '722605697': '12122',
-  // Randstad: use 19083 as canonical
-  '51022': '19083'
-};
-
-// Vendor name standardizations
-const VENDOR_NAME_MAPPINGS = {
-  // Gordon Food Service
-  'Gordon Food Service Store': 'Gordon Food Service Inc.',
-  'Gordon Food Service Inc.': 'Gordon Food Service Inc.',
-  '"Gordon Food Service, Inc."': 'Gordon Food Service Inc.',
+// Track changes for reporting
+function createChangeLog() {
+  return {
+    vendorNameChanges: 0,
+    vendorIdChanges: 0,
+    invoiceNumberSplits: 0,
+    placeholdersFilled: 0,
+    missingInvoicesFilled: 0,
+    zeroRecordsRemoved: 0,
+    contractsUnlinked: 0,
+    invoiceTypeCorrections: 0,
+    duplicatesRemoved: 0
+  };
+}
 
-  // The Ave / Castello Equity Partners
-  'The Ave': 'The Ave (Castello Equity Partners)',
-  'Castello Equity Partners': 'The Ave (Castello Equity Partners)',
-  'The Ave Nashville LLC': 'The Ave (Castello Equity Partners)',
-  'THE AVE NASHVILLE LLC': 'The Ave (Castello Equity Partners)',
+let changeLog = createChangeLog();
 
-  // Hillside Crossing
-  'Hillside Crossing LLC': 'Hillside Crossing Hotel',
-  'HILLSIDE CROSSING LLC': 'Hillside Crossing Hotel',
-  'Hillside Crossing Hotel': 'Hillside Crossing Hotel',
+// Track removed duplicates for reporting
+let removedDuplicates = [];
 
-  // RJ Young
-  'RJ Young': 'RJ Young',
-  'R.J. Young': 'RJ Young',
-  'Robert J Young Company': 'RJ Young',
-  'RJ Young Company LLC': 'RJ Young',
+// Field-level audit trail, replaced per run by main()
+let journal = createChangeJournal();
 
-  // Randstad
-  'Randstad North America Inc dba Randstad USA LLC': 'Randstad',
-  'Randstad': 'Randstad',
+// Vendor registry (vendors.json), loaded per run by main()
+let vendors = null;
 
-  // ESA / Extended Stay America
-  'ESA Management L.L.C.': 'Extended Stay America',
-  'ESA MANAGEMENT LLC': 'Extended Stay America',
-  'Extended Stay America': 'Extended Stay America',
+/**
+ * Set a field and record the change in the journal
+ * @param {Object} target - { file, path } locating the record in its artifact
+ */
+function setField(target, inv, field, value, rule) {
+  journal.record({ ...target, record: inv }, field, inv[field], value, rule);
+  inv[field] = value;
+}
 
-  // Greenview Studios
-  'Greenview Studios': 'Greenview Studios LLC',
-  'Greenview Studios, LLC': 'Greenview Studios LLC',
+/**
+ * Append a note to meta_notes; the journal records the added note as new_value
+ */
+function addNote(target, inv, note, rule, onlyOnce = false) {
+  inv.meta_notes = inv.meta_notes || [];
+  if (onlyOnce && inv.meta_notes.includes(note)) return;
+  journal.record({ ...target, record: inv }, 'meta_notes', null, note, rule);
+  inv.meta_notes.push(note);
+}
 
-  // 97 Wallace Studios
-  '97 Wallace Studios': '97 Wallace Studios LLC',
-  '97 Wallace Studios, LLC': '97 Wallace Studios LLC',
+/**
+ * Record the removal of a whole record; old_value keeps the removed record
+ */
+function recordRemoval(target, inv, rule) {
+  journal.record({ ...target, record: inv }, '*', inv, null, rule);
+}
 
-  // Highland East
-  'Highland East': 'Highland East Apartments',
-  'HIGHLAND EAST APARTMENTS': 'Highland East Apartments',
-  'Highland East Apartments': 'Highland East Apartments',
-};
+/**
+ * Mark a split invoice as no longer merged with the others that shared its number
+ */
+function unlinkMergeInfo(target, inv) {
+  const info = inv.merge_info;
+  const rule = 'split-reused-invoice-number';
+  journal.record({ ...target, record: inv }, 'merge_info.was_merged', info.was_merged, false, rule);
+  journal.record({ ...target, record: inv }, 'merge_info.merge_reasoning', info.merge_reasoning, 'Split from merged duplicates', rule);
+  info.was_merged = false;
+  info.merge_reasoning = 'Split from merged duplicates';
+}
 
-// Track changes for reporting
-let changeLog = {
-  vendorNameChanges: 0,
-  vendorIdChanges: 0,
-  invoiceNumberSplits: 0,
-  placeholdersFilled: 0,
-  missingInvoicesFilled: 0,
-  zeroRecordsRemoved: 0,
-  contractsUnlinked: 0,
-  invoiceTypeCorrections: 0,
-  duplicatesRemoved: 0
-};
+const OCR_FILE = { file: 'ocr-invoices.json' };
+const LEDGER_FILE = { file: 'ledger-invoices.json' };
 
-// Track removed duplicates for reporting
-let removedDuplicates = [];
+function mergedTarget(recordPath) {
+  return { file: 'merged-data.json', path: recordPath };
+}
 
-// Vendor IDs that are lodging/hotel vendors (should use HOTEL type, not RENTAL)
-const LODGING_VENDOR_IDS = [
-  '1021245',  // Hillside Crossing Hotel
-  '1020857',  // Extended Stay America / ESA Management
-  '1018405',  // The Ave Nashville
-  '1018278',  // 97 Wallace Studios
-  '1024315',  // Greenview Studios
-  '1023472'   // Highland East Apartments
-];
+/**
+ * Lodging/hotel vendors (registry category "lodging") should use HOTEL type, not RENTAL
+ */
+function isLodgingVendor(inv) {
+  const vendor = vendors.resolve(inv.vendor_name, inv.vendor_id);
+  return !!vendor && vendor.category === 'lodging';
+}
 
 /**
  * Create a fingerprint for an invoice to identify duplicates
@@ -155,6 +156,7 @@ function deduplicateInvoices(invoices) {
         // Replace existing with current, mark existing as duplicate
         duplicateIndices.add(existing.index);
         seen.set(fingerprint, { index: idx, invoice: inv });
+        recordRemoval(OCR_FILE, existing.invoice, 'remove-duplicate');
 
         removedDuplicates.push({
           invoice_number: existing.invoice.invoice_number,
@@ -167,6 +169,7 @@ function deduplicateInvoices(invoices) {
       } else {
         // Mark current as duplicate
         duplicateIndices.add(idx);
+        recordRemoval(OCR_FILE, inv, 'remove-duplicate');
 
         removedDuplicates.push({
           invoice_number: inv.invoice_number,
@@ -188,6 +191,23 @@ function deduplicateInvoices(invoices) {
   return invoices.filter((_, idx) => !duplicateIndices.has(idx));
 }
 
+// Variant property names -> canonical names
+const PROPERTY_NAME_MAPPINGS = {
+  'Greenview Studios': 'Greenview Studios LLC',
+  'Greenview Studios, LLC': 'Greenview Studios LLC',
+  '97 Wallace Studios': '97 Wallace Studios LLC',
+  '97 Wallace Studios, LLC': '97 Wallace Studios LLC',
+  'Highland East': 'Highland East Apartments',
+  'Hillside Crossing LLC': 'Hillside Crossing Hotel',
+  'ESA Suites - Nashville - Airport - Music City': 'ESA Suites Nashville Airport Music City'
+};
+
+function normalizePropertyName(target, inv) {
+  if (inv.property_name && PROPERTY_NAME_MAPPINGS[inv.property_name]) {
+    setField(target, inv, 'property_name', PROPERTY_NAME_MAPPINGS[inv.property_name], 'normalize-property-name');
+  }
+}
+
 /**
  * Process OCR invoices
  */
@@ -215,7 +235,7 @@ function processOcrInvoices(data) {
         inv.invoice_number?.startsWith('RS2025-974') ||
         (inv.service_description && inv.service_description.includes('RS2025-974'))) {
       // Mark for removal - these are contract documents, not invoices
-      toRemove.push(idx);
+      toRemove.push({ index: idx, rule: 'remove-contract-reference' });
       changeLog.contractsUnlinked++;
     }
 
@@ -223,28 +243,24 @@ function processOcrInvoices(data) {
     if (inv.invoice_number === '9700274853') {
       // Create unique invoice number based on service period or invoice date
       const dateStr = inv.service_start || inv.invoice_date || `PAGE${inv.meta_source_page || idx}`;
-      inv.invoice_number = `ESA-9700274853-${dateStr.replace(/-/g, '')}`;
-      inv.meta_notes = inv.meta_notes || [];
-      inv.meta_notes.push('Original invoice number 9700274853 - split due to duplicate');
+      setField(OCR_FILE, inv, 'invoice_number', `ESA-9700274853-${dateStr.replace(/-/g, '')}`, 'split-reused-invoice-number');
+      addNote(OCR_FILE, inv, 'Original invoice number 9700274853 - split due to duplicate', 'split-reused-invoice-number');
       changeLog.invoiceNumberSplits++;
       // Clear merge_info to unlink from other invoices
       if (inv.merge_info) {
-        inv.merge_info.was_merged = false;
-        inv.merge_info.merge_reasoning = 'Split from merged duplicates';
+        unlinkMergeInfo(OCR_FILE, inv);
       }
     }
 
     if (inv.invoice_number === '9700283386') {
       // Create unique invoice number based on service period or invoice date
       const dateStr = inv.service_start || inv.invoice_date || `PAGE${inv.meta_source_page || idx}`;
-      inv.invoice_number = `ESA-9700283386-${dateStr.replace(/-/g, '')}`;
-      inv.meta_notes = inv.meta_notes || [];
-      inv.meta_notes.push('Original invoice number 9700283386 - split due to duplicate');
+      setField(OCR_FILE, inv, 'invoice_number', `ESA-9700283386-${dateStr.replace(/-/g, '')}`, 'split-reused-invoice-number');
+      addNote(OCR_FILE, inv, 'Original invoice number 9700283386 - split due to duplicate', 'split-reused-invoice-number');
       changeLog.invoiceNumberSplits++;
       // Clear merge_info
       if (inv.merge_info) {
-        inv.merge_info.was_merged = false;
-        inv.merge_info.merge_reasoning = 'Split from merged duplicates';
+        unlinkMergeInfo(OCR_FILE, inv);
       }
     }
 
@@ -254,32 +270,21 @@ function processOcrInvoices(data) {
       const vendorPrefix = inv.vendor_name ?
         inv.vendor_name.substring(0, 3).toUpperCase().replace(/[^A-Z]/g, 'X') : 'UNK';
       const dateStr = inv.service_start || inv.invoice_date || '2024-01-01';
-      inv.invoice_number = `${vendorPrefix}-${dateStr.replace(/-/g, '')}-${idx}`;
-      inv.meta_notes = inv.meta_notes || [];
-      inv.meta_notes.push('Generated invoice number - original was placeholder "INV"');
+      setField(OCR_FILE, inv, 'invoice_number', `${vendorPrefix}-${dateStr.replace(/-/g, '')}-${idx}`, 'replace-placeholder-invoice-number');
+      addNote(OCR_FILE, inv, 'Generated invoice number - original was placeholder "INV"', 'replace-placeholder-invoice-number');
       changeLog.placeholdersFilled++;
     }
 
-    // 4. Consolidate vendor IDs
-    if (inv.vendor_id && VENDOR_ID_MAPPINGS[inv.vendor_id]) {
-      inv.vendor_id = VENDOR_ID_MAPPINGS[inv.vendor_id];
-      changeLog.vendorIdChanges++;
-    }
-
-    // 5. Normalize vendor names
-    if (inv.vendor_name && VENDOR_NAME_MAPPINGS[inv.vendor_name]) {
-      inv.vendor_name = VENDOR_NAME_MAPPINGS[inv.vendor_name];
-      changeLog.vendorNameChanges++;
-    }
+    // 4-5. Consolidate vendor IDs and normalize vendor names
+    countVendorChanges(consolidateVendor(OCR_FILE, inv));
 
     // 6. Fill missing invoice numbers
     if (!inv.invoice_number || inv.invoice_number === null || inv.invoice_number === '') {
       const vendorPrefix = inv.vendor_name ?
         inv.vendor_name.substring(0, 4).toUpperCase().replace(/[^A-Z]/g, 'X') : 'UNKN';
       const dateStr = inv.service_start || inv.invoice_date || '2024-01-01';
-      inv.invoice_number = `${vendorPrefix}-MISSING-${dateStr.replace(/-/g, '')}-${idx}`;
-      inv.meta_notes = inv.meta_notes || [];
-      inv.meta_notes.push('Generated invoice number - original was missing');
+      setField(OCR_FILE, inv, 'invoice_number', `${vendorPrefix}-MISSING-${dateStr.replace(/-/g, '')}-${idx}`, 'fill-missing-invoice-number');
+      addNote(OCR_FILE, inv, 'Generated invoice number - original was missing', 'fill-missing-invoice-number');
       changeLog.missingInvoicesFilled++;
     }
 
@@ -287,37 +292,25 @@ function processOcrInvoices(data) {
     if (inv.invoice_total === 0 &&
         (!inv.vendor_name || inv.vendor_name === null || inv.vendor_name === '' || inv.vendor_name === 'N/A') &&
         (!inv.invoice_number || inv.invoice_number === null || inv.invoice_number === '' || inv.invoice_number === 'N/A')) {
-      toRemove.push(idx);
+      toRemove.push({ index: idx, rule: 'remove-zero-amount-record' });
     }
 
     // Normalize property names
-    if (inv.property_name) {
-      if (inv.property_name === 'Greenview Studios') inv.property_name = 'Greenview Studios LLC';
-      if (inv.property_name === 'Greenview Studios, LLC') inv.property_name = 'Greenview Studios LLC';
-      if (inv.property_name === '97 Wallace Studios') inv.property_name = '97 Wallace Studios LLC';
-      if (inv.property_name === '97 Wallace Studios, LLC') inv.property_name = '97 Wallace Studios LLC';
-      if (inv.property_name === 'Highland East') inv.property_name = 'Highland East Apartments';
-      if (inv.property_name === 'Hillside Crossing LLC') inv.property_name = 'Hillside Crossing Hotel';
-      if (inv.property_name === 'ESA Suites - Nashville - Airport - Music City') {
-        inv.property_name = 'ESA Suites Nashville Airport Music City';
-      }
-    }
+    normalizePropertyName(OCR_FILE, inv);
 
     // 8. Correct invoice types for lodging vendors (RENTAL -> HOTEL)
     // Lodging vendors should use HOTEL type, not RENTAL, unless it's a CONTRACT
-    if (inv.meta_invoice_type === 'RENTAL' && LODGING_VENDOR_IDS.includes(inv.vendor_id)) {
-      inv.meta_invoice_type = 'HOTEL';
-      inv.meta_notes = inv.meta_notes || [];
-      if (!inv.meta_notes.includes('Type corrected: RENTAL → HOTEL (lodging vendor)')) {
-        inv.meta_notes.push('Type corrected: RENTAL → HOTEL (lodging vendor)');
-      }
+    if (inv.meta_invoice_type === 'RENTAL' && isLodgingVendor(inv)) {
+      setField(OCR_FILE, inv, 'meta_invoice_type', 'HOTEL', 'lodging-type-correction');
+      addNote(OCR_FILE, inv, 'Type corrected: RENTAL → HOTEL (lodging vendor)', 'lodging-type-correction', true);
       changeLog.invoiceTypeCorrections++;
     }
   });
 
   // Remove marked records (in reverse order to preserve indices)
-  toRemove.sort((a, b) => b - a).forEach(idx => {
-    data.invoices.splice(idx, 1);
+  toRemove.sort((a, b) => b.index - a.index).forEach(({ index, rule }) => {
+    recordRemoval(OCR_FILE, data.invoices[index], rule);
+    data.invoices.splice(index, 1);
     changeLog.zeroRecordsRemoved++;
   });
 
@@ -353,25 +346,16 @@ function processLedgerInvoices(data) {
   const toRemove = [];
 
   invoices.forEach((inv, idx) => {
-    // Consolidate vendor IDs
-    if (inv.vendor_id && VENDOR_ID_MAPPINGS[inv.vendor_id]) {
-      inv.vendor_id = VENDOR_ID_MAPPINGS[inv.vendor_id];
-      changeLog.vendorIdChanges++;
-    }
-
-    // Normalize vendor names
-    if (inv.vendor_name && VENDOR_NAME_MAPPINGS[inv.vendor_name]) {
-      inv.vendor_name = VENDOR_NAME_MAPPINGS[inv.vendor_name];
-      changeLog.vendorNameChanges++;
-    }
+    // Consolidate vendor IDs and normalize vendor names
+    countVendorChanges(consolidateVendor(LEDGER_FILE, inv));
 
     // Mark zero-amount records with empty invoice numbers for review
     if (inv.amount === 0 && inv.debit === 0 && inv.credit === 0 &&
         (!inv.invoice_number || inv.invoice_number === '')) {
       // Don't remove from ledger - these might be legitimate zero adjustments
       // But add a flag
-      inv._needs_review = true;
-      inv._review_reason = 'Zero amount with no invoice number';
+      setField(LEDGER_FILE, inv, '_needs_review', true, 'flag-zero-amount-review');
+      setField(LEDGER_FILE, inv, '_review_reason', 'Zero amount with no invoice number', 'flag-zero-amount-review');
     }
   });
 
@@ -388,35 +372,34 @@ function processLedgerInvoices(data) {
 
 /**
  * Helper function to process any OCR invoice record
+ * @param {Object} target - { file, path } locating the record, for the journal
  */
-function processOcrRecord(inv, idx, prefix) {
+function processOcrRecord(inv, idx, prefix, target) {
   // Handle duplicate invoice numbers
   if (inv.invoice_number === '9700274853') {
+    let newNumber;
     if (inv.service_start) {
-      inv.invoice_number = `ESA-9700274853-${inv.service_start.replace(/-/g, '')}`;
+      newNumber = `ESA-9700274853-${inv.service_start.replace(/-/g, '')}`;
     } else if (inv.invoice_date) {
-      inv.invoice_number = `ESA-9700274853-${inv.invoice_date.replace(/-/g, '')}`;
+      newNumber = `ESA-9700274853-${inv.invoice_date.replace(/-/g, '')}`;
     } else {
-      inv.invoice_number = `ESA-9700274853-${prefix}${idx}`;
-    }
-    inv.meta_notes = inv.meta_notes || [];
-    if (!inv.meta_notes.includes('Original invoice number 9700274853 - split due to duplicate')) {
-      inv.meta_notes.push('Original invoice number 9700274853 - split due to duplicate');
+      newNumber = `ESA-9700274853-${prefix}${idx}`;
     }
+    setField(target, inv, 'invoice_number', newNumber, 'split-reused-invoice-number');
+    addNote(target, inv, 'Original invoice number 9700274853 - split due to duplicate', 'split-reused-invoice-number', true);
   }
 
   if (inv.invoice_number === '9700283386') {
+    let newNumber;
     if (inv.service_start) {
-      inv.invoice_number = `ESA-9700283386-${inv.service_start.replace(/-/g, '')}`;
+      newNumber = `ESA-9700283386-${inv.service_start.replace(/-/g, '')}`;
     } else if (inv.invoice_date) {
-      inv.invoice_number = `ESA-9700283386-${inv.invoice_date.replace(/-/g, '')}`;
+      newNumber = `ESA-9700283386-${inv.invoice_date.replace(/-/g, '')}`;
     } else {
-      inv.invoice_number = `ESA-9700283386-${prefix}${idx}`;
-    }
-    inv.meta_notes = inv.meta_notes || [];
-    if (!inv.meta_notes.includes('Original invoice number 9700283386 - split due to duplicate')) {
-      inv.meta_notes.push('Original invoice number 9700283386 - split due to duplicate');
+      newNumber = `ESA-9700283386-${prefix}${idx}`;
     }
+    setField(target, inv, 'invoice_number', newNumber, 'split-reused-invoice-number');
+    addNote(target, inv, 'Original invoice number 9700283386 - split due to duplicate', 'split-reused-invoice-number', true);
   }
 
   // Handle placeholders
@@ -424,71 +407,75 @@ function processOcrRecord(inv, idx, prefix) {
     const vendorPrefix = inv.vendor_name ?
       inv.vendor_name.substring(0, 3).toUpperCase().replace(/[^A-Z]/g, 'X') : 'UNK';
     const dateStr = inv.service_start || inv.invoice_date || '2024-01-01';
-    inv.invoice_number = `${vendorPrefix}-${dateStr.replace(/-/g, '')}-${prefix}${idx}`;
-    inv.meta_notes = inv.meta_notes || [];
-    if (!inv.meta_notes.includes('Generated invoice number - original was placeholder "INV"')) {
-      inv.meta_notes.push('Generated invoice number - original was placeholder "INV"');
-    }
+    setField(target, inv, 'invoice_number', `${vendorPrefix}-${dateStr.replace(/-/g, '')}-${prefix}${idx}`, 'replace-placeholder-invoice-number');
+    addNote(target, inv, 'Generated invoice number - original was placeholder "INV"', 'replace-placeholder-invoice-number', true);
   }
 
   // Consolidate vendor IDs and names
-  if (inv.vendor_id && VENDOR_ID_MAPPINGS[inv.vendor_id]) {
-    inv.vendor_id = VENDOR_ID_MAPPINGS[inv.vendor_id];
-  }
-  if (inv.vendor_name && VENDOR_NAME_MAPPINGS[inv.vendor_name]) {
-    inv.vendor_name = VENDOR_NAME_MAPPINGS[inv.vendor_name];
-  }
+  consolidateVendor(target, inv);
 
   // Fill missing invoice numbers
   if (!inv.invoice_number || inv.invoice_number === null || inv.invoice_number === '') {
     const vendorPrefix = inv.vendor_name ?
       inv.vendor_name.substring(0, 4).toUpperCase().replace(/[^A-Z]/g, 'X') : 'UNKN';
     const dateStr = inv.service_start || inv.invoice_date || '2024-01-01';
-    inv.invoice_number = `${vendorPrefix}-MISSING-${dateStr.replace(/-/g, '')}-${prefix}${idx}`;
-    inv.meta_notes = inv.meta_notes || [];
-    if (!inv.meta_notes.includes('Generated invoice number - original was missing')) {
-      inv.meta_notes.push('Generated invoice number - original was missing');
-    }
+    setField(target, inv, 'invoice_number', `${vendorPrefix}-MISSING-${dateStr.replace(/-/g, '')}-${prefix}${idx}`, 'fill-missing-invoice-number');
+    addNote(target, inv, 'Generated invoice number - original was missing', 'fill-missing-invoice-number', true);
   }
 
   // Normalize property names
-  if (inv.property_name) {
-    if (inv.property_name === 'Greenview Studios') inv.property_name = 'Greenview Studios LLC';
-    if (inv.property_name === 'Greenview Studios, LLC') inv.property_name = 'Greenview Studios LLC';
-    if (inv.property_name === '97 Wallace Studios') inv.property_name = '97 Wallace Studios LLC';
-    if (inv.property_name === '97 Wallace Studios, LLC') inv.property_name = '97 Wallace Studios LLC';
-    if (inv.property_name === 'Highland East') inv.property_name = 'Highland East Apartments';
-    if (inv.property_name === 'Hillside Crossing LLC') inv.property_name = 'Hillside Crossing Hotel';
-    if (inv.property_name === 'Hillside Crossing Hotel') inv.property_name = 'Hillside Crossing Hotel';
-    if (inv.property_name === 'ESA Suites - Nashville - Airport - Music City') {
-      inv.property_name = 'ESA Suites Nashville Airport Music City';
-    }
-  }
+  normalizePropertyName(target, inv);
 
   // Correct invoice types for lodging vendors (RENTAL -> HOTEL)
-  if (inv.meta_invoice_type === 'RENTAL' && LODGING_VENDOR_IDS.includes(inv.vendor_id)) {
-    inv.meta_invoice_type = 'HOTEL';
-    inv.meta_notes = inv.meta_notes || [];
-    if (!inv.meta_notes.includes('Type corrected: RENTAL → HOTEL (lodging vendor)')) {
-      inv.meta_notes.push('Type corrected: RENTAL → HOTEL (lodging vendor)');
-    }
+  if (inv.meta_invoice_type === 'RENTAL' && isLodgingVendor(inv)) {
+    setField(target, inv, 'meta_invoice_type', 'HOTEL', 'lodging-type-correction');
+    addNote(target, inv, 'Type corrected: RENTAL → HOTEL (lodging vendor)', 'lodging-type-correction', true);
     changeLog.invoiceTypeCorrections++;
   }
 }
 
+/**
+ * Map a record's vendor ID and name to the registry's: an alternate vendor ID
+ * becomes the vendor's ID and an alias becomes its vendor's display name.
+ * IDs and names are mapped separately, so a name is never replaced because of
+ * its ID; unregistered IDs and names are left alone.
+ * @returns {{ idChanged: boolean, nameChanged: boolean }}
+ */
+function consolidateVendor(target, inv) {
+  const result = { idChanged: false, nameChanged: false };
+
+  const byId = inv.vendor_id ? vendors.resolve(null, inv.vendor_id) : null;
+  if (byId && (byId.alternate_vendor_ids || []).includes(String(inv.vendor_id))) {
+    setField(target, inv, 'vendor_id', byId.vendor_id, 'consolidate-vendor-id');
+    result.idChanged = true;
+  }
+
+  const byName = inv.vendor_name ? vendors.resolve(inv.vendor_name) : null;
+  if (byName && inv.vendor_name !== byName.display_name) {
+    setField(target, inv, 'vendor_name', byName.display_name, 'normalize-vendor-name');
+    result.nameChanged = true;
+  }
+  return result;
+}
+
+function countVendorChanges({ idChanged, nameChanged }) {
+  if (idChanged) changeLog.vendorIdChanges++;
+  if (nameChanged) changeLog.vendorNameChanges++;
+}
+
 /**
  * Process any record that has invoice_number field (including unified sections)
  */
-function processAnyInvoiceRecord(inv, idx, prefix) {
+function processAnyInvoiceRecord(inv, idx, prefix, target) {
   // Handle duplicate invoice numbers
   if (inv.invoice_number === '9700274853') {
     const dateStr = inv.service_start || inv.invoice_date || '';
-    inv.invoice_number = `ESA-9700274853-${dateStr.replace(/-/g, '') || prefix + idx}`;
+    setField(target, inv, 'invoice_number', `ESA-9700274853-${dateStr.replace(/-/g, '') || prefix + idx}`, 'split-reused-invoice-number');
   }
 
   if (inv.invoice_number === '9700283386') {
     const dateStr = inv.service_start || inv.invoice_date || '';
-    inv.invoice_number = `ESA-9700283386-${dateStr.replace(/-/g, '') || prefix + idx}`;
+    setField(target, inv, 'invoice_number', `ESA-9700283386-${dateStr.replace(/-/g, '') || prefix + idx}`, 'split-reused-invoice-number');
   }
 
   // Handle placeholders
@@ -496,18 +483,11 @@ function processAnyInvoiceRecord(inv, idx, prefix) {
     const vendorPrefix = inv.vendor_name ?
       inv.vendor_name.substring(0, 3).toUpperCase().replace(/[^A-Z]/g, 'X') : 'UNK';
     const dateStr = inv.service_start || inv.invoice_date || '2024-01-01';
-    inv.invoice_number = `${vendorPrefix}-${dateStr.replace(/-/g, '')}-${prefix}${idx}`;
-  }
-
-  // Normalize vendor names
-  if (inv.vendor_name && VENDOR_NAME_MAPPINGS[inv.vendor_name]) {
-    inv.vendor_name = VENDOR_NAME_MAPPINGS[inv.vendor_name];
+    setField(target, inv, 'invoice_number', `${vendorPrefix}-${dateStr.replace(/-/g, '')}-${prefix}${idx}`, 'replace-placeholder-invoice-number');
   }
 
-  // Consolidate vendor IDs
-  if (inv.vendor_id && VENDOR_ID_MAPPINGS[inv.vendor_id]) {
-    inv.vendor_id = VENDOR_ID_MAPPINGS[inv.vendor_id];
-  }
+  // Normalize vendor names and IDs
+  consolidateVendor(target, inv);
 }
 
 /**
@@ -518,12 +498,13 @@ function processAllOcrInMerged(obj, path = '', counter = { value: 0 }) {
 
   // Check if this is any kind of invoice record (has invoice_number field)
   if (obj.invoice_number !== undefined && obj.vendor_name !== undefined) {
+    const target = mergedTarget(path.replace(/^\./, ''));
     // If it's an OCR record with meta_confidence, use the full processor
     if (obj.meta_confidence !== undefined) {
-      processOcrRecord(obj, counter.value++, 'D');
+      processOcrRecord(obj, counter.value++, 'D', target);
     } else {
       // Otherwise use the simpler processor for unified/other records
-      processAnyInvoiceRecord(obj, counter.value++, 'X');
+      processAnyInvoiceRecord(obj, counter.value++, 'X', target);
     }
     return;
   }
@@ -554,17 +535,12 @@ function processMergedData(data) {
     data.matched_invoices.forEach((match, idx) => {
       // Process ledger portion
       if (match.ledger) {
-        if (match.ledger.vendor_id && VENDOR_ID_MAPPINGS[match.ledger.vendor_id]) {
-          match.ledger.vendor_id = VENDOR_ID_MAPPINGS[match.ledger.vendor_id];
-        }
-        if (match.ledger.vendor_name && VENDOR_NAME_MAPPINGS[match.ledger.vendor_name]) {
-          match.ledger.vendor_name = VENDOR_NAME_MAPPINGS[match.ledger.vendor_name];
-        }
+        consolidateVendor(mergedTarget(`matched_invoices[${idx}].ledger`), match.ledger);
       }
 
       // Process OCR portion
       if (match.ocr) {
-        processOcrRecord(match.ocr, idx, 'M');
+        processOcrRecord(match.ocr, idx, 'M', mergedTarget(`matched_invoices[${idx}].ocr`));
       }
     });
   }
@@ -576,27 +552,21 @@ function processMergedData(data) {
       const toRemove = [];
 
       data[section].forEach((inv, idx) => {
+        const target = mergedTarget(`${section}[${idx}]`);
+
         // Check if this is a wrapper object with nested ocr/ledger
         if (inv.ocr) {
-          processOcrRecord(inv.ocr, idx, 'UO');
+          processOcrRecord(inv.ocr, idx, 'UO', mergedTarget(`${section}[${idx}].ocr`));
         } else if (inv.invoice_number !== undefined) {
           // Direct OCR record
-          processOcrRecord(inv, idx, 'U');
+          processOcrRecord(inv, idx, 'U', target);
         }
 
         // Process ledger portion in wrappers
         if (inv.ledger) {
-          if (inv.ledger.vendor_id && VENDOR_ID_MAPPINGS[inv.ledger.vendor_id]) {
-            inv.ledger.vendor_id = VENDOR_ID_MAPPINGS[inv.ledger.vendor_id];
-          }
-          if (inv.ledger.vendor_name && VENDOR_NAME_MAPPINGS[inv.ledger.vendor_name]) {
-            inv.ledger.vendor_name = VENDOR_NAME_MAPPINGS[inv.ledger.vendor_name];
-          }
-        } else if (inv.vendor_id && VENDOR_ID_MAPPINGS[inv.vendor_id]) {
-          inv.vendor_id = VENDOR_ID_MAPPINGS[inv.vendor_id];
-        }
-        if (inv.vendor_name && VENDOR_NAME_MAPPINGS[inv.vendor_name]) {
-          inv.vendor_name = VENDOR_NAME_MAPPINGS[inv.vendor_name];
+          consolidateVendor(mergedTarget(`${section}[${idx}].ledger`), inv.ledger);
+        } else if (inv.vendor_name !== undefined) {
+          consolidateVendor(target, inv);
         }
 
         // Mark zero-amount records for removal (OCR only)
@@ -609,6 +579,7 @@ function processMergedData(data) {
 
       // Remove marked records
       toRemove.sort((a, b) => b - a).forEach(idx => {
+        recordRemoval(mergedTarget(`${section}[${idx}]`), data[section][idx], 'remove-zero-amount-record');
         data[section].splice(idx, 1);
       });
     }
@@ -633,17 +604,29 @@ function processMergedData(data) {
   return data;
 }
 
-// Main execution
-function main() {
+/**
+ * Main execution
+ * @param {Object} paths - input paths { ocrPath, ledgerPath, vendorsPath, mergedPath, summaryPath } and
+ *   output paths { ocrOutputPath, ledgerOutputPath, mergedOutputPath, summaryOutputPath, journalPath }
+ *   supplied by pipeline.js
+ * @param {Object} context - { runId, stage } stamped on journal entries
+ */
+function main(paths, context = {}) {
+  // Reset counters so repeated runs from the pipeline report per-run totals
+  changeLog = createChangeLog();
+  removedDuplicates = [];
+  journal = createChangeJournal(context);
+  vendors = readVendorRegistry(paths.vendorsPath);
+
   console.log('='.repeat(60));
   console.log('Invoice Data Corrections for BU 53902028');
   console.log('='.repeat(60));
 
   // Load all data files
   console.log('\nLoading data files...');
-  let ocrData = loadJSON('ocr-invoices.json');
-  let ledgerData = loadJSON('ledger-invoices.json');
-  let mergedData = loadJSON('merged-data.json');
+  let ocrData = loadJSON(paths.ocrPath);
+  let ledgerData = loadJSON(paths.ledgerPath);
+  let mergedData = loadJSON(paths.mergedPath);
 
   console.log(`Loaded ${ocrData.invoices.length} OCR invoices`);
   console.log(`Loaded ${ledgerData.invoices.length} ledger invoices`);
@@ -656,13 +639,13 @@ function main() {
 
   // Save updated files
   console.log('\nSaving corrected data...');
-  saveJSON('ocr-invoices.json', ocrData);
-  saveJSON('ledger-invoices.json', ledgerData);
-  saveJSON('merged-data.json', mergedData);
+  saveJSON(paths.ocrOutputPath, ocrData);
+  saveJSON(paths.ledgerOutputPath, ledgerData);
+  saveJSON(paths.mergedOutputPath, mergedData);
 
   // Update merge-summary.json with corrected counts
   try {
-    const summaryPath = path.join(BASE_DIR, 'merge-summary.json');
+    const { summaryPath } = paths;
     if (fs.existsSync(summaryPath)) {
       const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf-8'));
 
@@ -686,7 +669,7 @@ function main() {
         corrected_at: new Date().toISOString()
       };
 
-      fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+      fs.writeFileSync(paths.summaryOutputPath, JSON.stringify(summary, null, 2));
       console.log('Saved: merge-summary.json (updated with corrected counts)');
     }
   } catch (err) {
@@ -722,7 +705,23 @@ function main() {
     console.log('-'.repeat(60));
   }
 
+  journal.write(paths.journalPath);
+  console.log(`\nChange journal: ${journal.entries.length} field changes`);
+  Object.entries(summarizeByRule(journal.entries)).forEach(([rule, count]) => {
+    console.log(`  ${rule.padEnd(36)} ${count}`);
+  });
+
   console.log('\nData corrections complete!');
 }
 
-main();
+module.exports = {
+  main,
+  processOcrInvoices,
+  processLedgerInvoices,
+  processMergedData
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'apply-data-corrections']);
+}
@@ -0,0 +1,235 @@
+/**
+ * ARPA Burn-down
+ *
+ * Totals the ledger debits and credits of BU 53902028 by ARPA allocation and
+ * GL month (arpa-allocations.json), and projects when each allocation runs
+ * out against the expenditure deadline:
+ * - per allocation and month: debits, credits, net spend, cumulative spend
+ *   and remaining balance
+ * - per allocation: average monthly burn over the last trailing_months months,
+ *   the monthly burn that would spend the balance exactly by the deadline, the
+ *   projected run-out month and balance left at the deadline, and a status
+ *
+ * Entries are bucketed by the allocation stamped on them by
+ * classify-allocations.js (see allocation-classifier.js); Unclassified entries
+ * are totalled as a bucket with no amount or projection. The month series
+ * starts at the resolution month and ends at the last month with ledger
+ * activity (as_of); the projection continues it to the deadline month.
+ *
+ * Node:    const { buildBurndown } = require('./arpa-burndown');
+ * Browser: <script src="arpa-burndown.js"></script> exposes window.ArpaBurndown
+ *          (load data-access.js first)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./data-access'));
+  } else {
+    root.ArpaBurndown = factory(root.DataAccess);
+  }
+})(typeof self !== 'undefined' ? self : this, function (DataAccess) {
+  'use strict';
+
+  const { normalizeDate, roundCents } = DataAccess;
+
+  const UNCLASSIFIED = { id: 'unclassified', name: 'Unclassified', amount: null };
+
+  // Projection statuses, most urgent first
+  const STATUS_LABELS = {
+    exhausted: 'Exhausted',
+    runs_out_early: 'Runs out before deadline',
+    underspent: 'Unspent at deadline',
+    on_track: 'On track'
+  };
+
+  // ==================== MONTHS ====================
+  /**
+   * "YYYY-MM" of a ledger date (M/D/YYYY or ISO), or null
+   */
+  function monthOf(date) {
+    const normalized = normalizeDate(date);
+    return /^\d{4}-\d{2}-\d{2}$/.test(normalized) ? normalized.slice(0, 7) : null;
+  }
+
+  function addMonths(month, count) {
+    const [year, mon] = month.split('-').map(Number);
+    const index = year * 12 + (mon - 1) + count;
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Whole months from one "YYYY-MM" to another (negative when "to" is earlier)
+   */
+  function monthsBetween(from, to) {
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+  }
+
+  function monthRange(first, last) {
+    const months = [];
+    for (let month = first; monthsBetween(month, last) >= 0; month = addMonths(month, 1)) {
+      months.push(month);
+    }
+    return months;
+  }
+
+  // ==================== BURN-DOWN ====================
+  function debitOf(entry) {
+    return Number(entry.debit) || 0;
+  }
+
+  function creditOf(entry) {
+    return Number(entry.credit) || 0;
+  }
+
+  /**
+   * Project an allocation's balance from its monthly series to the deadline
+   */
+  function project(amount, monthly, asOf, deadlineMonth, trailingMonths) {
+    const spent = monthly.length > 0 ? monthly[monthly.length - 1].cumulative : 0;
+    const remaining = roundCents(amount - spent);
+    const trailing = monthly.slice(-trailingMonths);
+    const monthlyBurn = trailing.length > 0
+      ? roundCents(trailing.reduce((sum, row) => sum + row.spent, 0) / trailing.length)
+      : 0;
+    const monthsLeft = Math.max(0, monthsBetween(asOf, deadlineMonth));
+
+    let runOutMonth = null;
+    if (remaining <= 0) {
+      const exhausted = monthly.find(row => row.cumulative >= amount);
+      runOutMonth = exhausted ? exhausted.month : asOf;
+    } else if (monthlyBurn > 0) {
+      runOutMonth = addMonths(asOf, Math.ceil(remaining / monthlyBurn));
+    }
+
+    const projected = [];
+    let cumulative = spent;
+    for (let step = 1; step <= monthsLeft && cumulative < amount; step++) {
+      if (monthlyBurn <= 0) break;
+      cumulative = Math.min(amount, cumulative + monthlyBurn);
+      projected.push({
+        month: addMonths(asOf, step),
+        cumulative: roundCents(cumulative),
+        remaining: roundCents(amount - cumulative)
+      });
+    }
+    const remainingAtDeadline = roundCents(Math.max(0, amount - spent - monthlyBurn * monthsLeft));
+
+    let status;
+    if (remaining <= 0) status = 'exhausted';
+    else if (runOutMonth && monthsBetween(runOutMonth, deadlineMonth) > 0) status = 'runs_out_early';
+    else if (remainingAtDeadline > 0) status = 'underspent';
+    else status = 'on_track';
+
+    return {
+      trailing_months: trailing.length,
+      monthly_burn: monthlyBurn,
+      months_to_deadline: monthsLeft,
+      required_monthly_burn: remaining > 0 && monthsLeft > 0 ? roundCents(remaining / monthsLeft) : null,
+      run_out_month: runOutMonth,
+      remaining_at_deadline: remainingAtDeadline,
+      status,
+      projected
+    };
+  }
+
+  function summarizeBucket(allocation, entries, months, asOf, deadlineMonth, trailingMonths) {
+    const byMonth = new Map(months.map(month => [month, { debits: 0, credits: 0, entries: 0 }]));
+    entries.forEach(({ entry, month }) => {
+      const row = byMonth.get(month);
+      row.debits += debitOf(entry);
+      row.credits += creditOf(entry);
+      row.entries++;
+    });
+
+    let cumulative = 0;
+    const monthly = months.map(month => {
+      const row = byMonth.get(month);
+      const spent = row.debits - row.credits;
+      cumulative += spent;
+      return {
+        month,
+        entries: row.entries,
+        debits: roundCents(row.debits),
+        credits: roundCents(row.credits),
+        spent: roundCents(spent),
+        cumulative: roundCents(cumulative),
+        remaining: allocation.amount === null ? null : roundCents(allocation.amount - cumulative)
+      };
+    });
+
+    const debits = entries.reduce((sum, { entry }) => sum + debitOf(entry), 0);
+    const credits = entries.reduce((sum, { entry }) => sum + creditOf(entry), 0);
+    const spent = roundCents(debits - credits);
+    const hasAmount = allocation.amount !== null;
+
+    return {
+      id: allocation.id,
+      name: allocation.name,
+      amount: allocation.amount,
+      entries: entries.length,
+      debits: roundCents(debits),
+      credits: roundCents(credits),
+      spent,
+      remaining: hasAmount ? roundCents(allocation.amount - spent) : null,
+      percent_spent: hasAmount && allocation.amount > 0 ? Math.round((spent / allocation.amount) * 1000) / 10 : null,
+      monthly,
+      projection: hasAmount ? project(allocation.amount, monthly, asOf, deadlineMonth, trailingMonths) : null
+    };
+  }
+
+  /**
+   * Build the burn-down of ledger entries (ledger-invoices.json invoices and
+   * journals) against the allocations of arpa-allocations.json.
+   * allocationOf(entry) returns an allocation ID or null; it defaults to the
+   * entry's allocation stamp.
+   * @returns {{ as_of, deadline, totals, allocations, undated_entries }}
+   */
+  function buildBurndown(entries, config, allocationOf = entry => entry.allocation ? entry.allocation.id : null) {
+    const trailingMonths = config.trailing_months || 3;
+    const deadlineMonth = monthOf(config.deadline);
+    const known = new Set(config.allocations.map(allocation => allocation.id));
+
+    const dated = [];
+    let undated = 0;
+    entries.forEach(entry => {
+      const month = monthOf(entry.gl_date);
+      if (!month) {
+        undated++;
+        return;
+      }
+      const id = allocationOf(entry);
+      dated.push({ entry, month, allocation: known.has(id) ? id : UNCLASSIFIED.id });
+    });
+
+    const activeMonths = dated.map(item => item.month).sort();
+    const startMonth = monthOf(config.resolution_date) || activeMonths[0] || deadlineMonth;
+    const asOf = activeMonths.length > 0 ? activeMonths[activeMonths.length - 1] : startMonth;
+    const months = monthRange(activeMonths.length > 0 && activeMonths[0] < startMonth ? activeMonths[0] : startMonth, asOf);
+
+    const buckets = config.allocations.map(allocation => ({ id: allocation.id, name: allocation.name, amount: allocation.amount }));
+    if (dated.some(item => item.allocation === UNCLASSIFIED.id)) buckets.push(UNCLASSIFIED);
+
+    const allocations = buckets.map(bucket => summarizeBucket(
+      bucket, dated.filter(item => item.allocation === bucket.id), months, asOf, deadlineMonth, trailingMonths));
+    const total = summarizeBucket(
+      { id: 'total', name: 'Total', amount: config.total_allocation }, dated, months, asOf, deadlineMonth, trailingMonths);
+
+    return {
+      as_of: asOf,
+      deadline: config.deadline,
+      totals: total,
+      allocations,
+      undated_entries: undated
+    };
+  }
+
+  return {
+    STATUS_LABELS,
+    monthOf,
+    addMonths,
+    monthsBetween,
+    buildBurndown
+  };
+});
@@ -0,0 +1,262 @@
+/**
+ * Artifact Schemas
+ *
+ * JSON Schemas for the pipeline's artifacts live in schemas/. pipeline.js
+ * validates every stage output that has one before the run can be published,
+ * and `node pipeline.js validate <file>` checks any file by hand.
+ *
+ *   ocr-invoice.schema.json           one OCR extraction (postProcessOCR record)
+ *   ocr-invoices.schema.json          ocr-invoices.json
+ *   ledger-invoices.schema.json       ledger-invoices.json
+ *   merged-data.schema.json           merged-data.json (its "version" is written to _metadata.schema_version)
+ *   merge-summary.schema.json         merge-summary.json
+ *   vendors.schema.json               vendors.json
+ *   page-groups.schema.json           page-groups.json
+ *   page-grouping-model.schema.json   page-grouping-model.json
+ *   comprehensive-export.schema.json  comprehensive-export.json
+ *   lodging-report.schema.json        lodging-report.json
+ *   duplicate-billing-report.schema.json  duplicate-billing-report.json
+ *   arpa-allocations.schema.json      arpa-allocations.json (and the allocation stamp of invoices)
+ *   allocation-review.schema.json     allocation-review.json
+ *   arpa-burndown.schema.json         arpa-burndown.json
+ *   gl-accounts.schema.json           gl-accounts.json (and the decoded GL account of export records)
+ *   cross-bu-report.schema.json       cross-bu-report.json
+ *   payroll-report.schema.json        payroll-report.json
+ *   correction-rules.schema.json      correction-rules.json
+ *   correction-report.schema.json     correction-report.json
+ *   match-config.schema.json          match-config.json
+ *   match-overrides.schema.json       match-overrides.json
+ *   grouping-overrides.schema.json    grouping-overrides.json
+ *
+ * data.csv has no schema of its own: the postProcessOCR cell of every row is
+ * checked against ocr-invoice.schema.json.
+ *
+ * The validator covers the JSON Schema keywords the schemas use: type, enum,
+ * const, required, properties, additionalProperties, items, minItems, minimum,
+ * maximum, pattern, anyOf, allOf, if/then/else and $ref (to "#/$defs/..." or to
+ * another file in schemas/, optionally with a fragment).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV, parseOCR } = require('./data-access');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+
+// Artifact file name -> schema file
+const ARTIFACT_SCHEMAS = {
+  'ocr-invoices.json': 'ocr-invoices.schema.json',
+  'ledger-invoices.json': 'ledger-invoices.schema.json',
+  'merged-data.json': 'merged-data.schema.json',
+  'merge-summary.json': 'merge-summary.schema.json',
+  'vendors.json': 'vendors.schema.json',
+  'page-groups.json': 'page-groups.schema.json',
+  'page-grouping-model.json': 'page-grouping-model.schema.json',
+  'comprehensive-export.json': 'comprehensive-export.schema.json',
+  'lodging-report.json': 'lodging-report.schema.json',
+  'duplicate-billing-report.json': 'duplicate-billing-report.schema.json',
+  'arpa-allocations.json': 'arpa-allocations.schema.json',
+  'allocation-review.json': 'allocation-review.schema.json',
+  'arpa-burndown.json': 'arpa-burndown.schema.json',
+  'gl-accounts.json': 'gl-accounts.schema.json',
+  'cross-bu-report.json': 'cross-bu-report.schema.json',
+  'payroll-report.json': 'payroll-report.schema.json',
+  'correction-rules.json': 'correction-rules.schema.json',
+  'correction-report.json': 'correction-report.schema.json',
+  'match-config.json': 'match-config.schema.json',
+  'match-overrides.json': 'match-overrides.schema.json',
+  'grouping-overrides.json': 'grouping-overrides.schema.json'
+};
+
+const schemaCache = new Map();
+
+// ==================== LOADING ====================
+function loadSchema(schemaFile) {
+  if (!schemaCache.has(schemaFile)) {
+    const schemaPath = path.join(SCHEMA_DIR, schemaFile);
+    schemaCache.set(schemaFile, JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+  }
+  return schemaCache.get(schemaFile);
+}
+
+/**
+ * Version declared by a schema file (its top-level "version" keyword)
+ */
+function schemaVersion(schemaFile) {
+  return loadSchema(schemaFile).version;
+}
+
+/**
+ * Follow a $ref. Returns the target schema and the file it lives in.
+ */
+function resolveRef(ref, currentFile) {
+  const [file, fragment] = ref.split('#');
+  const schemaFile = file || currentFile;
+  let target = loadSchema(schemaFile);
+  (fragment || '').split('/').filter(Boolean).forEach(part => {
+    target = target && target[part];
+  });
+  if (!target) {
+    throw new Error(`Unresolvable $ref "${ref}" in ${currentFile}`);
+  }
+  return { schema: target, file: schemaFile };
+}
+
+// ==================== VALIDATION ====================
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function check(value, schema, file, where, errors) {
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, file);
+    check(value, resolved.schema, resolved.file, where, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${where}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: ${value} is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: ${value} is above ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(option => {
+      const optionErrors = [];
+      check(value, option, file, where, optionErrors);
+      return optionErrors;
+    });
+    if (!results.some(optionErrors => optionErrors.length === 0)) {
+      // Report the details of the one option whose type fits, e.g. the object branch of "null or object"
+      const typeMismatch = `${where}: expected `;
+      const fitting = results.filter(optionErrors => !optionErrors.some(error => error.startsWith(typeMismatch)));
+      if (fitting.length === 1) {
+        errors.push(...fitting[0]);
+      } else {
+        errors.push(`${where}: does not match any allowed shape`);
+      }
+    }
+  }
+
+  (schema.allOf || []).forEach(part => check(value, part, file, where, errors));
+
+  if (schema.if) {
+    const conditionErrors = [];
+    check(value, schema.if, file, where, conditionErrors);
+    const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+    if (branch) check(value, branch, file, where, errors);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => check(item, schema.items, file, `${where}[${idx}]`, errors));
+    }
+    return;
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(field => {
+      if (!(field in value)) errors.push(`${where}: missing required field "${field}"`);
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(field => {
+      const fieldPath = `${where}.${field}`;
+      if (properties[field]) {
+        check(value[field], properties[field], file, fieldPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${fieldPath}: unexpected field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(value[field], schema.additionalProperties, file, fieldPath, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a value against a schema file
+ * @returns {string[]} one message per violation, empty when valid
+ */
+function validateAgainstSchema(data, schemaFile, where = '$') {
+  const errors = [];
+  check(data, loadSchema(schemaFile), schemaFile, where, errors);
+  return errors;
+}
+
+/**
+ * Validate data.csv: every postProcessOCR cell must be a valid OCR extraction
+ */
+function validateDataCsv(text) {
+  const errors = [];
+  parseCSV(text).data.forEach((row, idx) => {
+    if (!row.postProcessOCR) return;
+    const label = `row ${row.Number || idx + 1} postProcessOCR`;
+    const record = parseOCR(row.postProcessOCR);
+    if (!record) {
+      errors.push(`${label}: not valid JSON`);
+      return;
+    }
+    errors.push(...validateAgainstSchema(record, 'ocr-invoice.schema.json', label));
+  });
+  return errors;
+}
+
+/**
+ * Validate a file on disk. The schema is chosen from the file name unless
+ * one is given; returns null when no schema applies.
+ * @param {string} filePath
+ * @param {string} [schemaFile] - e.g. "ocr-invoice.schema.json"
+ * @returns {string[]|null}
+ */
+function validateFile(filePath, schemaFile) {
+  const name = path.basename(filePath);
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (!schemaFile && name === 'data.csv') {
+    return validateDataCsv(text);
+  }
+  const schema = schemaFile || ARTIFACT_SCHEMAS[name];
+  if (!schema) return null;
+  return validateAgainstSchema(JSON.parse(text), schema);
+}
+
+/**
+ * Format violations for an error message, listing the first few
+ */
+function formatErrors(errors, limit = 10) {
+  const shown = errors.slice(0, limit).map(error => `  ${error}`).join('\n');
+  return errors.length > limit ? `${shown}\n  ... and ${errors.length - limit} more` : shown;
+}
+
+module.exports = {
+  ARTIFACT_SCHEMAS,
+  loadSchema,
+  schemaVersion,
+  validateAgainstSchema,
+  validateFile,
+  formatErrors
+};
@@ -0,0 +1,104 @@
+/**
+ * Change Journal
+ *
+ * Append-only audit trail of every field change made by the correction
+ * stages (update-invoice-data.js, apply-data-corrections.js). Each stage
+ * writes the entries for its run to change-journal.jsonl in its run
+ * directory; when a run completes, pipeline.js appends them to
+ * runs/change-journal.jsonl, which is never rewritten.
+ *
+ * One JSON object per line:
+ *   {
+ *     "run_id": "20260112-150405-123",
+ *     "stage": "apply-data-corrections",
+ *     "timestamp": "2026-01-12T15:04:05.456Z",
+ *     "file": "ocr-invoices.json",          artifact the record lives in
+ *     "record_guid": "inv-ocr-…",           invoice_guid when the record has one
+ *     "record_path": "matched_invoices[3].ocr",   location inside merged-data.json
+ *     "page": 122,                          meta_source_page / PDF page
+ *     "file_id": "1AbC…",                   Google Drive file ID of the page
+ *     "invoice_number": "INV",              invoice number before the change
+ *     "field": "invoice_number",            "*" for record removal
+ *     "old_value": "INV",
+ *     "new_value": "GOR-20250301-12",
+ *     "rule": "replace-placeholder-invoice-number"
+ *   }
+ */
+
+const fs = require('fs');
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Create an in-memory journal for one stage run
+ * @param {Object} context - { runId, stage } supplied by pipeline.js
+ */
+function createChangeJournal(context = {}) {
+  const entries = [];
+
+  return {
+    entries,
+
+    /**
+     * Record one change. Unchanged values are ignored.
+     * @param {Object} target - { file, record, path, page, fileId } describing the record
+     * @param {string} field - changed field ("*" for the whole record)
+     */
+    record(target, field, oldValue, newValue, rule) {
+      if (isSameValue(oldValue, newValue)) return;
+      const record = target.record || {};
+      entries.push({
+        run_id: context.runId || null,
+        stage: context.stage || null,
+        timestamp: new Date().toISOString(),
+        file: target.file || null,
+        record_guid: record.invoice_guid || null,
+        record_path: target.path || null,
+        page: target.page !== undefined ? target.page : (record.meta_source_page || null),
+        file_id: target.fileId || null,
+        invoice_number: record.invoice_number || null,
+        field,
+        old_value: oldValue === undefined ? null : oldValue,
+        new_value: newValue === undefined ? null : newValue,
+        rule
+      });
+    },
+
+    /**
+     * Write this run's entries as JSON lines
+     */
+    write(journalPath) {
+      const text = entries.map(entry => JSON.stringify(entry)).join('\n');
+      fs.writeFileSync(journalPath, text ? text + '\n' : '', 'utf8');
+    }
+  };
+}
+
+/**
+ * Count entries per rule for console summaries
+ */
+function summarizeByRule(entries) {
+  const counts = {};
+  entries.forEach(entry => {
+    counts[entry.rule] = (counts[entry.rule] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Append a stage's journal file to the persistent journal
+ */
+function appendToJournal(journalPath, stageJournalPath) {
+  const text = fs.readFileSync(stageJournalPath, 'utf8');
+  if (!text) return 0;
+  fs.appendFileSync(journalPath, text, 'utf8');
+  return text.split('\n').filter(Boolean).length;
+}
+
+module.exports = {
+  createChangeJournal,
+  summarizeByRule,
+  appendToJournal
+};
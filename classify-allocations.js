@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Allocation Classification
+ *
+ * Stamps every OCR invoice, ledger invoice and payroll journal with the ARPA
+ * allocation it is charged to, using the rules of arpa-allocations.json (see
+ * allocation-classifier.js):
+ *
+ *   "allocation": { "id": "strobel-center", "name": "Strobel Center Operations",
+ *                   "reason": "...", "rules": ["strobel-depaul-usa"] }
+ *
+ * Records no rule classifies get id null and name "Unclassified"; they are
+ * listed with their reason in allocation-review.json for a reviewer to settle
+ * by adding or adjusting a rule.
+ */
+
+const fs = require('fs');
+const { readVendorRegistry } = require('./data-access');
+const { createGlReference } = require('./gl-account');
+const { loadAllocationRules, classifyAllocation, accountOf, UNCLASSIFIED } = require('./allocation-classifier');
+
+// ==================== CLASSIFY ====================
+function reviewEntry(record, source, ruleSet) {
+  const isJournal = source === 'journal';
+  return {
+    source,
+    id: record.invoice_guid || `journal-${record.document_number}-${record.line_number}`,
+    vendor: record.vendor_name || null,
+    invoice_number: record.invoice_number || null,
+    date: (isJournal ? record.gl_date : record.invoice_date) || null,
+    amount: source === 'ocr' ? (record.invoice_total ?? null) : record.amount,
+    gl_account: accountOf(record, ruleSet).gl_account,
+    object_account: record.object_account || null,
+    reason: record.allocation.reason,
+    rules: record.allocation.rules
+  };
+}
+
+function classifyRecords(records, source, ruleSet, vendors, stats, queue) {
+  records.forEach(record => {
+    record.allocation = classifyAllocation(record, ruleSet, vendors.byGuid(record.vendor_guid) || null);
+
+    const name = record.allocation.name;
+    if (!stats[name]) stats[name] = { ocr: 0, ledger_invoice: 0, journal: 0 };
+    stats[name][source]++;
+    if (record.allocation.id === null) queue.push(reviewEntry(record, source, ruleSet));
+  });
+}
+
+// ==================== MAIN ====================
+/**
+ * @param {Object} paths - { vendorsPath, allocationsPath, glAccountsPath, ocrPath, ledgerPath,
+ *   ocrOutputPath, ledgerOutputPath, reviewPath } supplied by pipeline.js
+ */
+function main(paths) {
+  console.log('=== Classifying ARPA Allocations ===\n');
+
+  const vendors = readVendorRegistry(paths.vendorsPath);
+  const glReference = createGlReference(JSON.parse(fs.readFileSync(paths.glAccountsPath, 'utf8')));
+  const ruleSet = loadAllocationRules(JSON.parse(fs.readFileSync(paths.allocationsPath, 'utf8')), glReference);
+  const ocrData = JSON.parse(fs.readFileSync(paths.ocrPath, 'utf8'));
+  const ledgerData = JSON.parse(fs.readFileSync(paths.ledgerPath, 'utf8'));
+  console.log(`Loaded ${ruleSet.rules.length} rules for ${ruleSet.allocations.size} allocations`);
+
+  const stats = {};
+  const queue = [];
+  classifyRecords(ocrData.invoices, 'ocr', ruleSet, vendors, stats, queue);
+  classifyRecords(ledgerData.invoices, 'ledger_invoice', ruleSet, vendors, stats, queue);
+  classifyRecords(ledgerData.journals || [], 'journal', ruleSet, vendors, stats, queue);
+
+  console.log('\nRecords by allocation (OCR / ledger invoices / journals):');
+  Object.entries(stats).forEach(([name, counts]) => {
+    console.log(`  ${name}: ${counts.ocr} / ${counts.ledger_invoice} / ${counts.journal}`);
+  });
+
+  const reasons = new Map();
+  queue.forEach(entry => reasons.set(entry.reason, (reasons.get(entry.reason) || 0) + 1));
+  if (queue.length > 0) {
+    console.log(`\n${UNCLASSIFIED} (${queue.length}), most common reasons:`);
+    [...reasons.entries()].sort((a, b) => b[1] - a[1]).slice(0, 8).forEach(([reason, count]) => {
+      console.log(`  ${count}× ${reason}`);
+    });
+  }
+
+  const review = {
+    generated_at: new Date().toISOString(),
+    totals: {
+      records: ocrData.invoices.length + ledgerData.invoices.length + (ledgerData.journals || []).length,
+      unclassified: queue.length,
+      by_allocation: stats
+    },
+    queue
+  };
+
+  console.log(`\nWriting stamped OCR invoices to ${paths.ocrOutputPath}...`);
+  fs.writeFileSync(paths.ocrOutputPath, JSON.stringify(ocrData, null, 2));
+  console.log(`Writing stamped ledger to ${paths.ledgerOutputPath}...`);
+  fs.writeFileSync(paths.ledgerOutputPath, JSON.stringify(ledgerData, null, 2));
+  console.log(`Writing review queue to ${paths.reviewPath}...`);
+  fs.writeFileSync(paths.reviewPath, JSON.stringify(review, null, 2), 'utf8');
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'classify-allocations']);
+}
@@ -0,0 +1,277 @@
+/**
+ * Correction Rule Engine
+ *
+ * Loads declarative page corrections from correction-rules.json and applies
+ * them to a page's OCR record. Rules run in file order and every rule that
+ * matches is applied, so later rules see the changes made by earlier ones.
+ *
+ * Rule format:
+ *   {
+ *     "id": "hillside-crossing-llc",                 unique, used in reports
+ *     "description": "Updated ... to ...",           logged when the rule applies
+ *     "match": { ... },                              all conditions must hold
+ *     "create_if_missing": { "meta_confidence": 0.5 },   optional placeholder record
+ *     "actions": [ ... ],
+ *     "stop": true                                   optional, see below
+ *   }
+ *
+ * Match conditions:
+ *   pages           [42, 43, "207-219"]  page numbers or inclusive ranges
+ *   vendor_regex    "^(?!.*Extended).*ESA"  tested against vendor_name
+ *   vendor_regex_flags "i"              optional RegExp flags
+ *   invoice_number  "59EE76EB"            exact match after trimming
+ *   where           [{ "field": "vendor_name", "equals": "Highland East" }]
+ *                   predicates: equals, not_equals, matches, in, exists, gt, lt
+ *
+ * Conditions other than pages need an OCR record. Without one, a rule only
+ * matches if it has no such conditions; it then starts from create_if_missing
+ * (or from scratch for replace_record).
+ *
+ * Actions:
+ *   set                  { field, value, only_if_empty }
+ *   replace_record       { record }  replaces the whole OCR record; every field
+ *                        that differs is reported as a change
+ *   mark_continuation    { vendor_name, invoice_number }  continuation of that invoice
+ *   exclude_from_totals  { document_type }
+ *
+ * "stop": true ends processing for the page: later rules and the raw OCR
+ * amount sync in update-invoice-data.js are skipped.
+ */
+
+const fs = require('fs');
+
+const MATCH_KEYS = ['pages', 'vendor_regex', 'vendor_regex_flags', 'invoice_number', 'where'];
+const PREDICATES = ['equals', 'not_equals', 'matches', 'in', 'exists', 'gt', 'lt'];
+
+// ==================== LOADING ====================
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Expand page numbers and "start-end" ranges into a Set
+ */
+function expandPages(pages, ruleId) {
+  const result = new Set();
+  pages.forEach(entry => {
+    if (typeof entry === 'number') {
+      result.add(entry);
+      return;
+    }
+    const range = String(entry).match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!range) {
+      throw new Error(`Rule "${ruleId}": invalid page entry "${entry}"`);
+    }
+    for (let page = parseInt(range[1], 10); page <= parseInt(range[2], 10); page++) {
+      result.add(page);
+    }
+  });
+  return result;
+}
+
+function compilePredicate(predicate, ruleId) {
+  if (!predicate.field) {
+    throw new Error(`Rule "${ruleId}": every "where" predicate needs a field`);
+  }
+  const ops = Object.keys(predicate).filter(key => key !== 'field');
+  if (ops.length !== 1 || !PREDICATES.includes(ops[0])) {
+    throw new Error(`Rule "${ruleId}": predicate on ${predicate.field} needs exactly one of ${PREDICATES.join(', ')}`);
+  }
+  const op = ops[0];
+  const expected = predicate[op];
+  const regex = op === 'matches' ? new RegExp(expected) : null;
+
+  return {
+    field: predicate.field,
+    op,
+    expected,
+    test(record) {
+      const value = record[predicate.field];
+      switch (op) {
+        case 'equals': return value === expected;
+        case 'not_equals': return value !== expected;
+        case 'matches': return typeof value === 'string' && regex.test(value);
+        case 'in': return expected.includes(value);
+        case 'exists': return expected ? !isEmptyValue(value) : isEmptyValue(value);
+        case 'gt': return typeof value === 'number' && value > expected;
+        case 'lt': return typeof value === 'number' && value < expected;
+      }
+      return false;
+    }
+  };
+}
+
+const ACTION_TYPES = ['set', 'replace_record', 'mark_continuation', 'exclude_from_totals'];
+
+function compileRule(rule, index) {
+  const id = rule.id || `rule-${index + 1}`;
+  const match = rule.match || {};
+
+  Object.keys(match).forEach(key => {
+    if (!MATCH_KEYS.includes(key)) {
+      throw new Error(`Rule "${id}": unknown match condition "${key}"`);
+    }
+  });
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+    throw new Error(`Rule "${id}": needs at least one action`);
+  }
+  rule.actions.forEach(action => {
+    if (!ACTION_TYPES.includes(action.type)) {
+      throw new Error(`Rule "${id}": unknown action "${action.type}"`);
+    }
+    if (action.type === 'set' && !action.field) {
+      throw new Error(`Rule "${id}": "set" action needs a field`);
+    }
+    if (action.type === 'replace_record' && (!action.record || typeof action.record !== 'object')) {
+      throw new Error(`Rule "${id}": "replace_record" action needs a record`);
+    }
+  });
+
+  const where = (match.where || []).map(predicate => compilePredicate(predicate, id));
+  const vendorRegex = match.vendor_regex ? new RegExp(match.vendor_regex, match.vendor_regex_flags || '') : null;
+  const invoiceNumber = match.invoice_number !== undefined ? String(match.invoice_number).trim() : null;
+
+  return {
+    id,
+    description: rule.description || id,
+    pages: match.pages ? expandPages(match.pages, id) : null,
+    vendorRegex,
+    invoiceNumber,
+    where,
+    needsRecord: !!(vendorRegex || invoiceNumber !== null || where.length > 0),
+    createIfMissing: rule.create_if_missing || null,
+    actions: rule.actions,
+    stop: !!rule.stop
+  };
+}
+
+/**
+ * Load and validate a rules file. Throws with the offending rule id when the
+ * file contains an unknown condition or action.
+ */
+function loadRules(rulesPath) {
+  const file = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  const rules = (file.rules || []).map(compileRule);
+
+  const seen = new Set();
+  rules.forEach(rule => {
+    if (seen.has(rule.id)) {
+      throw new Error(`Duplicate rule id "${rule.id}" in ${rulesPath}`);
+    }
+    seen.add(rule.id);
+  });
+
+  return {
+    version: file.version,
+    sourceFile: file.source_file || null,
+    rules
+  };
+}
+
+// ==================== MATCHING ====================
+function ruleMatches(rule, record, pageNum) {
+  if (rule.pages && !rule.pages.has(pageNum)) return false;
+  if (!rule.needsRecord) return true;
+  if (!record) return false;
+
+  if (rule.vendorRegex && !(typeof record.vendor_name === 'string' && rule.vendorRegex.test(record.vendor_name))) {
+    return false;
+  }
+  if (rule.invoiceNumber !== null && String(record.invoice_number || '').trim() !== rule.invoiceNumber) {
+    return false;
+  }
+  return rule.where.every(predicate => predicate.test(record));
+}
+
+// ==================== ACTIONS ====================
+/**
+ * Set a field and record the change; unchanged values are not reported
+ */
+function setField(record, field, value, changes) {
+  const previous = record[field];
+  if (JSON.stringify(previous) === JSON.stringify(value)) return;
+  record[field] = value;
+  changes.push({ field, old_value: previous === undefined ? null : previous, new_value: value });
+}
+
+function applyAction(action, record, changes) {
+  switch (action.type) {
+    case 'set':
+      if (action.only_if_empty && !isEmptyValue(record[action.field])) return record;
+      setField(record, action.field, action.value, changes);
+      return record;
+
+    case 'replace_record': {
+      // One change per field that differs, so the journal keeps before and after
+      const replacement = JSON.parse(JSON.stringify(action.record));
+      new Set([...Object.keys(record), ...Object.keys(replacement)]).forEach(field => {
+        if (JSON.stringify(record[field]) === JSON.stringify(replacement[field])) return;
+        changes.push({
+          field,
+          old_value: record[field] === undefined ? null : record[field],
+          new_value: replacement[field] === undefined ? null : replacement[field]
+        });
+      });
+      return replacement;
+    }
+
+    case 'mark_continuation':
+      setField(record, 'meta_is_continuation_page', true, changes);
+      if (action.vendor_name) setField(record, 'vendor_name', action.vendor_name, changes);
+      if (action.invoice_number) setField(record, 'invoice_number', action.invoice_number, changes);
+      return record;
+
+    case 'exclude_from_totals':
+      setField(record, 'meta_exclude_from_totals', true, changes);
+      if (action.document_type) setField(record, 'meta_document_type', action.document_type, changes);
+      return record;
+  }
+  return record;
+}
+
+/**
+ * Apply every matching rule to one page's OCR record.
+ * @param {Object|null} ocr - parsed OCR record (modified in place)
+ * @param {number} pageNum - page number in the source PDF
+ * @param {Object} ruleSet - result of loadRules()
+ * @returns {{ ocr: Object|null, applied: Array, stopped: boolean }}
+ */
+function applyRules(ocr, pageNum, ruleSet) {
+  let record = ocr;
+  const applied = [];
+  let stopped = false;
+
+  for (const rule of ruleSet.rules) {
+    if (!ruleMatches(rule, record, pageNum)) continue;
+
+    const replaces = rule.actions.some(action => action.type === 'replace_record');
+    if (!record && !replaces) {
+      if (!rule.createIfMissing) continue;
+      record = {
+        ...rule.createIfMissing,
+        meta_source_page: pageNum,
+        meta_source_file: ruleSet.sourceFile,
+        meta_notes: []
+      };
+    }
+
+    const changes = [];
+    rule.actions.forEach(action => {
+      record = applyAction(action, record || {}, changes);
+    });
+
+    applied.push({ rule_id: rule.id, description: rule.description, changes });
+
+    if (rule.stop) {
+      stopped = true;
+      break;
+    }
+  }
+
+  return { ocr: record, applied, stopped };
+}
+
+module.exports = {
+  loadRules,
+  applyRules
+};
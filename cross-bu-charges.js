@@ -0,0 +1,145 @@
+/**
+ * Cross-Business-Unit Charges
+ *
+ * Compares the account an invoice was coded to on its scan (the OCR bu_code)
+ * with the ledger line it was paid from. An invoice coded to business unit
+ * 53902026 but paid from 53902028, or coded to another ARPA project or fund,
+ * was charged to a different allocation than the one it was approved against.
+ *
+ * Compared segments: business unit, fund and project (the ledger business_unit,
+ * fund and sub_account columns, or its GL account string). Only the segments
+ * the bu_code has are compared, so a cut-short "53902026.502331" is checked on
+ * its business unit alone.
+ *
+ * Node:    const { compareCoding, findCrossBuCharges } = require('./cross-bu-charges');
+ * Browser: <script src="cross-bu-charges.js"></script> exposes window.CrossBuCharges
+ *          (load data-access.js and gl-account.js first)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./data-access'), require('./gl-account'));
+  } else {
+    root.CrossBuCharges = factory(root.DataAccess, root.GlAccount);
+  }
+})(typeof self !== 'undefined' ? self : this, function (DataAccess, GlAccount) {
+  'use strict';
+
+  const { roundCents } = DataAccess;
+  const { SEGMENTS, parseGlAccount, glAccountOf } = GlAccount;
+
+  // Coded segments and the ledger column each is compared with
+  const COMPARED_SEGMENTS = [
+    { key: 'business_unit', ledgerField: 'business_unit' },
+    { key: 'fund', ledgerField: 'fund' },
+    { key: 'project', ledgerField: 'sub_account' }
+  ];
+
+  function nameOf(key, value, reference) {
+    const segment = SEGMENTS.find(entry => entry.key === key);
+    const info = value && reference.tables[segment.table][value];
+    return info ? info.name : null;
+  }
+
+  // ==================== COMPARISON ====================
+  /**
+   * Segments of an OCR invoice's bu_code that differ from the ledger line it
+   * was paid from; empty when they agree or the invoice has no bu_code
+   * @returns {Array<{ segment, label, coded, coded_name, ledger, ledger_name }>}
+   */
+  function compareCoding(ocr, ledger, reference) {
+    if (!ocr || !ledger) return [];
+    const coded = parseGlAccount(ocr.bu_code, reference);
+    const paid = glAccountOf(ledger, reference);
+
+    return COMPARED_SEGMENTS.map(({ key, ledgerField }) => {
+      const codedValue = coded.segments[key];
+      const ledgerValue = (ledger[ledgerField] && String(ledger[ledgerField])) || paid.segments[key];
+      if (!codedValue || !ledgerValue || codedValue === ledgerValue) return null;
+      return {
+        segment: key,
+        label: SEGMENTS.find(entry => entry.key === key).label,
+        coded: codedValue,
+        coded_name: nameOf(key, codedValue, reference),
+        ledger: ledgerValue,
+        ledger_name: nameOf(key, ledgerValue, reference)
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * One line per mismatch: "Business Unit 53902026 coded, paid from 53902028"
+   */
+  function describeMismatches(mismatches) {
+    return mismatches.map(entry => `${entry.label} ${entry.coded} coded, paid from ${entry.ledger}`);
+  }
+
+  // ==================== REPORT ====================
+  /**
+   * Invoices whose coded business unit, fund or project differs from the
+   * ledger line that paid them, largest amount first.
+   * @param {Array<{ ocr, ledger }>} pairs - matched OCR invoices and ledger lines
+   * @param {Object} options - { reference: gl-account.js createGlReference() result,
+   *   vendorOf(ledger) → vendors.json entry or null }
+   */
+  function findCrossBuCharges(pairs, { reference, vendorOf = () => null }) {
+    const charges = [];
+    pairs.forEach(({ ocr, ledger }) => {
+      const mismatches = compareCoding(ocr, ledger, reference);
+      if (mismatches.length === 0) return;
+      const vendor = vendorOf(ledger);
+      charges.push({
+        vendor: vendor ? vendor.display_name : (ledger.vendor_name || ocr.vendor_name || null),
+        vendor_guid: vendor ? vendor.guid : (ledger.vendor_guid || null),
+        invoice_number: ocr.invoice_number || ledger.invoice_number || null,
+        invoice_date: ledger.invoice_date || ocr.invoice_date || null,
+        amount: roundCents(Number(ledger.amount) || 0),
+        ledger_document: ledger.document_number || null,
+        source_page: ocr.meta_source_page || null,
+        coded_account: ocr.bu_code,
+        ledger_account: ledger.gl_account_string || null,
+        mismatches
+      });
+    });
+    return charges.sort((a, b) => b.amount - a.amount);
+  }
+
+  /**
+   * Group charges by vendor, and within a vendor by amount, so a rate billed
+   * to the wrong business unit week after week shows as one line
+   * @returns {Array<{ vendor, vendor_guid, count, amount, amounts: Array<{ amount, count, charges }> }>}
+   *   largest vendor total first
+   */
+  function groupCharges(charges) {
+    const byVendor = new Map();
+    charges.forEach(charge => {
+      const key = charge.vendor_guid || charge.vendor || 'Unknown';
+      if (!byVendor.has(key)) {
+        byVendor.set(key, { vendor: charge.vendor || 'Unknown', vendor_guid: charge.vendor_guid, count: 0, amount: 0, byAmount: new Map() });
+      }
+      const group = byVendor.get(key);
+      group.count++;
+      group.amount += charge.amount;
+      if (!group.byAmount.has(charge.amount)) group.byAmount.set(charge.amount, []);
+      group.byAmount.get(charge.amount).push(charge);
+    });
+
+    return [...byVendor.values()]
+      .map(({ byAmount, ...group }) => ({
+        ...group,
+        amount: roundCents(group.amount),
+        amounts: [...byAmount.entries()]
+          .sort((a, b) => b[0] - a[0])
+          .map(([amount, list]) => ({ amount, count: list.length, charges: list }))
+      }))
+      .sort((a, b) => b.amount - a.amount);
+  }
+
+  return {
+    COMPARED_SEGMENTS,
+    compareCoding,
+    describeMismatches,
+    findCrossBuCharges,
+    groupCharges
+  };
+});
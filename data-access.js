@@ -0,0 +1,404 @@
+/**
+ * Shared Data Access Library
+ *
+ * One implementation of the parsing helpers used by the pipeline scripts and
+ * the HTML dashboards:
+ * - CSV reading and writing (quoted fields, embedded newlines, BOM)
+ * - OCR JSON recovery (strips "Image X of Y" prefixes and code fences,
+ *   closes truncated objects)
+ * - Money parsing ("$1,234.56", "-$7000.00", "(45.00)"), cent rounding and ratios
+ * - Date normalization to YYYY-MM-DD and day arithmetic
+ * - Vendor resolution against the registry (vendors.json) by vendor ID or alias
+ * - Change journal lookup (runs/change-journal.jsonl, see change-journal.js)
+ *
+ * Node:    const { parseCSV, parseOCR } = require('./data-access');
+ * Browser: <script src="data-access.js"></script> exposes window.DataAccess
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DataAccess = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ==================== CSV ====================
+  /**
+   * Parse CSV text into { headers, data } where data is an array of objects
+   * keyed by header. Blank lines are dropped.
+   */
+  function parseCSV(text) {
+    const rows = [];
+    let currentRow = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') {
+        if (inQuotes && text[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === ',' && !inQuotes) {
+        currentRow.push(current);
+        current = '';
+      } else if ((char === '\n' || (char === '\r' && text[i + 1] !== '\n')) && !inQuotes) {
+        currentRow.push(current);
+        if (currentRow.some(c => c.trim())) rows.push(currentRow);
+        currentRow = [];
+        current = '';
+      } else if (char === '\r' && !inQuotes) {
+        // skip
+      } else {
+        current += char;
+      }
+    }
+    if (current || currentRow.length > 0) {
+      currentRow.push(current);
+      if (currentRow.some(c => c.trim())) rows.push(currentRow);
+    }
+
+    if (rows.length === 0) return { headers: [], data: [] };
+
+    const headers = rows[0].map(h => h.trim().replace(/^\uFEFF/, ''));
+    const data = rows.slice(1).map(row => {
+      const obj = {};
+      headers.forEach((h, i) => {
+        obj[h] = row[i] || '';
+      });
+      return obj;
+    });
+
+    return { headers, data };
+  }
+
+  function escapeCSVField(field) {
+    if (field === null || field === undefined) return '';
+    const str = String(field);
+    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+      return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+  }
+
+  /**
+   * Serialize rows back to CSV text using the given header order
+   */
+  function formatCSV(headers, data) {
+    const lines = [headers.map(escapeCSVField).join(',')];
+
+    data.forEach(row => {
+      const values = headers.map(h => escapeCSVField(row[h]));
+      lines.push(values.join(','));
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Write rows to a CSV file (Node only)
+   */
+  function writeCSV(headers, data, outputPath) {
+    const fs = require('fs');
+    fs.writeFileSync(outputPath, formatCSV(headers, data), 'utf8');
+  }
+
+  // ==================== OCR ====================
+  /**
+   * Parse an OCR JSON field, recovering from the wrappers and truncation the
+   * extraction step produces. Returns null when the field cannot be parsed.
+   */
+  function parseOCR(ocrField) {
+    if (!ocrField) return null;
+    try {
+      // Remove "Image X of Y" prefix if present
+      let cleaned = ocrField.replace(/^Image \d+ of \d+\s*\n?/i, '');
+      cleaned = cleaned.replace(/```json\n?/g, '').replace(/```/g, '').trim();
+
+      // Try to complete truncated JSON
+      if (!cleaned.endsWith('}')) {
+        const lastBrace = cleaned.lastIndexOf('}');
+        if (lastBrace > 0) {
+          cleaned = cleaned.substring(0, lastBrace + 1);
+          const openBraces = (cleaned.match(/{/g) || []).length;
+          const closeBraces = (cleaned.match(/}/g) || []).length;
+          cleaned += '}'.repeat(openBraces - closeBraces);
+        }
+      }
+      return JSON.parse(cleaned);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // ==================== MONEY ====================
+  /**
+   * Parse a money value into a number. Accepts numbers and strings such as
+   * "$1,234.56", "-$7000.00" and "(45.00)" (accounting negative).
+   * Returns null for empty or unparseable values.
+   */
+  function parseMoney(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    let str = String(value).trim();
+    if (!str) return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(str)) {
+      negative = true;
+      str = str.slice(1, -1);
+    }
+    if (str.startsWith('-')) {
+      negative = !negative;
+      str = str.slice(1);
+    }
+
+    str = str.replace(/[$,\s]/g, '');
+    if (!/^\d*\.?\d+$|^\d+\.$/.test(str)) return null;
+
+    const amount = parseFloat(str);
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Round to whole cents (never -0)
+   */
+  function roundCents(value) {
+    return Math.round(value * 100) / 100 || 0;
+  }
+
+  /**
+   * numerator / denominator rounded to digits decimals, or null when the
+   * denominator is 0
+   */
+  function ratio(numerator, denominator, digits = 2) {
+    if (!denominator) return null;
+    const scale = Math.pow(10, digits);
+    return Math.round((numerator / denominator) * scale) / scale || 0;
+  }
+
+  // ==================== DATES ====================
+  /**
+   * Normalize a date to YYYY-MM-DD. Handles ISO dates (with or without a time
+   * part), M/D/YYYY and M/D/YY. Values in any other format are returned trimmed
+   * but otherwise unchanged; empty values become ''.
+   */
+  function normalizeDate(dateStr) {
+    if (!dateStr) return '';
+    const str = String(dateStr).trim();
+
+    // ISO format: 2024-09-01 or 2024-09-01T00:00:00Z
+    const isoMatch = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/);
+    if (isoMatch) {
+      return `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+    }
+
+    // US format: 9/1/2024, 09/01/2024 or 9/1/24
+    const usMatch = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (usMatch) {
+      const month = usMatch[1].padStart(2, '0');
+      const day = usMatch[2].padStart(2, '0');
+      const year = usMatch[3].length === 2 ? `20${usMatch[3]}` : usMatch[3];
+      return `${year}-${month}-${day}`;
+    }
+
+    return str;
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * YYYY-MM-DD date the given number of days after (or before) a YYYY-MM-DD date
+   */
+  function addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Whole days from one YYYY-MM-DD date to another (negative when last is earlier)
+   */
+  function daysBetween(first, last) {
+    return Math.round((Date.parse(last) - Date.parse(first)) / DAY_MS);
+  }
+
+  // ==================== VENDORS ====================
+  /**
+   * Key used to compare vendor names: quotes dropped, case and repeated
+   * whitespace ignored
+   */
+  function vendorNameKey(name) {
+    return String(name || '').replace(/"/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Build lookups over the vendor registry (parsed vendors.json), the only
+   * place vendor names are mapped. A vendor resolves by its vendor ID or one of
+   * its alternate_vendor_ids first, then by its canonical name, display name or
+   * any alias. byGuid() also follows the merged_guids of entries folded into
+   * another. Throws when two vendors claim the same GUID, ID or name.
+   * @returns {{ vendors, resolve(name, id), byGuid(guid), isSameVendor(nameA, nameB) }}
+   */
+  function createVendorRegistry(registry) {
+    const byGuid = new Map();
+    const byId = new Map();
+    const byName = new Map();
+
+    function claim(map, key, vendor, what) {
+      const existing = map.get(key);
+      if (existing && existing !== vendor) {
+        throw new Error(`vendors.json: ${what} "${key}" belongs to both ${existing.guid} and ${vendor.guid}`);
+      }
+      map.set(key, vendor);
+    }
+
+    registry.vendors.forEach(vendor => {
+      [vendor.guid, ...(vendor.merged_guids || [])].forEach(guid => claim(byGuid, guid, vendor, 'GUID'));
+      [vendor.vendor_id, ...(vendor.alternate_vendor_ids || [])].forEach(id => {
+        if (id) claim(byId, String(id), vendor, 'vendor ID');
+      });
+      [vendor.canonical_name, vendor.display_name, ...(vendor.aliases || [])].forEach(name => {
+        if (name) claim(byName, vendorNameKey(name), vendor, 'name');
+      });
+    });
+
+    /**
+     * Registry entry for a vendor name and/or ID, or null when it is not registered
+     */
+    function resolve(name, id) {
+      return (id && byId.get(String(id).trim())) || byName.get(vendorNameKey(name)) || null;
+    }
+
+    /**
+     * Same registered vendor; names outside the registry compare by name key
+     */
+    function isSameVendor(nameA, nameB) {
+      const a = resolve(nameA);
+      const b = resolve(nameB);
+      if (a && b) return a.guid === b.guid;
+      return vendorNameKey(nameA) === vendorNameKey(nameB);
+    }
+
+    return {
+      vendors: registry.vendors,
+      resolve,
+      byGuid: guid => byGuid.get(guid) || null,
+      isSameVendor
+    };
+  }
+
+  /**
+   * Read vendors.json into a registry (Node only)
+   */
+  function readVendorRegistry(vendorsPath) {
+    const fs = require('fs');
+    return createVendorRegistry(JSON.parse(fs.readFileSync(vendorsPath, 'utf8')));
+  }
+
+  /**
+   * Fetch vendors.json into a registry (browser)
+   */
+  async function loadVendorRegistry() {
+    const response = await fetch('./vendors.json');
+    if (!response.ok) throw new Error(`vendors.json could not be loaded (${response.status})`);
+    return createVendorRegistry(await response.json());
+  }
+
+  // ==================== PIPELINE ARTIFACTS (BROWSER) ====================
+  // The latest pipeline run (runs/latest.json) maps artifact names to their
+  // run directory; fall back to the files next to the page when there is none
+  let artifactIndexPromise = null;
+
+  /**
+   * Resolve the URL of a published pipeline artifact such as "data.csv"
+   */
+  async function resolveArtifactUrl(filename) {
+    if (!artifactIndexPromise) {
+      artifactIndexPromise = fetch('./runs/latest.json')
+        .then(response => response.ok ? response.json() : null)
+        .catch(() => null);
+    }
+    const index = await artifactIndexPromise;
+    const artifactPath = index && index.artifacts && index.artifacts[filename];
+    return artifactPath ? `./${artifactPath}` : `./${filename}`;
+  }
+
+  // ==================== CHANGE JOURNAL ====================
+  /**
+   * Parse JSON lines text, skipping blank or malformed lines
+   */
+  function parseJSONLines(text) {
+    return String(text || '').split('\n').reduce((entries, line) => {
+      if (!line.trim()) return entries;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // A partially written last line is not fatal
+      }
+      return entries;
+    }, []);
+  }
+
+  /**
+   * Load the published change journal (browser). Resolves to [] when the
+   * pipeline has not produced one yet.
+   */
+  async function loadChangeJournal() {
+    try {
+      const response = await fetch(await resolveArtifactUrl('change-journal.jsonl'));
+      return response.ok ? parseJSONLines(await response.text()) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Select the journal entries for one invoice, oldest first. An entry matches
+   * when its GUID, page or Drive file ID is among the given keys; entries with
+   * no page (ledger records) match on invoice number before or after the change.
+   * @param {Array} entries - journal entries
+   * @param {Object} keys - { guids, pages, fileIds, invoiceNumbers } arrays
+   */
+  function findChangeHistory(entries, keys) {
+    const guids = new Set((keys.guids || []).filter(Boolean));
+    const pages = new Set((keys.pages || []).filter(Boolean).map(Number));
+    const fileIds = new Set((keys.fileIds || []).filter(Boolean));
+    const numbers = new Set((keys.invoiceNumbers || []).filter(Boolean).map(String));
+
+    return entries
+      .filter(entry =>
+        guids.has(entry.record_guid) ||
+        pages.has(Number(entry.page)) ||
+        fileIds.has(entry.file_id) ||
+        (!entry.page && (numbers.has(String(entry.invoice_number)) ||
+          (/invoice_number$/.test(entry.field) && numbers.has(String(entry.new_value))))))
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  }
+
+  return {
+    parseCSV,
+    escapeCSVField,
+    formatCSV,
+    writeCSV,
+    parseOCR,
+    parseMoney,
+    roundCents,
+    ratio,
+    normalizeDate,
+    addDays,
+    daysBetween,
+    vendorNameKey,
+    createVendorRegistry,
+    readVendorRegistry,
+    loadVendorRegistry,
+    resolveArtifactUrl,
+    parseJSONLines,
+    loadChangeJournal,
+    findChangeHistory
+  };
+});
@@ -0,0 +1,319 @@
+/**
+ * Duplicate Billing Detection
+ *
+ * Finds pairs of invoices that may bill the same thing twice, beyond the exact
+ * fingerprint duplicates apply-data-corrections.js removes:
+ *   confirmation_night  the same confirmation number and night on both
+ *                       invoices (see lodging-analytics.js)
+ *   timesheet_week      the same worker and timesheet week on both invoices of
+ *                       a staffing vendor (vendors.json category "staffing")
+ *   same_amount         the same vendor and total within windowDays under a
+ *                       different invoice number, or both unnumbered
+ *
+ * windowDays comes from match-config.json (duplicate_billing.
+ * same_amount_window_days, see windowDaysFromConfig), DEFAULT_WINDOW_DAYS when
+ * it sets none.
+ *
+ * A same_amount pair is dropped when the line items show the two invoices bill
+ * different things: timesheets for different weeks, or different stay nights.
+ * Its score falls with the days between the invoices, and halves when they are
+ * numbered in sequence (a batch of bills, e.g. one per unit, issued together).
+ * Every pair gets a score from 0 to 1, combined over its reasons, and pairs are
+ * ranked by score and then by the amount at stake.
+ *
+ * Node:    const { findDuplicateBillings } = require('./duplicate-billing');
+ * Browser: <script src="duplicate-billing.js"></script> exposes window.DuplicateBilling
+ *          (load data-access.js and lodging-analytics.js first)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./data-access'), require('./lodging-analytics'));
+  } else {
+    root.DuplicateBilling = factory(root.DataAccess, root.LodgingAnalytics);
+  }
+})(typeof self !== 'undefined' ? self : this, function (DataAccess, LodgingAnalytics) {
+  'use strict';
+
+  const { roundCents, daysBetween } = DataAccess;
+
+  const DEFAULT_WINDOW_DAYS = 14;
+  // Invoice numbers this close under the same prefix were issued as a batch
+  const SEQUENCE_GAP = 10;
+  const STAFFING_CATEGORY = 'staffing';
+
+  const KIND_LABELS = {
+    confirmation_night: 'Same stay night',
+    timesheet_week: 'Same timesheet week',
+    same_amount: 'Same amount, close dates'
+  };
+
+  // Timesheet week in a labor line: "REG 09/01", "REG 09 15", "period 10/06", "- 09/22,"
+  const WEEK_PATTERNS = [
+    /\b(?:REG|OT|period)\s+(\d{1,2})[/ ](\d{1,2})\b/i,
+    /(?:^|[\s-])(\d{1,2})\/(\d{1,2})(?=[,\s]|$)/
+  ];
+
+  function cents(value) {
+    return typeof value === 'number' ? Math.round(value * 100) : null;
+  }
+
+  function daysApart(a, b) {
+    return Math.abs(daysBetween(a, b));
+  }
+
+  function normalizeInvoiceNumber(number) {
+    return String(number || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * same_amount window of a match-config.json object
+   */
+  function windowDaysFromConfig(config) {
+    const days = config && config.duplicate_billing && config.duplicate_billing.same_amount_window_days;
+    if (days === undefined || days === null) return DEFAULT_WINDOW_DAYS;
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error('match-config.json: duplicate_billing.same_amount_window_days must be a whole number of days');
+    }
+    return days;
+  }
+
+  function numberedInSequence(a, b) {
+    const split = number => normalizeInvoiceNumber(number).match(/^(.*?)(\d+)$/);
+    const [x, y] = [split(a), split(b)];
+    return Boolean(x && y && x[1] === y[1] && Math.abs(Number(x[2]) - Number(y[2])) <= SEQUENCE_GAP);
+  }
+
+  // ==================== TIMESHEETS ====================
+  function nameTokens(name) {
+    return String(name || '').toLowerCase().split(/[^a-z]+/).filter(token => token.length > 1);
+  }
+
+  /**
+   * Last name and first initial, for "David O Craven" and "Craven, David O" alike
+   */
+  function workerKey(name) {
+    const text = String(name || '');
+    const [before, after] = text.includes(',') ? text.split(',') : [null, text];
+    const tokens = nameTokens(after);
+    const last = before !== null ? nameTokens(before).pop() : tokens.pop();
+    const first = tokens[0];
+    return last && first ? `${last}|${first[0]}` : null;
+  }
+
+  /**
+   * Week a labor line bills: the date its description names, or the invoice
+   * date (staffing invoices are dated at the week ending)
+   */
+  function lineWeek(description, invoiceDate) {
+    const pattern = WEEK_PATTERNS.find(candidate => candidate.test(description));
+    if (!pattern || !invoiceDate) return invoiceDate || null;
+    const [, month, day] = description.match(pattern);
+    let year = Number(invoiceDate.slice(0, 4));
+    const date = () => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (Number.isNaN(Date.parse(date()))) return invoiceDate;
+    // A week named in January of a December invoice belongs to the year before
+    if (daysBetween(invoiceDate, date()) > 60) year--;
+    return date();
+  }
+
+  /**
+   * Worker-weeks billed on one invoice, keyed by worker and week
+   * @returns {Map<string, { worker, week, hours, amount }>}
+   */
+  function timesheetWeeks(invoice) {
+    const employees = (invoice.employee_names || []).map(name => ({ name, tokens: nameTokens(name), key: workerKey(name) }));
+    const weeks = new Map();
+    (invoice.line_items || []).forEach(item => {
+      if (!item || item.category !== 'labor' || typeof item.amount !== 'number') return;
+      const description = String(item.description || '');
+      const descriptionTokens = new Set(nameTokens(description));
+      const named = employees
+        .filter(employee => employee.key && employee.tokens.every(token => descriptionTokens.has(token)))
+        .sort((a, b) => b.tokens.length - a.tokens.length)[0];
+      const employee = named || (employees.length === 1 ? employees[0] : null);
+      const week = lineWeek(description, invoice.invoice_date);
+      if (!employee || !employee.key || !week) return;
+
+      const key = `${employee.key}|${week}`;
+      if (!weeks.has(key)) weeks.set(key, { worker: employee.name, week, hours: 0, amount: 0 });
+      const entry = weeks.get(key);
+      entry.hours = roundCents(entry.hours + (typeof item.quantity === 'number' ? item.quantity : 0));
+      entry.amount = roundCents(entry.amount + item.amount);
+    });
+    return weeks;
+  }
+
+  // ==================== PAIRS ====================
+  function pairKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  function invoiceSummary(entry) {
+    const inv = entry.invoice;
+    return {
+      id: entry.id,
+      invoice_number: inv.invoice_number || null,
+      vendor: entry.vendorName,
+      invoice_date: inv.invoice_date || null,
+      invoice_total: typeof inv.invoice_total === 'number' ? inv.invoice_total : null
+    };
+  }
+
+  /**
+   * Rank invoice pairs that may bill the same thing twice
+   * @param {Array} invoices - OCR invoices
+   * @param {Object} [options]
+   * @param {Function} [options.idOf] - invoice => unique id (default invoice_guid)
+   * @param {Function} [options.vendorOf] - invoice => vendors.json entry or null
+   * @param {number} [options.windowDays] - same_amount date window
+   * @returns {Array<{ rank, score, amount, kinds: string[], invoices: Array, reasons: Array<{ kind, score, amount, message }> }>}
+   */
+  function findDuplicateBillings(invoices, options = {}) {
+    const idOf = options.idOf || (inv => inv.invoice_guid);
+    const vendorOf = options.vendorOf || (() => null);
+    const windowDays = options.windowDays ?? DEFAULT_WINDOW_DAYS;
+
+    const entries = invoices.map(invoice => {
+      const vendor = vendorOf(invoice);
+      return {
+        invoice,
+        id: idOf(invoice),
+        vendor,
+        vendorKey: vendor ? vendor.guid : String(invoice.vendor_name || '').trim().toLowerCase(),
+        vendorName: vendor ? vendor.display_name : invoice.vendor_name || null,
+        weeks: vendor && vendor.category === STAFFING_CATEGORY ? timesheetWeeks(invoice) : new Map(),
+        stayNights: new Set()
+      };
+    });
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const pairs = new Map();
+    const addReason = (idA, idB, reason) => {
+      const key = pairKey(idA, idB);
+      if (!pairs.has(key)) pairs.set(key, { ids: [idA, idB].sort(), reasons: [] });
+      pairs.get(key).reasons.push(reason);
+    };
+
+    // Same confirmation number and night
+    const { nights } = LodgingAnalytics.buildGuestStays(entries.map(entry => ({ ...entry.invoice, invoice_guid: entry.id })));
+    nights.forEach(night => {
+      if (night.confirmation && night.count > 0) byId.get(night.invoice_guid).stayNights.add(`${night.confirmation}|${night.date}`);
+    });
+    LodgingAnalytics.findOverlappingStays(nights).forEach(overlap => {
+      const [a, b] = overlap.invoices.map(inv => inv.invoice_guid);
+      addReason(a, b, {
+        kind: 'confirmation_night',
+        score: overlap.night_count >= 3 ? 0.95 : 0.85,
+        amount: overlap.amount,
+        message: `Confirmation ${overlap.confirmation_number}: ${overlap.night_count} night(s) on both (${overlap.nights[0]}` +
+          `${overlap.night_count > 1 ? ` to ${overlap.nights[overlap.nights.length - 1]}` : ''})`
+      });
+    });
+
+    // Same worker and timesheet week
+    const weekOwners = new Map();
+    entries.forEach(entry => {
+      entry.weeks.forEach((week, key) => {
+        const ownerKey = `${entry.vendorKey}|${key}`;
+        if (!weekOwners.has(ownerKey)) weekOwners.set(ownerKey, []);
+        weekOwners.get(ownerKey).push({ entry, week });
+      });
+    });
+    const sharedWeeks = new Map();
+    weekOwners.forEach(owners => {
+      for (let i = 0; i < owners.length; i++) {
+        for (let j = i + 1; j < owners.length; j++) {
+          if (owners[i].entry.id === owners[j].entry.id) continue;
+          const key = pairKey(owners[i].entry.id, owners[j].entry.id);
+          if (!sharedWeeks.has(key)) sharedWeeks.set(key, { a: owners[i].entry, b: owners[j].entry, weeks: [] });
+          const shared = sharedWeeks.get(key);
+          shared.weeks.push(owners[i].entry === shared.a ? [owners[i].week, owners[j].week] : [owners[j].week, owners[i].week]);
+        }
+      }
+    });
+    sharedWeeks.forEach(({ a, b, weeks }) => {
+      const identical = weeks.every(([x, y]) => x.hours === y.hours && x.amount === y.amount);
+      const [numberA, numberB] = [a, b].map(entry => entry.invoice.invoice_number || 'N/A');
+      addReason(a.id, b.id, {
+        kind: 'timesheet_week',
+        score: identical ? 0.9 : 0.6,
+        amount: roundCents(weeks.reduce((sum, [x, y]) => sum + Math.min(x.amount, y.amount), 0)),
+        message: weeks.map(([x, y]) => `${x.worker}, week of ${x.week}: ` +
+          (x.hours === y.hours && x.amount === y.amount
+            ? `${x.hours} hrs ($${x.amount.toFixed(2)}) on both`
+            : `${x.hours} hrs ($${x.amount.toFixed(2)}) on ${numberA}, ${y.hours} hrs ($${y.amount.toFixed(2)}) on ${numberB}`)).join('; ')
+      });
+    });
+
+    // Same vendor and amount within the window
+    const byVendorAmount = new Map();
+    entries.forEach(entry => {
+      const total = cents(entry.invoice.invoice_total);
+      if (!total || total <= 0 || !entry.invoice.invoice_date || !entry.vendorKey) return;
+      const key = `${entry.vendorKey}|${total}`;
+      if (!byVendorAmount.has(key)) byVendorAmount.set(key, []);
+      byVendorAmount.get(key).push(entry);
+    });
+    const billsDifferentThings = (a, b) => {
+      const disjoint = (x, y) => x.size > 0 && y.size > 0 && ![...x].some(key => y.has(key));
+      return disjoint(new Set(a.weeks.keys()), new Set(b.weeks.keys())) || disjoint(a.stayNights, b.stayNights);
+    };
+    byVendorAmount.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const [a, b] = [group[i], group[j]];
+          if (a.id === b.id) continue;
+          // One invoice under one number is not a duplicate; two unnumbered bills may be
+          const number = normalizeInvoiceNumber(a.invoice.invoice_number);
+          if (number && number === normalizeInvoiceNumber(b.invoice.invoice_number)) continue;
+          const days = daysApart(a.invoice.invoice_date, b.invoice.invoice_date);
+          if (days > windowDays || billsDifferentThings(a, b)) continue;
+          const inSequence = numberedInSequence(a.invoice.invoice_number, b.invoice.invoice_number);
+          addReason(a.id, b.id, {
+            kind: 'same_amount',
+            score: roundCents((0.3 + 0.4 * (1 - days / (windowDays + 1))) * (inSequence ? 0.5 : 1)),
+            amount: a.invoice.invoice_total,
+            message: `$${a.invoice.invoice_total.toFixed(2)} from ${a.vendorName || 'the same vendor'} ` +
+              `${days === 0 ? 'on the same day' : `${days} day(s) apart`} under invoice numbers ` +
+              `${a.invoice.invoice_number || 'N/A'} and ${b.invoice.invoice_number || 'N/A'}` +
+              `${inSequence ? ' (numbered in sequence)' : ''}`
+          });
+        }
+      }
+    });
+
+    return [...pairs.values()]
+      .map(pair => ({
+        score: roundCents(1 - pair.reasons.reduce((product, reason) => product * (1 - reason.score), 1)),
+        amount: Math.max(...pair.reasons.map(reason => reason.amount || 0)),
+        kinds: [...new Set(pair.reasons.map(reason => reason.kind))],
+        invoices: pair.ids.map(id => invoiceSummary(byId.get(id))),
+        reasons: pair.reasons.sort((a, b) => b.score - a.score)
+      }))
+      .sort((a, b) => b.score - a.score || b.amount - a.amount)
+      .map((pair, idx) => ({ rank: idx + 1, ...pair }));
+  }
+
+  /**
+   * Suspicious pairs each invoice is part of
+   * @returns {Map<string, Array<{ pair, other }>>} invoice id -> pairs, with the other invoice
+   */
+  function pairsByInvoice(pairs) {
+    const result = new Map();
+    pairs.forEach(pair => {
+      pair.invoices.forEach((inv, idx) => {
+        if (!result.has(inv.id)) result.set(inv.id, []);
+        result.get(inv.id).push({ pair, other: pair.invoices[1 - idx] });
+      });
+    });
+    return result;
+  }
+
+  return {
+    DEFAULT_WINDOW_DAYS,
+    KIND_LABELS,
+    windowDaysFromConfig,
+    findDuplicateBillings,
+    pairsByInvoice
+  };
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * ARPA Burn-down Generator
+ *
+ * Builds arpa-burndown.json from the ledger (invoices and payroll journals of
+ * ledger-invoices.json) and the allocations of arpa-allocations.json: spend
+ * and remaining balance by allocation and month, and the projected run-out of
+ * each allocation against the ARPA deadline (see arpa-burndown.js).
+ */
+
+const fs = require('fs');
+const { buildBurndown, STATUS_LABELS } = require('./arpa-burndown');
+
+// ==================== BUILD REPORT ====================
+function generateArpaBurndown(paths) {
+  console.log('Loading data files...');
+  const ledger = JSON.parse(fs.readFileSync(paths.ledgerPath, 'utf8'));
+  const config = JSON.parse(fs.readFileSync(paths.allocationsPath, 'utf8'));
+
+  const entries = [...ledger.invoices, ...(ledger.journals || [])];
+  console.log(`  ${ledger.invoices.length} ledger invoices, ${(ledger.journals || []).length} journals`);
+  console.log(`  ${config.allocations.length} allocations of $${config.total_allocation.toFixed(2)} (${config.resolution})`);
+
+  return {
+    generated_at: new Date().toISOString(),
+    business_unit: config.business_unit,
+    resolution: config.resolution,
+    trailing_months: config.trailing_months,
+    ...buildBurndown(entries, config)
+  };
+}
+
+// ==================== MAIN ====================
+/**
+ * @param {Object} paths - { ledgerPath, allocationsPath, outputPath } supplied by pipeline.js
+ */
+function main(paths) {
+  console.log('=== Generating ARPA Burn-down ===\n');
+
+  const report = generateArpaBurndown(paths);
+
+  console.log(`\nLedger activity through ${report.as_of}, deadline ${report.deadline}`);
+  if (report.undated_entries > 0) {
+    console.log(`  ${report.undated_entries} entries have no GL date and are left out`);
+  }
+  [...report.allocations, report.totals].forEach(bucket => {
+    const remaining = bucket.remaining === null ? '' : `, $${bucket.remaining.toFixed(2)} remaining`;
+    console.log(`  ${bucket.name}: $${bucket.spent.toFixed(2)} spent${remaining}`);
+    if (bucket.projection) {
+      const { projection } = bucket;
+      console.log(`    $${projection.monthly_burn.toFixed(2)}/month over ${projection.trailing_months} months, ` +
+        `run-out ${projection.run_out_month || 'never'} (${STATUS_LABELS[projection.status]})`);
+    }
+  });
+
+  const { outputPath } = paths;
+  console.log(`\nWriting ARPA burn-down to ${outputPath}...`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), 'utf8');
+}
+
+module.exports = {
+  main,
+  generateArpaBurndown
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'generate-arpa-burndown']);
+}
@@ -8,12 +8,16 @@
  * - Full definitions explaining OCR invoice scans vs R12 Ledger data
  * - Google Drive links to source documents
  * - Connected ledger/OCR records where matches exist
+ * - Arithmetic reconciliation of every OCR invoice (see invoice-reconciliation.js)
+ * - The decoded and validated GL account string of every OCR invoice (see gl-account.js)
  * - Separate sections for unmatched records
  * - Complete metadata and field documentation
  */
 
 const fs = require('fs');
-const path = require('path');
+const { readVendorRegistry } = require('./data-access');
+const { reconcileInvoice, summarizeReconciliation } = require('./invoice-reconciliation');
+const { createGlReference, glAccountOf, summarizeGlAccounts } = require('./gl-account');
 
 // ==================== GOOGLE DRIVE URL BUILDER ====================
 const GOOGLE_DRIVE_BASE_URL = 'https://drive.google.com/open?id=';
@@ -30,31 +34,35 @@ function buildGoogleDriveViewUrl(fileId) {
 }
 
 // ==================== LOAD DATA ====================
-function loadMergedData() {
-  const mergedPath = path.join(__dirname, 'merged-data.json');
+function loadMergedData(mergedPath) {
   return JSON.parse(fs.readFileSync(mergedPath, 'utf8'));
 }
 
-function loadOcrInvoices() {
-  const ocrPath = path.join(__dirname, 'ocr-invoices.json');
+function loadOcrInvoices(ocrPath) {
   return JSON.parse(fs.readFileSync(ocrPath, 'utf8'));
 }
 
-function loadLedgerInvoices() {
-  const ledgerPath = path.join(__dirname, 'ledger-invoices.json');
+function loadLedgerInvoices(ledgerPath) {
   return JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
 }
 
-function loadMergeSummary() {
-  const summaryPath = path.join(__dirname, 'merge-summary.json');
+function loadMergeSummary(summaryPath) {
   return JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
 }
 
-// ==================== ENHANCE RECORDS WITH GOOGLE DRIVE LINKS ====================
-function enhanceOcrWithDriveLinks(ocrRecord) {
+// ==================== ENHANCE OCR RECORDS ====================
+/**
+ * OCR record with its Google Drive links, arithmetic reconciliation and
+ * decoded GL account
+ */
+function enhanceOcrRecord(ocrRecord, glReference) {
   if (!ocrRecord) return null;
 
-  const enhanced = { ...ocrRecord };
+  const enhanced = {
+    ...ocrRecord,
+    reconciliation: reconcileInvoice(ocrRecord),
+    gl_account: glAccountOf(ocrRecord, glReference)
+  };
 
   // Add Google Drive URLs for each source file
   if (ocrRecord.all_source_file_ids && ocrRecord.all_source_file_ids.length > 0) {
@@ -73,13 +81,15 @@ function enhanceOcrWithDriveLinks(ocrRecord) {
 }
 
 // ==================== BUILD COMPREHENSIVE EXPORT ====================
-function generateComprehensiveExport() {
+function generateComprehensiveExport(paths) {
   console.log('Loading data files...');
 
-  const mergedData = loadMergedData();
-  const ocrInvoices = loadOcrInvoices();
-  const ledgerInvoices = loadLedgerInvoices();
-  const mergeSummary = loadMergeSummary();
+  const mergedData = loadMergedData(paths.mergedPath);
+  const ocrInvoices = loadOcrInvoices(paths.ocrPath);
+  const ledgerInvoices = loadLedgerInvoices(paths.ledgerPath);
+  const mergeSummary = loadMergeSummary(paths.summaryPath);
+  const vendors = readVendorRegistry(paths.vendorsPath);
+  const glReference = createGlReference(JSON.parse(fs.readFileSync(paths.glAccountsPath, 'utf8')));
 
   console.log(`  - Merged data: ${mergedData.matched_invoices.length} matched pairs`);
   console.log(`  - OCR invoices: ${ocrInvoices.invoices.length} records`);
@@ -159,7 +169,9 @@ function generateComprehensiveExport() {
             "service_start/service_end - Service period dates",
             "property_name/property_address - Location details",
             "processor_name/processor_date - Internal processing info",
-            "all_source_file_ids - Google Drive file IDs for source images"
+            "all_source_file_ids - Google Drive file IDs for source images",
+            "reconciliation - Arithmetic check added by this export: status (reconciled, discrepancy, unverifiable), line total, expected vs stated invoice_total, and each failed check (quantity × unit_price per line, line items + taxes vs total, amount_paid + amount_due vs total)",
+            "gl_account - bu_code decoded by this export into its ten Oracle R12 segments (business unit, object code, subsidiary, sub-account type, project, fund, department, three reserved) with their gl-accounts.json names, a status (valid, partial, unknown_value, inconsistent, other_business_unit, invalid, missing) and each issue found; other_business_unit marks an invoice charged to a business unit other than 53902028"
           ],
           google_drive_integration: {
             description: "Each OCR record includes Google Drive file IDs that link directly to the scanned source documents",
@@ -171,19 +183,32 @@ function generateComprehensiveExport() {
 
       relationship_explanation: {
         how_data_connects: {
-          description: "Ledger and OCR data are matched using two methods, in order of reliability",
+          description: "Ledger and OCR data are matched by a weighted score over invoice number, vendor, amount and invoice date (match-config.json). match_confidence is that score; _data_sources.match_scores has the per-feature breakdown. The method names the exact evidence behind the match.",
           matching_methods: [
             {
               method: "invoice_number",
-              confidence: 0.95,
-              description: "Matched by exact invoice number + vendor name. This is the most reliable match.",
+              description: "Invoice number (ignoring punctuation) and vendor agree exactly. This is the most reliable match.",
               example: "Invoice R35086148 from Randstad appears in both ledger and OCR"
             },
             {
               method: "vendor_date_amount",
-              confidence: 0.85,
-              description: "Matched by vendor name + invoice date + exact amount. Used when invoice numbers don't match.",
+              description: "Vendor, invoice date and amount agree exactly. Used when invoice numbers don't match.",
               example: "ESA invoice from 9/8/2024 for $2,240 matched by these three fields"
+            },
+            {
+              method: "scored",
+              description: "No exact key, but the combined score cleared the threshold: e.g. a one-day date shift, a tax difference within tolerance or an OCR digit error in the invoice number.",
+              example: "Ledger invoice EG612025 matched The Ave scan with the same date and an amount within $50"
+            },
+            {
+              method: "manual",
+              description: "A reviewer linked the ledger line to the scan in ledger-view.html (match-overrides.json). The reason is in match_notes and override.",
+              example: "Reviewer linked a ledger line to the scan whose invoice number OCR misread"
+            },
+            {
+              method: "reconciliation",
+              description: "Several ledger lines add up to one OCR invoice, or one ledger line to several OCR invoices, for the same vendor within a date window. These are listed under reconciliation_groups with the residual difference (ledger total minus OCR total).",
+              example: "Two The Ave ledger lines of $1,450 and $1,400 reconcile to one $2,850 scanned invoice"
             }
           ]
         },
@@ -226,16 +251,10 @@ function generateComprehensiveExport() {
         OTHER: "Miscellaneous charges"
       },
 
-      vendor_id_reference: {
-        "19083": "Randstad North America Inc (Temporary Staffing)",
-        "1020857": "Extended Stay America / ESA Management LLC (Hotels)",
-        "1018405": "The Ave Nashville LLC / Castello Equity Partners (Hotel)",
-        "12122": "Gordon Food Service, Inc. (Food Service)",
-        "1019689": "Hillside Crossing LLC (Hotel)",
-        "1020919": "Community Care Fellowship (Services)",
-        "1021123": "Depaul USA (Services)",
-        "1020847": "97 Wallace Studios (Housing)"
-      }
+      // Registry vendors with a ledger vendor ID (vendors.json)
+      vendor_id_reference: Object.fromEntries(vendors.vendors
+        .filter(vendor => vendor.vendor_id)
+        .map(vendor => [vendor.vendor_id, `${vendor.canonical_name} (${vendor.display_name}, ${vendor.category})`]))
     },
 
     // ==================== STATISTICS SUMMARY ====================
@@ -266,7 +285,11 @@ function generateComprehensiveExport() {
           acc[type].count++;
           acc[type].total_amount += (inv.invoice_total || 0);
           return acc;
-        }, {})
+        }, {}),
+        // Line items + taxes vs invoice_total, quantity × unit_price, paid + due
+        reconciliation: summarizeReconciliation(ocrInvoices.invoices.map(reconcileInvoice)),
+        // bu_code segments checked against gl-accounts.json
+        gl_accounts: summarizeGlAccounts(ocrInvoices.invoices.map(inv => glAccountOf(inv, glReference)))
       },
 
       matching_results: {
@@ -277,8 +300,13 @@ function generateComprehensiveExport() {
         unmatched_ocr_invoices: mergedData.ocr_only?.length || 0,
         by_match_type: {
           invoice_number_matches: mergedData.matched_invoices.filter(m => m._data_sources?.match_type === 'invoice_number').length,
-          vendor_date_amount_matches: mergedData.matched_invoices.filter(m => m._data_sources?.match_type === 'vendor_date_amount').length
-        }
+          vendor_date_amount_matches: mergedData.matched_invoices.filter(m => m._data_sources?.match_type === 'vendor_date_amount').length,
+          scored_matches: mergedData.matched_invoices.filter(m => m._data_sources?.match_type === 'scored').length,
+          manual_matches: mergedData.matched_invoices.filter(m => m._data_sources?.match_type === 'manual').length
+        },
+        reconciliation_groups: (mergedData.reconciliation_groups || []).length,
+        reconciled_ledger_lines: (mergedData.reconciliation_groups || []).reduce((sum, g) => sum + g.ledger.length, 0),
+        reconciled_ocr_invoices: (mergedData.reconciliation_groups || []).reduce((sum, g) => sum + g.ocr.length, 0)
       }
     },
 
@@ -290,7 +318,9 @@ function generateComprehensiveExport() {
         has_ocr_data: true,
         match_method: match._data_sources?.match_type,
         match_confidence: match._data_sources?.match_confidence,
-        match_notes: match._data_sources?.match_notes
+        match_notes: match._data_sources?.match_notes,
+        match_scores: match._data_sources?.match_scores,
+        override: match._data_sources?.override
       },
 
       // Unified/reconciled view
@@ -319,7 +349,7 @@ function generateComprehensiveExport() {
 
       // Complete OCR record with Google Drive links (source for detail data)
       ocr: match.ocr ? {
-        ...enhanceOcrWithDriveLinks(match.ocr),
+        ...enhanceOcrRecord(match.ocr, glReference),
         _source: "OCR Extraction from Scanned Invoice",
         _authority: "SUPPLEMENTARY"
       } : null,
@@ -363,6 +393,40 @@ function generateComprehensiveExport() {
       } : null
     })),
 
+    // ==================== RECONCILIATION GROUPS (N:1 AND 1:N) ====================
+    reconciliation_groups: {
+      _section_info: {
+        description: "Ledger lines and OCR invoices of one vendor whose amounts add up as a group: split ledger postings for one scanned invoice, or one payment covering several scanned folios",
+        record_count: (mergedData.reconciliation_groups || []).length,
+        residual_definition: "Ledger total minus OCR total; within the reconciliation tolerance in match-config.json"
+      },
+      groups: (mergedData.reconciliation_groups || []).map(group => ({
+        _match_info: {
+          group_id: group.group_id,
+          kind: group.kind,
+          has_ledger_data: true,
+          has_ocr_data: true,
+          match_method: "reconciliation",
+          match_confidence: group._data_sources?.match_confidence,
+          match_notes: group._data_sources?.match_notes
+        },
+        ledger_total: group.ledger_total,
+        ocr_total: group.ocr_total,
+        residual: group.residual,
+        unified: group.unified,
+        ledger: group.ledger.map(record => ({
+          ...record,
+          _source: "R12 Financial System Export",
+          _authority: "PRIMARY"
+        })),
+        ocr: group.ocr.map(record => ({
+          ...enhanceOcrRecord(record, glReference),
+          _source: "OCR Extraction from Scanned Invoice",
+          _authority: "SUPPLEMENTARY"
+        }))
+      }))
+    },
+
     // ==================== LEDGER-ONLY INVOICES (No OCR Match) ====================
     ledger_only_invoices: {
       _section_info: {
@@ -418,7 +482,7 @@ function generateComprehensiveExport() {
         },
         ledger: null,
         ocr: record.ocr ? {
-          ...enhanceOcrWithDriveLinks(record.ocr),
+          ...enhanceOcrRecord(record.ocr, glReference),
           _source: "OCR Extraction from Scanned Invoice",
           _authority: "SUPPLEMENTARY - NOT CONFIRMED IN LEDGER"
         } : null,
@@ -454,18 +518,18 @@ function generateComprehensiveExport() {
 
     // ==================== VENDOR SUMMARY ====================
     vendor_summary: (() => {
-      const vendors = {};
-
-      // Process matched invoices
-      mergedData.matched_invoices.forEach(match => {
-        const vendorName = match.ledger?.vendor_name || match.ocr?.vendor_name;
-        const vendorId = match.ledger?.vendor_id || match.ocr?.vendor_id;
-        if (!vendorName) return;
-
-        if (!vendors[vendorName]) {
-          vendors[vendorName] = {
-            vendor_name: vendorName,
-            vendor_id: vendorId,
+      // Keyed by vendor GUID; names and IDs come from the registry
+      const summaries = {};
+
+      function summaryFor(record, vendorName, vendorId) {
+        const vendor = (record?.vendor_guid && vendors.byGuid(record.vendor_guid)) ||
+          vendors.resolve(vendorName, vendorId);
+        const key = vendor ? vendor.guid : `unregistered:${vendorName}`;
+        if (!summaries[key]) {
+          summaries[key] = {
+            vendor_guid: vendor ? vendor.guid : null,
+            vendor_name: vendor ? vendor.display_name : vendorName,
+            vendor_id: vendor ? vendor.vendor_id : vendorId,
             matched_invoice_count: 0,
             ledger_only_count: 0,
             ocr_only_count: 0,
@@ -474,10 +538,31 @@ function generateComprehensiveExport() {
             invoice_numbers: []
           };
         }
-        vendors[vendorName].matched_invoice_count++;
-        vendors[vendorName].total_ledger_amount += (match.ledger?.amount || match.ledger?.debit || 0);
-        vendors[vendorName].total_ocr_amount += (match.ocr?.invoice_total || 0);
-        vendors[vendorName].invoice_numbers.push(match.ledger?.invoice_number || match.ocr?.invoice_number);
+        return summaries[key];
+      }
+
+      // Process matched invoices
+      mergedData.matched_invoices.forEach(match => {
+        const vendorName = match.ledger?.vendor_name || match.ocr?.vendor_name;
+        if (!vendorName) return;
+
+        const summary = summaryFor(match.unified, vendorName, match.ledger?.vendor_id || match.ocr?.vendor_id);
+        summary.matched_invoice_count++;
+        summary.total_ledger_amount += (match.ledger?.amount || match.ledger?.debit || 0);
+        summary.total_ocr_amount += (match.ocr?.invoice_total || 0);
+        summary.invoice_numbers.push(match.ledger?.invoice_number || match.ocr?.invoice_number);
+      });
+
+      // Process reconciliation groups (each group counts as one matched invoice)
+      (mergedData.reconciliation_groups || []).forEach(group => {
+        const vendorName = group.unified?.vendor_name;
+        if (!vendorName) return;
+
+        const summary = summaryFor(group.unified, vendorName, group.ledger[0]?.vendor_id);
+        summary.matched_invoice_count++;
+        summary.total_ledger_amount += group.ledger_total;
+        summary.total_ocr_amount += group.ocr_total;
+        summary.invoice_numbers.push(...(group.unified?.invoice_numbers || []));
       });
 
       // Process ledger-only
@@ -485,21 +570,10 @@ function generateComprehensiveExport() {
         const vendorName = record.ledger?.vendor_name;
         if (!vendorName) return;
 
-        if (!vendors[vendorName]) {
-          vendors[vendorName] = {
-            vendor_name: vendorName,
-            vendor_id: record.ledger?.vendor_id,
-            matched_invoice_count: 0,
-            ledger_only_count: 0,
-            ocr_only_count: 0,
-            total_ledger_amount: 0,
-            total_ocr_amount: 0,
-            invoice_numbers: []
-          };
-        }
-        vendors[vendorName].ledger_only_count++;
-        vendors[vendorName].total_ledger_amount += (record.ledger?.amount || record.ledger?.debit || 0);
-        vendors[vendorName].invoice_numbers.push(record.ledger?.invoice_number);
+        const summary = summaryFor(record.ledger, vendorName, record.ledger?.vendor_id);
+        summary.ledger_only_count++;
+        summary.total_ledger_amount += (record.ledger?.amount || record.ledger?.debit || 0);
+        summary.invoice_numbers.push(record.ledger?.invoice_number);
       });
 
       // Process OCR-only
@@ -507,24 +581,13 @@ function generateComprehensiveExport() {
         const vendorName = record.ocr?.vendor_name;
         if (!vendorName) return;
 
-        if (!vendors[vendorName]) {
-          vendors[vendorName] = {
-            vendor_name: vendorName,
-            vendor_id: record.ocr?.vendor_id,
-            matched_invoice_count: 0,
-            ledger_only_count: 0,
-            ocr_only_count: 0,
-            total_ledger_amount: 0,
-            total_ocr_amount: 0,
-            invoice_numbers: []
-          };
-        }
-        vendors[vendorName].ocr_only_count++;
-        vendors[vendorName].total_ocr_amount += (record.ocr?.invoice_total || 0);
-        vendors[vendorName].invoice_numbers.push(record.ocr?.invoice_number);
+        const summary = summaryFor(record.ocr, vendorName, record.ocr?.vendor_id);
+        summary.ocr_only_count++;
+        summary.total_ocr_amount += (record.ocr?.invoice_total || 0);
+        summary.invoice_numbers.push(record.ocr?.invoice_number);
       });
 
-      return Object.values(vendors)
+      return Object.values(summaries)
         .map(v => ({
           ...v,
           total_invoice_count: v.matched_invoice_count + v.ledger_only_count + v.ocr_only_count,
@@ -542,7 +605,7 @@ function generateComprehensiveExport() {
       },
 
       all_ocr_invoices: ocrInvoices.invoices.map(inv => ({
-        ...enhanceOcrWithDriveLinks(inv)
+        ...enhanceOcrRecord(inv, glReference)
       })),
 
       all_ledger_invoices: ledgerInvoices.invoices,
@@ -555,12 +618,16 @@ function generateComprehensiveExport() {
 }
 
 // ==================== MAIN ====================
-function main() {
+/**
+ * @param {Object} paths - { mergedPath, ocrPath, ledgerPath, summaryPath, vendorsPath, glAccountsPath,
+ *   outputPath } supplied by pipeline.js
+ */
+function main(paths) {
   console.log('=== Generating Comprehensive JSON Export ===\n');
 
-  const exportData = generateComprehensiveExport();
+  const exportData = generateComprehensiveExport(paths);
 
-  const outputPath = path.join(__dirname, 'comprehensive-export.json');
+  const { outputPath } = paths;
   console.log(`\nWriting comprehensive export to ${outputPath}...`);
   fs.writeFileSync(outputPath, JSON.stringify(exportData, null, 2), 'utf8');
 
@@ -575,12 +642,27 @@ function main() {
   console.log(`  - Documentation & definitions`);
   console.log(`  - Statistics summary`);
   console.log(`  - Matched invoices: ${exportData.matched_invoices.length}`);
+  console.log(`  - Reconciliation groups: ${exportData.reconciliation_groups.groups.length}`);
   console.log(`  - Ledger-only invoices: ${exportData.ledger_only_invoices.invoices.length}`);
   console.log(`  - OCR-only invoices: ${exportData.ocr_only_invoices.invoices.length}`);
   console.log(`  - Payroll journals: ${exportData.payroll_journals.entries.length}`);
   console.log(`  - Vendor summary: ${exportData.vendor_summary.length} vendors`);
   console.log(`  - Raw data reference (all records)`);
   console.log(`\nGoogle Drive links included for all OCR records.`);
+
+  const glAccounts = exportData.statistics.ocr_totals.gl_accounts;
+  console.log(`\nGL account strings: ${Object.entries(glAccounts.by_status).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+  Object.entries(glAccounts.other_business_units).forEach(([bu, count]) => {
+    console.log(`  ⚠ ${count} invoice(s) charged to business unit ${bu}`);
+  });
 }
 
-main();
+module.exports = {
+  main,
+  generateComprehensiveExport
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'generate-comprehensive-export']);
+}
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Cross-Business-Unit Charge Report Generator
+ *
+ * Builds cross-bu-report.json: every matched invoice whose scan is coded to a
+ * business unit, fund or project other than the one of the ledger line it was
+ * paid from (see cross-bu-charges.js), grouped by vendor and amount. Pairs
+ * come from merged-data.json: one-to-one matches and every OCR invoice /
+ * ledger line combination of a reconciliation group.
+ */
+
+const fs = require('fs');
+const { readVendorRegistry } = require('./data-access');
+const { createGlReference } = require('./gl-account');
+const { COMPARED_SEGMENTS, describeMismatches, findCrossBuCharges, groupCharges } = require('./cross-bu-charges');
+
+// ==================== BUILD REPORT ====================
+function matchedPairs(mergedData) {
+  const pairs = (mergedData.matched_invoices || [])
+    .filter(match => match.ocr && match.ledger)
+    .map(match => ({ ocr: match.ocr, ledger: match.ledger }));
+  (mergedData.reconciliation_groups || []).forEach(group => {
+    group.ocr.forEach(ocr => group.ledger.forEach(ledger => pairs.push({ ocr, ledger })));
+  });
+  return pairs;
+}
+
+function generateCrossBuReport(paths) {
+  console.log('Loading data files...');
+  const vendors = readVendorRegistry(paths.vendorsPath);
+  const glConfig = JSON.parse(fs.readFileSync(paths.glAccountsPath, 'utf8'));
+  const reference = createGlReference(glConfig);
+  const pairs = matchedPairs(JSON.parse(fs.readFileSync(paths.mergedPath, 'utf8')));
+  console.log(`  ${pairs.length} matched OCR invoice / ledger line pairs`);
+
+  const charges = findCrossBuCharges(pairs, {
+    reference,
+    vendorOf: ledger => vendors.byGuid(ledger.vendor_guid) || vendors.resolve(ledger.vendor_name, ledger.vendor_id)
+  });
+
+  const bySegment = {};
+  COMPARED_SEGMENTS.forEach(({ key }) => {
+    bySegment[key] = charges.filter(charge => charge.mismatches.some(entry => entry.segment === key)).length;
+  });
+  const byCodedBusinessUnit = {};
+  charges.forEach(charge => {
+    const mismatch = charge.mismatches.find(entry => entry.segment === 'business_unit');
+    if (mismatch) byCodedBusinessUnit[mismatch.coded] = (byCodedBusinessUnit[mismatch.coded] || 0) + 1;
+  });
+
+  return {
+    generated_at: new Date().toISOString(),
+    target_business_unit: glConfig.target_business_unit,
+    totals: {
+      pairs_compared: pairs.length,
+      charges: charges.length,
+      amount: Math.round(charges.reduce((sum, charge) => sum + charge.amount, 0) * 100) / 100,
+      by_segment: bySegment,
+      by_coded_business_unit: byCodedBusinessUnit
+    },
+    vendors: groupCharges(charges)
+  };
+}
+
+// ==================== MAIN ====================
+/**
+ * @param {Object} paths - { mergedPath, vendorsPath, glAccountsPath, outputPath } supplied by pipeline.js
+ */
+function main(paths) {
+  console.log('=== Generating Cross-Business-Unit Charge Report ===\n');
+
+  const report = generateCrossBuReport(paths);
+  const { totals } = report;
+
+  console.log(`\nCharges coded to another business unit, fund or project: ${totals.charges} ($${totals.amount.toFixed(2)})`);
+  Object.entries(totals.by_coded_business_unit).forEach(([bu, count]) => {
+    console.log(`  ⚠ ${count} coded to business unit ${bu}`);
+  });
+  report.vendors.forEach(group => {
+    console.log(`  ${group.vendor}: ${group.count} invoice(s), $${group.amount.toFixed(2)}`);
+    group.amounts.forEach(({ amount, charges }) => {
+      const descriptions = new Set(charges.flatMap(charge => describeMismatches(charge.mismatches)));
+      console.log(`    ${charges.length}× $${amount.toFixed(2)}: ${[...descriptions].join('; ')}`);
+    });
+  });
+
+  const { outputPath } = paths;
+  console.log(`\nWriting cross-business-unit report to ${outputPath}...`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), 'utf8');
+}
+
+module.exports = {
+  main,
+  generateCrossBuReport
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'generate-cross-bu-report']);
+}
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Billing Report Generator
+ *
+ * Builds duplicate-billing-report.json: OCR invoice pairs that may bill the
+ * same stay night, timesheet week or amount twice, ranked by how suspicious
+ * they are (see duplicate-billing.js). Exact duplicates are already removed by
+ * apply-data-corrections.js; these pairs are for review.
+ */
+
+const fs = require('fs');
+const { readVendorRegistry } = require('./data-access');
+const { KIND_LABELS, windowDaysFromConfig, findDuplicateBillings } = require('./duplicate-billing');
+
+// ==================== BUILD REPORT ====================
+function generateDuplicateReport(paths) {
+  console.log('Loading data files...');
+  const vendors = readVendorRegistry(paths.vendorsPath);
+  const invoices = JSON.parse(fs.readFileSync(paths.ocrPath, 'utf8')).invoices;
+  const windowDays = windowDaysFromConfig(JSON.parse(fs.readFileSync(paths.matchConfigPath, 'utf8')));
+  console.log(`  ${invoices.length} OCR invoices, same-amount window ${windowDays} days`);
+
+  const pairs = findDuplicateBillings(invoices, {
+    vendorOf: inv => vendors.byGuid(inv.vendor_guid),
+    windowDays
+  });
+
+  const byKind = {};
+  Object.keys(KIND_LABELS).forEach(kind => {
+    byKind[kind] = pairs.filter(pair => pair.kinds.includes(kind)).length;
+  });
+
+  return {
+    generated_at: new Date().toISOString(),
+    window_days: windowDays,
+    totals: {
+      pairs: pairs.length,
+      invoices: new Set(pairs.flatMap(pair => pair.invoices.map(inv => inv.id))).size,
+      by_kind: byKind,
+      amount_at_stake: Math.round(pairs.reduce((sum, pair) => sum + pair.amount, 0) * 100) / 100
+    },
+    pairs
+  };
+}
+
+// ==================== MAIN ====================
+/**
+ * @param {Object} paths - { ocrPath, vendorsPath, matchConfigPath, outputPath } supplied by pipeline.js
+ */
+function main(paths) {
+  console.log('=== Generating Duplicate Billing Report ===\n');
+
+  const report = generateDuplicateReport(paths);
+  const { totals } = report;
+
+  console.log(`\nSuspicious pairs: ${totals.pairs} across ${totals.invoices} invoices`);
+  Object.entries(totals.by_kind).forEach(([kind, count]) => {
+    console.log(`  ${KIND_LABELS[kind]}: ${count}`);
+  });
+  report.pairs.slice(0, 10).forEach(pair => {
+    console.log(`  #${pair.rank} (${pair.score.toFixed(2)}) ${pair.invoices.map(inv => inv.invoice_number || 'N/A').join(' / ')}: ` +
+      pair.reasons[0].message);
+  });
+
+  const { outputPath } = paths;
+  console.log(`\nWriting duplicate billing report to ${outputPath}...`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), 'utf8');
+}
+
+module.exports = {
+  main,
+  generateDuplicateReport
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'generate-duplicate-report']);
+}
@@ -10,41 +10,17 @@
 
 const fs = require('fs');
 const crypto = require('crypto');
-const path = require('path');
+const { readVendorRegistry } = require('./data-access');
 
-// Load vendor registry for vendor GUID lookup
-const vendorsPath = path.join(__dirname, 'vendors.json');
-const vendorRegistry = JSON.parse(fs.readFileSync(vendorsPath, 'utf8'));
-
-// Build vendor lookup maps
-const vendorByVendorId = new Map();
-const vendorByAlias = new Map();
-
-vendorRegistry.vendors.forEach(vendor => {
-  if (vendor.vendor_id) {
-    vendorByVendorId.set(vendor.vendor_id, vendor);
-  }
-  vendor.aliases.forEach(alias => {
-    vendorByAlias.set(alias.toLowerCase().trim(), vendor);
-  });
-});
+// Vendor registry (vendors.json), loaded by main()
+let vendors = null;
 
 /**
  * Get vendor GUID from registry
  */
 function getVendorGuid(vendorName, vendorId) {
-  // Try by vendor_id first
-  if (vendorId && vendorByVendorId.has(vendorId)) {
-    return vendorByVendorId.get(vendorId).guid;
-  }
-  // Then try by name
-  if (vendorName) {
-    const normalized = vendorName.toLowerCase().trim();
-    if (vendorByAlias.has(normalized)) {
-      return vendorByAlias.get(normalized).guid;
-    }
-  }
-  return null;
+  const vendor = vendors.resolve(vendorName, vendorId);
+  return vendor ? vendor.guid : null;
 }
 
 /**
@@ -79,8 +55,7 @@ function generateInvoiceGuid(invoice, source) {
 /**
  * Process OCR invoices
  */
-function processOcrInvoices() {
-  const ocrPath = path.join(__dirname, 'ocr-invoices.json');
+function processOcrInvoices(ocrPath, outputPath) {
   console.log('Processing OCR invoices...');
 
   const ocrData = JSON.parse(fs.readFileSync(ocrPath, 'utf8'));
@@ -107,7 +82,7 @@ function processOcrInvoices() {
   });
 
   // Write back
-  fs.writeFileSync(ocrPath, JSON.stringify(ocrData, null, 2));
+  fs.writeFileSync(outputPath, JSON.stringify(ocrData, null, 2));
   console.log(`  OCR: Added ${addedCount} new GUIDs, ${updatedCount} existing GUIDs preserved`);
   console.log(`  Total OCR invoices: ${ocrData.invoices.length}`);
 
@@ -117,8 +92,7 @@ function processOcrInvoices() {
 /**
  * Process ledger invoices
  */
-function processLedgerInvoices() {
-  const ledgerPath = path.join(__dirname, 'ledger-invoices.json');
+function processLedgerInvoices(ledgerPath, outputPath) {
   console.log('Processing Ledger invoices...');
 
   const ledgerData = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
@@ -144,7 +118,7 @@ function processLedgerInvoices() {
   });
 
   // Write back
-  fs.writeFileSync(ledgerPath, JSON.stringify(ledgerData, null, 2));
+  fs.writeFileSync(outputPath, JSON.stringify(ledgerData, null, 2));
   console.log(`  Ledger: Added ${addedCount} new GUIDs, ${updatedCount} existing GUIDs preserved`);
   console.log(`  Total Ledger invoices: ${ledgerData.invoices.length}`);
 
@@ -176,7 +150,7 @@ function generateSummary(ocrData, ledgerData) {
   console.log('\nInvoices by vendor:');
   vendorStats.forEach((stats, vguid) => {
     if (vguid !== 'unknown') {
-      const vendor = vendorRegistry.vendors.find(v => v.guid === vguid);
+      const vendor = vendors.byGuid(vguid);
       const name = vendor ? vendor.display_name : vguid;
       console.log(`  ${name}: ${stats.ocr} OCR, ${stats.ledger} Ledger`);
     }
@@ -188,13 +162,32 @@ function generateSummary(ocrData, ledgerData) {
   }
 }
 
-// Main execution
-console.log('Invoice GUID Generator\n');
-console.log('This script adds deterministic GUIDs to invoice data for reliable identification.\n');
+/**
+ * Main execution
+ * @param {Object} paths - { vendorsPath, ocrPath, ledgerPath, ocrOutputPath, ledgerOutputPath }
+ *   supplied by pipeline.js
+ */
+function main(paths) {
+  console.log('Invoice GUID Generator\n');
+  console.log('This script adds deterministic GUIDs to invoice data for reliable identification.\n');
 
-const ocrData = processOcrInvoices();
-const ledgerData = processLedgerInvoices();
-generateSummary(ocrData, ledgerData);
+  vendors = readVendorRegistry(paths.vendorsPath);
 
-console.log('\nDone! Invoice GUIDs have been added to the JSON files.');
-console.log('These GUIDs will be included in all JSON exports.');
+  const ocrData = processOcrInvoices(paths.ocrPath, paths.ocrOutputPath);
+  const ledgerData = processLedgerInvoices(paths.ledgerPath, paths.ledgerOutputPath);
+  generateSummary(ocrData, ledgerData);
+
+  console.log('\nDone! Invoice GUIDs have been added to the JSON outputs.');
+  console.log('These GUIDs will be included in all JSON exports.');
+}
+
+module.exports = {
+  main,
+  getVendorGuid,
+  generateInvoiceGuid
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'generate-invoice-guids']);
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Lodging Report Generator
+ *
+ * Builds lodging-report.json from the OCR invoices of lodging vendors
+ * (vendors.json category "lodging"): guest-stays by confirmation number,
+ * nights, nightly rates, tax rates and length of stay by property and month,
+ * and nights of one stay billed on two invoices (see lodging-analytics.js).
+ */
+
+const fs = require('fs');
+const { readVendorRegistry } = require('./data-access');
+const { analyzeLodging } = require('./lodging-analytics');
+
+const LODGING_CATEGORY = 'lodging';
+
+// ==================== BUILD REPORT ====================
+function generateLodgingReport(paths) {
+  console.log('Loading data files...');
+  const vendors = readVendorRegistry(paths.vendorsPath);
+  const ocrInvoices = JSON.parse(fs.readFileSync(paths.ocrPath, 'utf8')).invoices;
+
+  const lodgingVendors = vendors.vendors.filter(vendor => vendor.category === LODGING_CATEGORY);
+  const invoices = ocrInvoices.filter(inv => {
+    const vendor = vendors.byGuid(inv.vendor_guid);
+    return vendor && vendor.category === LODGING_CATEGORY;
+  });
+  console.log(`  ${invoices.length} of ${ocrInvoices.length} OCR invoices are from ${lodgingVendors.length} lodging vendors`);
+
+  const analysis = analyzeLodging(invoices, inv => vendors.byGuid(inv.vendor_guid).display_name);
+
+  return {
+    generated_at: new Date().toISOString(),
+    lodging_vendors: lodgingVendors.map(vendor => ({ guid: vendor.guid, name: vendor.display_name })),
+    ...analysis
+  };
+}
+
+// ==================== MAIN ====================
+/**
+ * @param {Object} paths - { ocrPath, vendorsPath, outputPath } supplied by pipeline.js
+ */
+function main(paths) {
+  console.log('=== Generating Lodging Report ===\n');
+
+  const report = generateLodgingReport(paths);
+  const { totals } = report;
+
+  console.log(`\nStays: ${totals.stays} (${totals.nights} nights, ${totals.unattributed_nights} with no confirmation number)`);
+  console.log(`Room charges: $${totals.room_charges.toFixed(2)}, taxes: $${totals.taxes.toFixed(2)}`);
+  console.log(`Average nightly rate: ${totals.average_nightly_rate === null ? 'n/a' : `$${totals.average_nightly_rate.toFixed(2)}`}`);
+  console.log(`Average length of stay: ${totals.average_length_of_stay === null ? 'n/a' : `${totals.average_length_of_stay} nights`}`);
+  console.log(`Property/month rows: ${report.by_property_month.length}`);
+  if (report.overlapping_stays.length > 0) {
+    console.log(`\nNights billed on two invoices: ${totals.double_billed_nights} ($${totals.double_billed_amount.toFixed(2)})`);
+    report.overlapping_stays.slice(0, 10).forEach(overlap => {
+      console.log(`  ${overlap.confirmation_number}: ${overlap.night_count} night(s) on ` +
+        `${overlap.invoices.map(inv => inv.invoice_number).join(' and ')} ($${overlap.amount.toFixed(2)})`);
+    });
+  } else {
+    console.log('\nNo nights billed on two invoices');
+  }
+
+  const { outputPath } = paths;
+  console.log(`\nWriting lodging report to ${outputPath}...`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), 'utf8');
+}
+
+module.exports = {
+  main,
+  generateLodgingReport
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'generate-lodging-report']);
+}
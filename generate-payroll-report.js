@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Payroll Report Generator
+ *
+ * Builds payroll-report.json from the payroll journals merge-ledger-invoices.js
+ * sets aside in merged-data.json (ledger_only.journals): pay periods decoded
+ * from the batch names, salary and fringe by pay type, fringe rates relative
+ * to salary, and missing or duplicated pay periods (see payroll-analytics.js).
+ */
+
+const fs = require('fs');
+const { createGlReference } = require('./gl-account');
+const { analyzePayroll, FLAG_LABELS, PAY_FREQUENCIES } = require('./payroll-analytics');
+
+// ==================== BUILD REPORT ====================
+function generatePayrollReport(paths) {
+  console.log('Loading data files...');
+  const mergedData = JSON.parse(fs.readFileSync(paths.mergedPath, 'utf8'));
+  const reference = createGlReference(JSON.parse(fs.readFileSync(paths.glAccountsPath, 'utf8')));
+  const journals = (mergedData.ledger_only && mergedData.ledger_only.journals) || [];
+  console.log(`  ${journals.length} payroll journals`);
+
+  return {
+    generated_at: new Date().toISOString(),
+    journals: journals.length,
+    ...analyzePayroll(journals, reference)
+  };
+}
+
+// ==================== MAIN ====================
+/**
+ * @param {Object} paths - { mergedPath, glAccountsPath, outputPath } supplied by pipeline.js
+ */
+function main(paths) {
+  console.log('=== Generating Payroll Report ===\n');
+
+  const report = generatePayrollReport(paths);
+  const { summary } = report;
+
+  console.log(`\n${summary.pay_periods} pay periods, ${summary.first_pay_date} to ${summary.last_pay_date}`);
+  console.log(`  Salary $${summary.salary.toFixed(2)}, fringe $${summary.fringe.toFixed(2)} ` +
+    `(${((summary.fringe_rate || 0) * 100).toFixed(1)}% of salary)`);
+  Object.entries(summary.fringe_rates).forEach(([type, rate]) => {
+    console.log(`    ${type}: $${summary.fringe_by_type[type].toFixed(2)} (${(rate * 100).toFixed(2)}%)`);
+  });
+  report.periods.forEach(period => {
+    const frequency = PAY_FREQUENCIES[period.frequency].label.toLowerCase();
+    const rate = period.fringe_rate === null ? 'n/a' : `${(period.fringe_rate * 100).toFixed(1)}%`;
+    const flags = period.flags.map(flag => ` ⚠ ${FLAG_LABELS[flag]}`).join('');
+    console.log(`  ${period.pay_date} (${frequency} ${period.period_start} – ${period.period_end}): ` +
+      `salary $${period.salary.toFixed(2)}, fringe ${rate}${flags}`);
+  });
+  report.missing_periods.forEach(period => {
+    console.log(`  ⚠ No payroll posted for ${period.pay_date} (${period.period_start} – ${period.period_end})`);
+  });
+  if (report.missing_periods.length === 0 && summary.flagged_periods.duplicate_period.length === 0) {
+    console.log('  No missing or duplicated pay periods');
+  }
+  if (report.unparsed_batches.length > 0) {
+    console.log(`  ${report.unparsed_batches.length} batch name(s) without a pay period: ` +
+      report.unparsed_batches.map(entry => entry.batch_number).join(', '));
+  }
+
+  const { outputPath } = paths;
+  console.log(`\nWriting payroll report to ${outputPath}...`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), 'utf8');
+}
+
+module.exports = {
+  main,
+  generatePayrollReport
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'generate-payroll-report']);
+}
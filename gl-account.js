@@ -0,0 +1,222 @@
+/**
+ * GL Account Strings
+ *
+ * Decodes and validates Oracle R12 GL account strings against the reference
+ * table of gl-accounts.json:
+ *
+ *   53902028 . 502363 . 0 . R . R240490 . 30216 . 053 . 0 . 0 . 0
+ *   business   object   sub-   sub-acct  project  fund  dept  reserved
+ *   unit       code     sidiary type
+ *
+ * Every segment is checked for its format and looked up in its table, and the
+ * segments are checked against each other: the fund and project a business
+ * unit is set up with, and the business unit a project belongs to. A string
+ * coded to a business unit other than target_business_unit is flagged.
+ *
+ * The OCR bu_code is often cut short ("53902028.502363"); the segments it
+ * lacks are left empty and the string is partial. Ledger rows carry their
+ * business unit, fund, object account name and sub-account as columns too,
+ * and glAccountOf() fills the segments a record's string lacks from them.
+ *
+ * Node:    const { createGlReference, parseGlAccount } = require('./gl-account');
+ * Browser: <script src="gl-account.js"></script> exposes window.GlAccount
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GlAccount = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Segment layout; table names the gl-accounts.json table of its values,
+  // reserved segments are always "0"
+  const SEGMENTS = [
+    { key: 'business_unit', label: 'Business Unit', pattern: /^\d{8}$/, table: 'business_units' },
+    { key: 'object_code', label: 'Object Code', pattern: /^\d{6}$/, table: 'object_codes' },
+    { key: 'subsidiary', label: 'Subsidiary', pattern: /^\d+$/, reserved: true },
+    { key: 'sub_account_type', label: 'Sub-account Type', pattern: /^[A-Z]$/, table: 'sub_account_types' },
+    { key: 'project', label: 'Project', pattern: /^[A-Z]\d{6}$/, table: 'projects' },
+    { key: 'fund', label: 'Fund', pattern: /^\d{5}$/, table: 'funds' },
+    { key: 'department', label: 'Department', pattern: /^\d{3}$/, table: 'departments' },
+    { key: 'future_1', label: 'Future 1', pattern: /^\d+$/, reserved: true },
+    { key: 'future_2', label: 'Future 2', pattern: /^\d+$/, reserved: true },
+    { key: 'future_3', label: 'Future 3', pattern: /^\d+$/, reserved: true }
+  ];
+
+  // Account statuses, most severe first
+  const STATUS_LABELS = {
+    invalid: 'Invalid account string',
+    other_business_unit: 'Other business unit',
+    inconsistent: 'Segments disagree',
+    unknown_value: 'Unknown segment value',
+    partial: 'Partial account string',
+    valid: 'Valid',
+    missing: 'No account string'
+  };
+
+  // ==================== REFERENCE ====================
+  /**
+   * Lookup tables of a gl-accounts.json object
+   */
+  function createGlReference(config) {
+    const objectCodesByName = new Map();
+    Object.entries(config.object_codes || {}).forEach(([code, info]) => {
+      [info.name, ...(info.aliases || [])].forEach(name => objectCodesByName.set(name, code));
+    });
+
+    return {
+      targetBusinessUnit: config.target_business_unit,
+      tables: {
+        business_units: config.business_units || {},
+        object_codes: config.object_codes || {},
+        sub_account_types: config.sub_account_types || {},
+        projects: config.projects || {},
+        funds: config.funds || {},
+        departments: config.departments || {}
+      },
+      objectCodesByName
+    };
+  }
+
+  /**
+   * Object code of a ledger object account name ("Care of Persons" → "502363")
+   */
+  function objectCodeOf(name, reference) {
+    return (name && reference.objectCodesByName.get(name)) || null;
+  }
+
+  // ==================== PARSING ====================
+  function emptySegments() {
+    return Object.fromEntries(SEGMENTS.map(segment => [segment.key, null]));
+  }
+
+  function checkAgreement(segments, reference, issue) {
+    const { business_units: businessUnits, projects } = reference.tables;
+    const bu = segments.business_unit && businessUnits[segments.business_unit];
+    const project = segments.project && projects[segments.project];
+
+    if (bu && bu.fund && segments.fund && segments.fund !== bu.fund) {
+      issue('fund', 'inconsistent', `Fund ${segments.fund} is not business unit ${segments.business_unit}'s fund ${bu.fund}`);
+    }
+    if (bu && bu.project && segments.project && segments.project !== bu.project) {
+      const owner = project && project.business_unit ? ` (project of ${project.business_unit})` : '';
+      issue('project', 'inconsistent', `Project ${segments.project}${owner} is not business unit ${segments.business_unit}'s project ${bu.project}`);
+    } else if (!bu && project && project.business_unit && segments.business_unit && segments.business_unit !== project.business_unit) {
+      issue('project', 'inconsistent', `Project ${segments.project} belongs to business unit ${project.business_unit}`);
+    }
+  }
+
+  /**
+   * Decode and validate a GL account string.
+   * @param {string|null} glAccount - e.g. "53902028.502363.0.R.R240490.30216.053.0.0.0"
+   * @param {Object} reference - result of createGlReference()
+   * @param {Object} [fallback] - segment values to use where the string has none,
+   *   e.g. { business_unit, fund } from ledger columns
+   * @returns {{ gl_account, complete, segments, names, status, issues }}
+   *   segments and names map each segment key to its value and reference name
+   *   (null when absent or unknown); issues are { segment, status, message }
+   */
+  function parseGlAccount(glAccount, reference, fallback = {}) {
+    const text = glAccount ? String(glAccount).trim() : '';
+    const parts = text ? text.split('.').map(part => part.trim()) : [];
+    const segments = emptySegments();
+    const names = emptySegments();
+    const issues = [];
+    const issue = (segment, status, message) => issues.push({ segment, status, message });
+
+    if (parts.length > SEGMENTS.length) {
+      issue(null, 'invalid', `${parts.length} segments, expected ${SEGMENTS.length}`);
+    }
+    SEGMENTS.forEach((segment, index) => {
+      const fromString = parts[index] || null;
+      const value = fromString || (fallback[segment.key] ? String(fallback[segment.key]) : null);
+      if (!value) return;
+      segments[segment.key] = value;
+
+      if (!segment.pattern.test(value)) {
+        issue(segment.key, 'invalid', `${segment.label} "${value}" is not a valid ${segment.label.toLowerCase()}`);
+      } else if (segment.reserved && value !== '0') {
+        issue(segment.key, 'unknown_value', `${segment.label} is reserved but set to ${value}`);
+      } else if (segment.table) {
+        const info = reference.tables[segment.table][value];
+        if (info) names[segment.key] = info.name;
+        else issue(segment.key, 'unknown_value', `${segment.label} ${value} is not in gl-accounts.json`);
+      }
+    });
+
+    const businessUnit = segments.business_unit;
+    if (businessUnit && SEGMENTS[0].pattern.test(businessUnit) && reference.targetBusinessUnit &&
+        businessUnit !== reference.targetBusinessUnit) {
+      const name = names.business_unit ? ` (${names.business_unit})` : '';
+      issue('business_unit', 'other_business_unit',
+        `Charged to business unit ${businessUnit}${name}, not ${reference.targetBusinessUnit}`);
+    }
+    checkAgreement(segments, reference, issue);
+
+    const complete = parts.length === SEGMENTS.length;
+    const severity = Object.keys(STATUS_LABELS);
+    let status;
+    if (issues.length > 0) {
+      status = issues.map(entry => entry.status).sort((a, b) => severity.indexOf(a) - severity.indexOf(b))[0];
+    } else if (!text && !segments.business_unit && !segments.object_code) {
+      status = 'missing';
+    } else {
+      status = complete ? 'valid' : 'partial';
+    }
+
+    return { gl_account: text || null, complete, segments, names, status, issues };
+  }
+
+  /**
+   * Decoded GL account of an OCR invoice (bu_code), ledger invoice or journal
+   * (gl_account_string), with the ledger's business unit, object account,
+   * sub-account and fund columns filling the segments the string lacks
+   */
+  function glAccountOf(record, reference) {
+    return parseGlAccount(record.gl_account_string || record.bu_code || null, reference, {
+      business_unit: record.business_unit,
+      object_code: objectCodeOf(record.object_account, reference),
+      project: record.sub_account,
+      fund: record.fund
+    });
+  }
+
+  /**
+   * Filter and pivot label of a segment value: "502363 – Care of Persons"
+   */
+  function segmentLabel(account, key) {
+    const value = account.segments[key];
+    if (!value) return 'Not coded';
+    return account.names[key] ? `${value} – ${account.names[key]}` : value;
+  }
+
+  /**
+   * Count decoded accounts by status
+   * @returns {{ total, by_status: Object<string, number>, other_business_units: Object<string, number> }}
+   */
+  function summarizeGlAccounts(accounts) {
+    const summary = { total: accounts.length, by_status: {}, other_business_units: {} };
+    accounts.forEach(account => {
+      summary.by_status[account.status] = (summary.by_status[account.status] || 0) + 1;
+      if (account.issues.some(entry => entry.status === 'other_business_unit')) {
+        const bu = account.segments.business_unit;
+        summary.other_business_units[bu] = (summary.other_business_units[bu] || 0) + 1;
+      }
+    });
+    return summary;
+  }
+
+  return {
+    SEGMENTS,
+    STATUS_LABELS,
+    createGlReference,
+    objectCodeOf,
+    parseGlAccount,
+    glAccountOf,
+    segmentLabel,
+    summarizeGlAccounts
+  };
+});
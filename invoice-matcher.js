@@ -0,0 +1,466 @@
+/**
+ * Scoring Invoice Matcher
+ *
+ * Scores every ledger/OCR invoice pair on a set of features and matches the
+ * best-scoring pairs first, one OCR invoice per ledger entry. Weights and
+ * thresholds come from match-config.json:
+ *
+ *   {
+ *     "threshold": 0.55,                       minimum weighted score for a match
+ *     "share_ocr_on_invoice_number": true,     see below
+ *     "features": {
+ *       "invoice_number": { "weight": 0.35, "max_edit_distance": 2 },
+ *       "vendor":         { "weight": 0.2, "min_score": 0.8 },
+ *       "amount":         { "weight": 0.3, "tolerance_pct": 0.1, "tolerance_abs": 1.0,
+ *                           "partial_payment_score": 0.4 },
+ *       "date":           { "weight": 0.15, "max_days": 3 }
+ *     }
+ *   }
+ *
+ * A pair's score is sum(weight * feature score) / sum(weight). Any feature may
+ * set "min_score"; pairs scoring below it on that feature are never matched.
+ *
+ * With "share_ocr_on_invoice_number": true, ledger lines left over after the
+ * one-to-one pass still match an already-matched scan when invoice number and
+ * vendor agree exactly (split or reversed lines of one invoice).
+ *
+ * Features are functions (ledger, ocr, options, context) → { score, exact, detail }
+ * with score in [0, 1]. registerFeature() adds new ones; a feature only
+ * contributes once it is listed in the config.
+ *
+ * Reconciliation ("reconciliation" in the config) runs on what the pairwise
+ * pass leaves over. Within one vendor and a date window it looks for subsets
+ * whose amounts add up: several ledger lines that together pay one scanned
+ * invoice, or one ledger line that pays several scans.
+ *
+ *   "reconciliation": {
+ *     "date_window_days": 31,      ledger and OCR invoice dates at most this far apart
+ *     "max_spread_days": 7,        dates on the "many" side at most this far apart
+ *     "max_group_size": 6,         most records on the "many" side of a group
+ *     "max_candidates": 20,        closest-dated records considered per target
+ *     "tolerance_abs": 1.0         largest residual (ledger total - OCR total) accepted
+ *   }
+ */
+
+const fs = require('fs');
+const { parseMoney, normalizeDate } = require('./data-access');
+
+// ==================== HELPERS ====================
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function daysBetween(a, b) {
+  const parse = value => {
+    const match = normalizeDate(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? Date.UTC(+match[1], +match[2] - 1, +match[3]) : null;
+  };
+  const timeA = parse(a);
+  const timeB = parse(b);
+  if (timeA === null || timeB === null) return null;
+  return Math.round(Math.abs(timeA - timeB) / 86400000);
+}
+
+function formatAmount(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+const VENDOR_STOP_WORDS = new Set(['llc', 'l.l.c.', 'inc', 'inc.', 'dba', 'the', 'co', 'corp', 'corp.', 'company']);
+
+function vendorTokens(name) {
+  return new Set(String(name || '').toLowerCase().replace(/["',]/g, ' ').split(/\s+/)
+    .filter(token => token.length > 1 && !VENDOR_STOP_WORDS.has(token)));
+}
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * Find the subset of items (2..maxSize of them) whose cents add up closest to
+ * the target, within tolerance. Ties go to fewer items, then to the subset
+ * listed first. Returns null when nothing fits. The search is depth-first with
+ * pruning and gives up after nodeLimit steps.
+ * @param {Array<{ cents: number }>} items - positive amounts
+ * @param {Function} [accept] - optional check on a candidate subset
+ */
+function findSubsetSum(items, target, tolerance, maxSize, accept = null, nodeLimit = 200000) {
+  const sorted = items.map((item, index) => ({ item, index })).sort((a, b) => b.item.cents - a.item.cents);
+  const suffix = new Array(sorted.length + 1).fill(0);
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    suffix[i] = suffix[i + 1] + sorted[i].item.cents;
+  }
+
+  let best = null;
+  let nodes = 0;
+
+  function search(start, chosen, sum) {
+    if (++nodes > nodeLimit) return;
+    if (chosen.length >= 2) {
+      const residual = Math.abs(sum - target);
+      if (residual <= tolerance && (!best || residual < best.residual ||
+          (residual === best.residual && chosen.length < best.chosen.length)) &&
+          (!accept || accept(chosen.map(index => items[index])))) {
+        best = { residual, chosen: [...chosen] };
+      }
+    }
+    if (chosen.length === maxSize) return;
+    for (let i = start; i < sorted.length; i++) {
+      if (sum + suffix[i] < target - tolerance) return;
+      if (sum + sorted[i].item.cents > target + tolerance) continue;
+      chosen.push(sorted[i].index);
+      search(i + 1, chosen, sum + sorted[i].item.cents);
+      chosen.pop();
+    }
+  }
+
+  search(0, [], 0);
+  return best ? best.chosen.sort((a, b) => a - b).map(index => items[index]) : null;
+}
+
+// ==================== FEATURES ====================
+function scoreInvoiceNumber(ledger, ocr, options, context) {
+  const ledgerNum = context.normalizeInvoiceNumber(ledger.invoice_number);
+  const ocrNum = context.normalizeInvoiceNumber(ocr.invoice_number);
+  if (!ledgerNum || !ocrNum || ocrNum === 'N/A') {
+    return { score: 0, exact: false, detail: 'invoice number missing' };
+  }
+  if (ledgerNum === ocrNum) {
+    return { score: 1, exact: true, detail: `invoice number ${ledgerNum}` };
+  }
+  // "INV-000089" on the scan is "INV000089" in the ledger
+  const compact = value => value.replace(/[^A-Z0-9]/g, '');
+  if (compact(ledgerNum) && compact(ledgerNum) === compact(ocrNum)) {
+    return { score: 1, exact: true, detail: `invoice number ${ledgerNum} (ignoring punctuation)` };
+  }
+  const maxDistance = options.max_edit_distance ?? 2;
+  const distance = editDistance(ledgerNum, ocrNum);
+  if (distance > maxDistance || distance >= Math.min(ledgerNum.length, ocrNum.length)) {
+    return { score: 0, exact: false, detail: `invoice numbers differ (${ledgerNum} / ${ocrNum})` };
+  }
+  return {
+    score: 1 - distance / (maxDistance + 1),
+    exact: false,
+    detail: `invoice number ${ledgerNum} ~ ${ocrNum} (${distance} edit${distance > 1 ? 's' : ''})`
+  };
+}
+
+function scoreVendor(ledger, ocr, options, context) {
+  const ledgerGuid = context.vendorGuid(ledger.vendor_name, ledger.vendor_id);
+  const ocrGuid = context.vendorGuid(ocr.vendor_name, ocr.vendor_id);
+  if (ledgerGuid && ocrGuid) {
+    return ledgerGuid === ocrGuid
+      ? { score: 1, exact: true, detail: `vendor GUID ${ledgerGuid}` }
+      : { score: 0, exact: false, detail: `different vendors (${ledgerGuid} / ${ocrGuid})` };
+  }
+
+  // A side is not in the registry: fall back to shared name tokens
+  const ledgerTokens = vendorTokens(ledger.vendor_name);
+  const ocrTokens = vendorTokens(ocr.vendor_name);
+  const shared = [...ledgerTokens].filter(token => ocrTokens.has(token)).length;
+  const union = new Set([...ledgerTokens, ...ocrTokens]).size;
+  const score = union > 0 ? shared / union : 0;
+  return { score, exact: false, detail: `vendor names ${Math.round(score * 100)}% similar` };
+}
+
+function scoreAmount(ledger, ocr, options) {
+  const ledgerAmount = ledger.amount;
+  if (!ledgerAmount) {
+    return { score: 0, exact: false, detail: 'ledger amount missing' };
+  }
+
+  const toleranceAbs = options.tolerance_abs ?? 0;
+  const tolerance = Math.max(toleranceAbs, Math.abs(ledgerAmount) * (options.tolerance_pct ?? 0));
+  let best = { score: 0, exact: false, detail: 'amounts differ' };
+
+  // OCR totals can land in any of these fields, e.g. a statement showing the balance due
+  ['invoice_total', 'amount_due', 'amount_paid'].forEach(field => {
+    const ocrAmount = parseMoney(ocr[field]);
+    if (ocrAmount === null) return;
+    const diff = Math.abs(ledgerAmount - ocrAmount);
+    let candidate = null;
+    if (diff < 0.005) {
+      candidate = { score: 1, exact: true, detail: `amount ${formatAmount(ledgerAmount)} = ${field}` };
+    } else if (tolerance > 0 && diff <= tolerance) {
+      candidate = {
+        score: 1 - 0.5 * (diff / tolerance),
+        exact: false,
+        detail: `amount ${formatAmount(ledgerAmount)} within ${formatAmount(diff)} of ${field}`
+      };
+    }
+    if (candidate && candidate.score > best.score) best = candidate;
+  });
+
+  // A ledger line smaller than the invoice total can be a partial payment
+  const ocrTotal = parseMoney(ocr.invoice_total);
+  if (best.score === 0 && options.partial_payment_score && ocrTotal > 0 &&
+      ledgerAmount > 0 && ledgerAmount < ocrTotal) {
+    best = {
+      score: options.partial_payment_score,
+      exact: false,
+      detail: `partial payment ${formatAmount(ledgerAmount)} of ${formatAmount(ocrTotal)}`
+    };
+  }
+  return best;
+}
+
+function scoreDate(ledger, ocr, options) {
+  const days = daysBetween(ledger.invoice_date, ocr.invoice_date);
+  if (days === null) {
+    return { score: 0, exact: false, detail: 'invoice date missing' };
+  }
+  if (days === 0) {
+    return { score: 1, exact: true, detail: `invoice date ${normalizeDate(ledger.invoice_date)}` };
+  }
+  const maxDays = options.max_days ?? 0;
+  if (days > maxDays) {
+    return { score: 0, exact: false, detail: `invoice dates ${days} days apart` };
+  }
+  return { score: 1 - days / (maxDays + 1), exact: false, detail: `invoice dates ${days} day${days > 1 ? 's' : ''} apart` };
+}
+
+const FEATURES = {
+  invoice_number: scoreInvoiceNumber,
+  vendor: scoreVendor,
+  amount: scoreAmount,
+  date: scoreDate
+};
+
+/**
+ * Make a custom feature available to match-config.json
+ */
+function registerFeature(name, scorer) {
+  FEATURES[name] = scorer;
+}
+
+// ==================== CONFIG ====================
+/**
+ * Load and validate match-config.json
+ */
+function loadMatchConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  if (typeof config.threshold !== 'number' || config.threshold <= 0 || config.threshold > 1) {
+    throw new Error(`${configPath}: threshold must be a number in (0, 1]`);
+  }
+  const features = Object.entries(config.features || {});
+  if (features.length === 0) {
+    throw new Error(`${configPath}: no features configured`);
+  }
+  features.forEach(([name, options]) => {
+    if (!FEATURES[name]) {
+      throw new Error(`${configPath}: unknown feature "${name}"`);
+    }
+    if (typeof options.weight !== 'number' || options.weight < 0) {
+      throw new Error(`${configPath}: feature "${name}" needs a non-negative weight`);
+    }
+  });
+  if (config.reconciliation && (config.reconciliation.max_group_size ?? 2) < 2) {
+    throw new Error(`${configPath}: reconciliation.max_group_size must be at least 2`);
+  }
+
+  return config;
+}
+
+// ==================== MATCHING ====================
+/**
+ * Build a matcher from a loaded config
+ * @param {Object} config - result of loadMatchConfig()
+ * @param {Object} context - { vendorGuid(name, id), normalizeInvoiceNumber(num),
+ *   isBlockedPair(ledger, ocr) }; isBlockedPair is optional and keeps a pair from ever being matched
+ */
+function createMatcher(config, context) {
+  const features = Object.entries(config.features);
+  const totalWeight = features.reduce((sum, [, options]) => sum + options.weight, 0) || 1;
+
+  /**
+   * Score one pair. Returns null when a feature falls below its min_score.
+   */
+  function scorePair(ledger, ocr) {
+    const breakdown = {};
+    let total = 0;
+    for (const [name, options] of features) {
+      const result = FEATURES[name](ledger, ocr, options, context);
+      if (options.min_score !== undefined && result.score < options.min_score) return null;
+      breakdown[name] = {
+        score: Math.round(result.score * 1000) / 1000,
+        weight: options.weight,
+        exact: result.exact,
+        detail: result.detail
+      };
+      total += options.weight * result.score;
+    }
+    return { total: Math.round((total / totalWeight) * 1000) / 1000, features: breakdown };
+  }
+
+  /**
+   * Name the match after the exact evidence it rests on
+   */
+  function classify(scores) {
+    const exact = name => scores.features[name]?.exact;
+    if (exact('invoice_number') && exact('vendor')) return 'invoice_number';
+    if (exact('vendor') && exact('date') && exact('amount')) return 'vendor_date_amount';
+    return 'scored';
+  }
+
+  /**
+   * Match ledger entries to OCR invoices, best score first
+   * @param {Set} [alreadyMatched] - OCR invoices matched elsewhere (manual links): they
+   *   take no 1:1 match, but further ledger lines of their invoice may share them
+   * @returns {{ matches: Array<{ ledger, ocr, matchInfo }>, unmatchedLedger: Array, unmatchedOcr: Array }}
+   */
+  function match(ledgerEntries, ocrInvoices, alreadyMatched = new Set()) {
+    const candidates = [];
+    ledgerEntries.forEach((ledger, ledgerIdx) => {
+      ocrInvoices.forEach((ocr, ocrIdx) => {
+        if (context.isBlockedPair && context.isBlockedPair(ledger, ocr)) return;
+        const scores = scorePair(ledger, ocr);
+        if (scores && scores.total >= config.threshold) {
+          candidates.push({ ledgerIdx, ocrIdx, scores });
+        }
+      });
+    });
+
+    // Highest score wins; ties go to the earlier ledger entry, then the earlier OCR invoice
+    candidates.sort((a, b) => b.scores.total - a.scores.total || a.ledgerIdx - b.ledgerIdx || a.ocrIdx - b.ocrIdx);
+
+    const usedLedger = new Set();
+    const usedOcr = new Set(ocrInvoices.map((ocr, idx) => (alreadyMatched.has(ocr) ? idx : null)).filter(idx => idx !== null));
+    const matches = [];
+    const addMatch = ({ ledgerIdx, ocrIdx, scores }, prefix = '') => {
+      usedLedger.add(ledgerIdx);
+      usedOcr.add(ocrIdx);
+      matches.push({
+        ledgerIdx,
+        ledger: ledgerEntries[ledgerIdx],
+        ocr: ocrInvoices[ocrIdx],
+        matchInfo: {
+          type: classify(scores),
+          confidence: scores.total,
+          notes: `${prefix}Score ${scores.total.toFixed(3)}: ` +
+            Object.values(scores.features).filter(feature => feature.score > 0).map(feature => feature.detail).join(', '),
+          scores: { ...scores, threshold: config.threshold }
+        }
+      });
+    };
+
+    candidates.forEach(candidate => {
+      if (usedLedger.has(candidate.ledgerIdx) || usedOcr.has(candidate.ocrIdx)) return;
+      addMatch(candidate);
+    });
+
+    if (config.share_ocr_on_invoice_number) {
+      candidates.forEach(candidate => {
+        if (usedLedger.has(candidate.ledgerIdx) || classify(candidate.scores) !== 'invoice_number') return;
+        addMatch(candidate, 'Additional ledger line for an already matched scan. ');
+      });
+    }
+
+    // Keep ledger order in the output
+    matches.sort((a, b) => a.ledgerIdx - b.ledgerIdx);
+    matches.forEach(matchRecord => delete matchRecord.ledgerIdx);
+
+    return {
+      matches,
+      unmatchedLedger: ledgerEntries.filter((_, idx) => !usedLedger.has(idx)),
+      unmatchedOcr: ocrInvoices.filter((_, idx) => !usedOcr.has(idx))
+    };
+  }
+
+  /**
+   * Group leftover ledger lines and OCR invoices whose amounts reconcile.
+   * Only positive amounts with an invoice date take part.
+   * @returns {{ groups: Array<{ kind, ledger: Array, ocr: Array, ledger_total, ocr_total, residual }>,
+   *   unmatchedLedger: Array, unmatchedOcr: Array }}
+   */
+  function reconcile(ledgerEntries, ocrInvoices) {
+    const options = config.reconciliation;
+    if (!options) return { groups: [], unmatchedLedger: ledgerEntries, unmatchedOcr: ocrInvoices };
+
+    const windowDays = options.date_window_days ?? 31;
+    const maxSize = options.max_group_size ?? 6;
+    const maxCandidates = options.max_candidates ?? 20;
+    const maxSpread = options.max_spread_days ?? windowDays;
+    const tolerance = toCents(options.tolerance_abs ?? 0.01);
+
+    const ledgerItems = ledgerEntries.map(record => ({ record, cents: toCents(record.amount || 0), used: false }));
+    const ocrItems = ocrInvoices.map(record => ({ record, cents: toCents(parseMoney(record.invoice_total) || 0), used: false }));
+    const sameVendor = (ledger, ocr) => FEATURES.vendor(ledger, ocr, {}, context).exact &&
+      !(context.isBlockedPair && context.isBlockedPair(ledger, ocr));
+    const groups = [];
+
+    // One side is a single target record, the other a set of records summing to it
+    function pass(targets, pool, kind, toLedgerAndOcr) {
+      targets
+        .filter(target => target.cents > 0)
+        .sort((a, b) => b.cents - a.cents)
+        .forEach(target => {
+          if (target.used) return;
+          const candidates = pool
+            .filter(item => !item.used && item.cents > 0)
+            .map(item => {
+              const [ledger, ocr] = toLedgerAndOcr(target.record, item.record);
+              const days = daysBetween(ledger.invoice_date, ocr.invoice_date);
+              return sameVendor(ledger, ocr) && days !== null && days <= windowDays ? { ...item, item, days } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.days - b.days)
+            .slice(0, maxCandidates);
+
+          const withinSpread = subset => subset.every(a => subset.every(b => daysBetween(a.record.invoice_date, b.record.invoice_date) <= maxSpread));
+          const subset = findSubsetSum(candidates, target.cents, tolerance, maxSize, withinSpread);
+          if (!subset) return;
+
+          target.used = true;
+          subset.forEach(candidate => { candidate.item.used = true; });
+          const members = subset.map(candidate => candidate.record);
+          const ledger = kind === 'many_ledger_to_one_ocr' ? members : [target.record];
+          const ocr = kind === 'many_ledger_to_one_ocr' ? [target.record] : members;
+          const ledgerTotal = ledger.reduce((sum, record) => sum + toCents(record.amount || 0), 0);
+          const ocrTotal = ocr.reduce((sum, record) => sum + toCents(parseMoney(record.invoice_total) || 0), 0);
+          groups.push({
+            kind,
+            ledger,
+            ocr,
+            ledger_total: ledgerTotal / 100,
+            ocr_total: ocrTotal / 100,
+            residual: (ledgerTotal - ocrTotal) / 100
+          });
+        });
+    }
+
+    pass(ocrItems, ledgerItems, 'many_ledger_to_one_ocr', (ocr, ledger) => [ledger, ocr]);
+    pass(ledgerItems, ocrItems, 'one_ledger_to_many_ocr', (ledger, ocr) => [ledger, ocr]);
+
+    return {
+      groups,
+      unmatchedLedger: ledgerItems.filter(item => !item.used).map(item => item.record),
+      unmatchedOcr: ocrItems.filter(item => !item.used).map(item => item.record)
+    };
+  }
+
+  return { scorePair, match, reconcile };
+}
+
+module.exports = {
+  loadMatchConfig,
+  createMatcher,
+  registerFeature,
+  editDistance,
+  vendorTokens,
+  findSubsetSum
+};
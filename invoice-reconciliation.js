@@ -0,0 +1,185 @@
+/**
+ * Invoice Reconciliation
+ *
+ * Checks that an OCR invoice adds up:
+ * - lines: quantity × unit_price = amount on every line item that has both
+ * - total: line items + taxes = invoice_total (line items alone also pass,
+ *   for folios whose lines already include tax)
+ * - payments: amount_paid + amount_due = invoice_total, when the invoice
+ *   states both
+ * - taxes: not negative and not above invoice_total
+ *
+ * Each invoice gets a status:
+ *   reconciled    every check that applies passed
+ *   discrepancy   at least one check failed; issues says which and by how much
+ *   unverifiable  nothing failed, but there are no line items or no
+ *                 invoice_total to check the arithmetic against
+ *
+ * generate-comprehensive-export.js records the result on every OCR invoice of
+ * the export; index.html shows it per invoice.
+ *
+ * Node:    const { reconcileInvoice } = require('./invoice-reconciliation');
+ * Browser: <script src="invoice-reconciliation.js"></script> exposes window.InvoiceReconciliation
+ *          (load data-access.js first)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./data-access'));
+  } else {
+    root.InvoiceReconciliation = factory(root.DataAccess);
+  }
+})(typeof self !== 'undefined' ? self : this, function (DataAccess) {
+  'use strict';
+
+  const { roundCents } = DataAccess;
+
+  // Amounts are in dollars; a cent either way is rounding
+  const TOLERANCE = 0.01;
+
+  const STATUS_LABELS = {
+    reconciled: 'Reconciled',
+    discrepancy: 'Discrepancy',
+    unverifiable: 'Unverifiable'
+  };
+
+  function differs(a, b) {
+    return Math.abs(roundCents(a - b)) > TOLERANCE;
+  }
+
+  function toNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+
+  function formatAmount(value) {
+    return `$${value.toFixed(2)}`;
+  }
+
+  // ==================== CHECKS ====================
+  // Issues name the line by its index in line_items
+  function checkLines(lineItems, issues) {
+    lineItems.forEach((item, idx) => {
+      if (!item) return;
+      const quantity = toNumber(item.quantity);
+      const unitPrice = toNumber(item.unit_price);
+      const amount = toNumber(item.amount);
+      if (quantity === null || unitPrice === null || amount === null) return;
+      const expected = roundCents(quantity * unitPrice);
+      if (differs(expected, amount)) {
+        issues.push({
+          check: 'lines',
+          line: idx,
+          expected,
+          actual: amount,
+          difference: roundCents(amount - expected),
+          message: `Line ${idx + 1}${item.description ? ` (${item.description})` : ''}: ${quantity} × ${formatAmount(unitPrice)} = ${formatAmount(expected)}, line says ${formatAmount(amount)}`
+        });
+      }
+    });
+  }
+
+  function checkTaxes(taxes, invoiceTotal, issues) {
+    if (taxes < 0) {
+      issues.push({ check: 'taxes', expected: null, actual: taxes, difference: null, message: `Taxes are negative (${formatAmount(taxes)})` });
+    } else if (invoiceTotal > 0 && taxes > invoiceTotal + TOLERANCE) {
+      issues.push({
+        check: 'taxes',
+        expected: null,
+        actual: taxes,
+        difference: roundCents(taxes - invoiceTotal),
+        message: `Taxes (${formatAmount(taxes)}) exceed the invoice total (${formatAmount(invoiceTotal)})`
+      });
+    }
+  }
+
+  function checkPayments(invoiceTotal, amountPaid, amountDue, issues) {
+    // An absent amount is not zero: without both there is nothing to check
+    if (amountPaid === null || amountDue === null) return;
+    // Both zero: the page states neither, which is common on bills with no payment history
+    if (amountPaid === 0 && amountDue === 0) return;
+    const expectedDue = roundCents(invoiceTotal - amountPaid);
+    if (differs(expectedDue, amountDue)) {
+      issues.push({
+        check: 'payments',
+        expected: expectedDue,
+        actual: amountDue,
+        difference: roundCents(amountDue - expectedDue),
+        message: `Total ${formatAmount(invoiceTotal)} − paid ${formatAmount(amountPaid)} = ${formatAmount(expectedDue)}, amount due says ${formatAmount(amountDue)}`
+      });
+    }
+  }
+
+  // ==================== RECONCILIATION ====================
+  /**
+   * Reconcile one invoice
+   * @param {Object} invoice - OCR invoice (postProcessOCR record or an object with the same fields)
+   * @returns {{ status: 'reconciled' | 'discrepancy' | 'unverifiable', line_count: number,
+   *   line_total: number, taxes: number, invoice_total: number|null, expected_total: number|null,
+   *   tax_included_in_lines: boolean, difference: number|null,
+   *   issues: Array<{ check, line?, expected, actual, difference, message }> }}
+   */
+  function reconcileInvoice(invoice) {
+    const allLines = invoice && Array.isArray(invoice.line_items) ? invoice.line_items : [];
+    const lineItems = allLines.filter(item => item && toNumber(item.amount) !== null);
+    const invoiceTotal = toNumber(invoice && invoice.invoice_total) || null;
+    const taxes = toNumber(invoice && invoice.taxes) || 0;
+    const amountPaid = toNumber(invoice && invoice.amount_paid);
+    const amountDue = toNumber(invoice && invoice.amount_due);
+    const lineTotal = roundCents(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const issues = [];
+
+    checkLines(allLines, issues);
+    checkTaxes(taxes, invoiceTotal || 0, issues);
+    if (invoiceTotal !== null) checkPayments(invoiceTotal, amountPaid, amountDue, issues);
+
+    let expectedTotal = null;
+    let taxIncluded = false;
+    const canCheckTotal = lineItems.length > 0 && invoiceTotal !== null;
+    if (canCheckTotal) {
+      expectedTotal = roundCents(lineTotal + taxes);
+      if (taxes > 0 && differs(expectedTotal, invoiceTotal) && !differs(lineTotal, invoiceTotal)) {
+        expectedTotal = lineTotal;
+        taxIncluded = true;
+      }
+      if (differs(expectedTotal, invoiceTotal)) {
+        issues.push({
+          check: 'total',
+          expected: expectedTotal,
+          actual: invoiceTotal,
+          difference: roundCents(invoiceTotal - expectedTotal),
+          message: `${lineItems.length} line item${lineItems.length === 1 ? '' : 's'} (${formatAmount(lineTotal)})` +
+            `${taxes ? ` + taxes (${formatAmount(taxes)})` : ''} = ${formatAmount(expectedTotal)}, invoice total says ${formatAmount(invoiceTotal)}`
+        });
+      }
+    }
+
+    return {
+      status: issues.length > 0 ? 'discrepancy' : canCheckTotal ? 'reconciled' : 'unverifiable',
+      line_count: lineItems.length,
+      line_total: lineTotal,
+      taxes,
+      invoice_total: invoiceTotal,
+      expected_total: expectedTotal,
+      tax_included_in_lines: taxIncluded,
+      difference: expectedTotal === null ? null : roundCents(invoiceTotal - expectedTotal),
+      issues
+    };
+  }
+
+  /**
+   * Count reconciliation results by status
+   * @returns {{ reconciled: number, discrepancy: number, unverifiable: number }}
+   */
+  function summarizeReconciliation(results) {
+    const counts = { reconciled: 0, discrepancy: 0, unverifiable: 0 };
+    results.forEach(result => { counts[result.status]++; });
+    return counts;
+  }
+
+  return {
+    TOLERANCE,
+    STATUS_LABELS,
+    reconcileInvoice,
+    summarizeReconciliation
+  };
+});
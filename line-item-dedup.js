@@ -0,0 +1,128 @@
+/**
+ * Line Item Deduplication for Multi-Page Invoices
+ *
+ * When the pages of one invoice are merged, their line items are concatenated.
+ * A line is only dropped when the page overlap shows it was printed twice:
+ *   - carried over: the last lines of a page are repeated at the top of the
+ *     next page (folios that re-print the running stay at a page break)
+ *   - reprinted: every line of a page appears, in order, on the page before
+ *
+ * The overlap must also be corroborated: the two pages share a confirmation
+ * number, or the overlap is at least MIN_OVERLAP_LINES long, or its lines name
+ * the guest or booking (a long number in the description). Pages whose
+ * confirmation numbers are disjoint are separate stays and never overlap.
+ * Repeated charges on the same page (two guests, same night, same rate) are
+ * always kept.
+ *
+ * Lines match on date, description, amount, quantity and unit price.
+ *
+ * Node:    const { deduplicateLineItems } = require('./line-item-dedup');
+ * Browser: <script src="line-item-dedup.js"></script> exposes window.LineItemDedup
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LineItemDedup = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Shortest uncorroborated run of matching lines accepted as a repeat
+  const MIN_OVERLAP_LINES = 2;
+  // Guest, folio or confirmation numbers printed in a line description
+  const IDENTITY_PATTERN = /\b\d{6,}\b/;
+
+  function lineKey(item) {
+    const description = String(item.description || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const cents = value => (typeof value === 'number' ? Math.round(value * 100) : '');
+    return [item.date || '', description, cents(item.amount), item.quantity ?? '', cents(item.unit_price)].join('|');
+  }
+
+  function sameRun(keysA, startA, keysB, startB, length) {
+    for (let i = 0; i < length; i++) {
+      if (keysA[startA + i] !== keysB[startB + i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Longest run of a page's lines that repeats the previous page
+   * @returns {{ kind: 'carried_over' | 'reprinted', previousStart: number, start: number, length: number }|null}
+   */
+  function findOverlap(previousKeys, keys) {
+    // Whole page printed again within the previous one
+    if (keys.length > 0 && keys.length <= previousKeys.length) {
+      for (let start = previousKeys.length - keys.length; start >= 0; start--) {
+        if (sameRun(previousKeys, start, keys, 0, keys.length)) {
+          const carried = start === previousKeys.length - keys.length;
+          return { kind: carried ? 'carried_over' : 'reprinted', previousStart: start, start: 0, length: keys.length };
+        }
+      }
+    }
+    // Tail of the previous page repeated at the top of this one
+    for (let length = Math.min(previousKeys.length, keys.length - 1); length > 0; length--) {
+      if (sameRun(previousKeys, previousKeys.length - length, keys, 0, length)) {
+        return { kind: 'carried_over', previousStart: previousKeys.length - length, start: 0, length };
+      }
+    }
+    return null;
+  }
+
+  function isCorroborated(previousPage, page, overlapItems) {
+    const previousConfirmations = new Set(previousPage.confirmation_numbers || []);
+    const confirmations = page.confirmation_numbers || [];
+    if (previousConfirmations.size > 0 && confirmations.length > 0) {
+      // Both pages name their stays: they overlap only through a shared one
+      return confirmations.some(number => previousConfirmations.has(number));
+    }
+    return overlapItems.length >= MIN_OVERLAP_LINES ||
+      overlapItems.every(item => IDENTITY_PATTERN.test(item.description || ''));
+  }
+
+  /**
+   * Concatenate the line items of an invoice's pages, dropping lines the page
+   * overlap shows are repeated
+   * @param {Array} pages - in page order: { page, source_page, line_items, confirmation_numbers }
+   *   where page identifies the page (packet page number) and source_page is its OCR meta_source_page
+   * @returns {{ line_items: Array, removed: Array<{ page, source_page, line, overlap,
+   *   repeats: { page, line }, item }> }}
+   */
+  function deduplicateLineItems(pages) {
+    const lineItems = [];
+    const removed = [];
+
+    pages.forEach((page, pageIdx) => {
+      const items = (page.line_items || []).filter(Boolean);
+      const previousPage = pageIdx > 0 ? pages[pageIdx - 1] : null;
+      const previousItems = previousPage ? (previousPage.line_items || []).filter(Boolean) : [];
+      let overlap = previousItems.length > 0 ? findOverlap(previousItems.map(lineKey), items.map(lineKey)) : null;
+      if (overlap && !isCorroborated(previousPage, page, items.slice(overlap.start, overlap.start + overlap.length))) {
+        overlap = null;
+      }
+
+      items.forEach((item, line) => {
+        if (overlap && line >= overlap.start && line < overlap.start + overlap.length) {
+          removed.push({
+            page: page.page,
+            source_page: page.source_page ?? null,
+            line,
+            overlap: overlap.kind,
+            repeats: { page: previousPage.page, line: overlap.previousStart + line - overlap.start },
+            item
+          });
+        } else {
+          lineItems.push(item);
+        }
+      });
+    });
+
+    return { line_items: lineItems, removed };
+  }
+
+  return {
+    MIN_OVERLAP_LINES,
+    deduplicateLineItems
+  };
+});
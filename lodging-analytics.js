@@ -0,0 +1,400 @@
+/**
+ * Lodging Analytics
+ *
+ * Turns the room-night line items of lodging invoices (vendors.json category
+ * "lodging") into guest-stays, runs of consecutive nights under one
+ * confirmation number (a gap of a night or more starts a new stay), and reports:
+ * - per stay: nights billed, first and last night, length of stay, room
+ *   charges, taxes, average nightly rate and tax rate
+ * - per property and month: nights, stays, room charges, taxes, average
+ *   nightly rate, tax rate and average length of the stays that began then
+ * - nights of one confirmation billed on more than one invoice
+ *
+ * A room night is a dated room line, and a line of several nights (quantity)
+ * is one night per date from its date on; undated room lines are monthly rent
+ * and, like rent and fees, are left out. Negative room lines are adjustments:
+ * they reduce room charges without removing nights. A room line belongs to the
+ * confirmation number its description names, or to the invoice's only
+ * confirmation number. Room lines that name none still count towards property
+ * and month totals as unattributed nights. Tax lines are attributed the same
+ * way; unattributed tax, or the invoice's taxes field when it has no tax lines,
+ * is shared across the invoice's stays by room charges. Room lines that say
+ * they include tax ("incl. tax", "Room + Tax", "with tax", not "tax exempt")
+ * count as nights but stay out of the tax rate.
+ *
+ * Node:    const { analyzeLodging } = require('./lodging-analytics');
+ * Browser: <script src="lodging-analytics.js"></script> exposes window.LodgingAnalytics
+ *          (load data-access.js first)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./data-access'));
+  } else {
+    root.LodgingAnalytics = factory(root.DataAccess);
+  }
+})(typeof self !== 'undefined' ? self : this, function (DataAccess) {
+  'use strict';
+
+  const { roundCents, ratio, addDays, daysBetween } = DataAccess;
+
+  // Guest, folio or confirmation numbers printed in a line description
+  const CONFIRMATION_PATTERN = /\b\d{6,}\b/g;
+  // Room lines that say tax is in the charge: "incl. tax", "including tax",
+  // "Room + Tax", "Room charge with tax", "Room and Other Tax", "tax included"
+  const TAX_INCLUDED_PATTERN = /(?:\b(?:incl(?:uding|usive of|\.)?|with|plus|and)|\+)\s*(?:\w+\s+)?tax(?:es)?\b|\btax(?:es)?\s+incl(?:uded|usive|\.)?/i;
+  // ...unless it says the stay is exempt or the tax is billed separately
+  const TAX_EXCLUDED_PATTERN = /\b(?:exempt|exemption|excl(?:uding|uded|usive of|\.)?|without)\b/i;
+
+  function includesTax(description) {
+    return TAX_INCLUDED_PATTERN.test(description) && !TAX_EXCLUDED_PATTERN.test(description);
+  }
+
+  function monthOf(date) {
+    return date ? String(date).slice(0, 7) : null;
+  }
+
+  function propertyOf(invoice, vendorName) {
+    return invoice.property_name || vendorName || invoice.vendor_name || 'Unknown property';
+  }
+
+  /**
+   * Confirmation number a line belongs to, or null
+   */
+  function lineConfirmation(item, confirmationNumbers) {
+    const named = String(item.description || '').match(CONFIRMATION_PATTERN) || [];
+    const listed = named.find(number => confirmationNumbers.includes(number));
+    if (listed) return listed;
+    if (confirmationNumbers.length === 1) return confirmationNumbers[0];
+    return named[0] || null;
+  }
+
+  // ==================== STAYS ====================
+  function newStay(confirmationNumber, property, vendorGuid) {
+    return {
+      confirmation_number: confirmationNumber,
+      property,
+      vendor_guid: vendorGuid || null,
+      first_night: null,
+      last_night: null,
+      nights: 0,
+      length_of_stay: 0,
+      room_charges: 0,
+      taxable_room_charges: 0,
+      taxes: 0,
+      tax_included_in_rate: false,
+      average_nightly_rate: null,
+      tax_rate: null,
+      invoices: []
+    };
+  }
+
+  /**
+   * Room nights of one invoice, attributed to confirmation numbers
+   * @returns {{ nights: Array, taxByConfirmation: Map, unattributedTax: number }}
+   */
+  function invoiceNights(invoice) {
+    const confirmationNumbers = (invoice.confirmation_numbers || []).map(String);
+    const nights = [];
+    const taxByConfirmation = new Map();
+    let unattributedTax = 0;
+    let hasTaxLines = false;
+
+    (invoice.line_items || []).forEach((item, line) => {
+      if (!item || typeof item.amount !== 'number') return;
+      const confirmation = lineConfirmation(item, confirmationNumbers);
+      if (item.category === 'tax') {
+        hasTaxLines = true;
+        if (confirmation) {
+          taxByConfirmation.set(confirmation, (taxByConfirmation.get(confirmation) || 0) + item.amount);
+        } else {
+          unattributedTax += item.amount;
+        }
+      } else if (item.category === 'room' && item.date) {
+        // A line of several nights is one night per date from its date on,
+        // sharing its amount; a credit (negative amount) removes no nights
+        const count = item.amount < 0 ? 1 : Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1;
+        const perNight = roundCents(item.amount / count);
+        for (let i = 0; i < count; i++) {
+          const date = i === 0 ? item.date : addDays(item.date, i);
+          nights.push({
+            confirmation,
+            date,
+            month: monthOf(date),
+            count: item.amount < 0 ? 0 : 1,
+            amount: i === count - 1 ? roundCents(item.amount - perNight * (count - 1)) : perNight,
+            taxIncluded: includesTax(item.description || ''),
+            line
+          });
+        }
+      }
+    });
+
+    if (!hasTaxLines && typeof invoice.taxes === 'number') unattributedTax = invoice.taxes;
+    return { nights, taxByConfirmation, unattributedTax };
+  }
+
+  /**
+   * Split the nights of one confirmation number into stays: a stay ends when
+   * the next night billed is more than a day after its last night. Credits
+   * (count 0) stay with the nights before them.
+   * @returns {Array<Array>} nights of each stay, in date order
+   */
+  function splitStays(confirmationNights) {
+    const runs = [];
+    let current = null;
+    let lastNight = null;
+    [...confirmationNights].sort((a, b) => a.date.localeCompare(b.date)).forEach(night => {
+      if (!current || (night.count > 0 && lastNight && daysBetween(lastNight, night.date) > 1)) {
+        current = [];
+        runs.push(current);
+      }
+      current.push(night);
+      if (night.count > 0) lastNight = night.date;
+    });
+    return runs;
+  }
+
+  /**
+   * Build guest-stays from lodging invoices. A stay is a run of consecutive
+   * nights under one confirmation number (see splitStays).
+   * @param {Array} invoices - OCR invoices of lodging vendors
+   * @param {Function} [vendorNameOf] - invoice => display name of its vendor
+   * @returns {{ stays: Array, nights: Array }} stays sorted by property and first night;
+   *   nights are every billed room night, { confirmation, stay, property, vendor_guid, date,
+   *   month, count, amount, tax, taxIncluded, invoice_guid, invoice_number, line }, where
+   *   stay is "<confirmation>|<first night>" of its stay (null without a confirmation)
+   */
+  function buildGuestStays(invoices, vendorNameOf = () => null) {
+    const allNights = [];
+
+    invoices.forEach(invoice => {
+      const property = propertyOf(invoice, vendorNameOf(invoice));
+      const { nights, taxByConfirmation, unattributedTax } = invoiceNights(invoice);
+
+      // Spread unattributed tax over the invoice's nights by room charge
+      const roomTotal = nights.reduce((sum, night) => sum + (night.taxIncluded ? 0 : night.amount), 0);
+      const attributedNights = new Map();
+      nights.forEach(night => {
+        if (!night.confirmation || night.taxIncluded) return;
+        attributedNights.set(night.confirmation, (attributedNights.get(night.confirmation) || 0) + night.amount);
+      });
+
+      nights.forEach(night => {
+        let tax = roomTotal && !night.taxIncluded ? unattributedTax * night.amount / roomTotal : 0;
+        const stayRoomCharges = attributedNights.get(night.confirmation);
+        if (stayRoomCharges && !night.taxIncluded) {
+          tax += (taxByConfirmation.get(night.confirmation) || 0) * night.amount / stayRoomCharges;
+        }
+        allNights.push({
+          ...night,
+          stay: null,
+          property,
+          vendor_guid: invoice.vendor_guid || null,
+          tax,
+          invoice_guid: invoice.invoice_guid || null,
+          invoice_number: invoice.invoice_number || null
+        });
+      });
+    });
+
+    const byConfirmation = new Map();
+    allNights.forEach(night => {
+      if (!night.confirmation) return;
+      if (!byConfirmation.has(night.confirmation)) byConfirmation.set(night.confirmation, []);
+      byConfirmation.get(night.confirmation).push(night);
+    });
+
+    const stays = [];
+    byConfirmation.forEach(confirmationNights => splitStays(confirmationNights).forEach(stayNights => {
+      const stay = newStay(stayNights[0].confirmation, stayNights[0].property, stayNights[0].vendor_guid);
+      stayNights.forEach(night => {
+        stay.nights += night.count;
+        stay.room_charges += night.amount;
+        stay.taxes += night.tax;
+        if (night.taxIncluded) {
+          stay.tax_included_in_rate = true;
+        } else {
+          stay.taxable_room_charges += night.amount;
+        }
+        if (night.count > 0) {
+          if (!stay.first_night) stay.first_night = night.date;
+          stay.last_night = night.date;
+        }
+        if (!stay.invoices.includes(night.invoice_guid)) stay.invoices.push(night.invoice_guid);
+      });
+      const key = `${stay.confirmation_number}|${stay.first_night || ''}`;
+      stayNights.forEach(night => { night.stay = key; });
+      stays.push(stay);
+    }));
+
+    const stayList = stays.map(stay => {
+      const { taxable_room_charges: taxable, ...rest } = stay;
+      return {
+        ...rest,
+        length_of_stay: stay.first_night ? daysBetween(stay.first_night, stay.last_night) + 1 : stay.nights,
+        room_charges: roundCents(stay.room_charges),
+        taxes: roundCents(stay.taxes),
+        average_nightly_rate: ratio(stay.room_charges, stay.nights),
+        tax_rate: ratio(stay.taxes, taxable, 4)
+      };
+    });
+    stayList.sort((a, b) => a.property.localeCompare(b.property) ||
+      String(a.first_night || '').localeCompare(String(b.first_night || '')) ||
+      a.confirmation_number.localeCompare(b.confirmation_number));
+
+    return { stays: stayList, nights: allNights };
+  }
+
+  // ==================== PROPERTY AND MONTH ====================
+  /**
+   * Nights, rates, taxes and length of stay by property and month
+   */
+  function summarizeByPropertyMonth(stays, nights) {
+    const rows = new Map();
+    const rowFor = (property, month) => {
+      const key = `${property}|${month || ''}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          property,
+          month: month || null,
+          nights: 0,
+          unattributed_nights: 0,
+          stays: new Set(),
+          room_charges: 0,
+          taxable_room_charges: 0,
+          taxes: 0,
+          stays_started: 0,
+          started_length_total: 0
+        });
+      }
+      return rows.get(key);
+    };
+
+    nights.forEach(night => {
+      const row = rowFor(night.property, night.month);
+      row.nights += night.count;
+      if (night.stay) {
+        row.stays.add(night.stay);
+      } else {
+        row.unattributed_nights += night.count;
+      }
+      row.room_charges += night.amount;
+      row.taxes += night.tax;
+      if (!night.taxIncluded) row.taxable_room_charges += night.amount;
+    });
+
+    stays.forEach(stay => {
+      if (!stay.first_night) return;
+      const row = rowFor(stay.property, monthOf(stay.first_night));
+      row.stays_started++;
+      row.started_length_total += stay.length_of_stay;
+    });
+
+    return [...rows.values()]
+      .map(row => ({
+        property: row.property,
+        month: row.month,
+        nights: row.nights,
+        unattributed_nights: row.unattributed_nights,
+        stays: row.stays.size,
+        stays_started: row.stays_started,
+        room_charges: roundCents(row.room_charges),
+        taxes: roundCents(row.taxes),
+        average_nightly_rate: ratio(row.room_charges, row.nights),
+        tax_rate: ratio(row.taxes, row.taxable_room_charges, 4),
+        average_length_of_stay: ratio(row.started_length_total, row.stays_started, 1)
+      }))
+      .sort((a, b) => a.property.localeCompare(b.property) || String(a.month || '').localeCompare(String(b.month || '')));
+  }
+
+  // ==================== DOUBLE BILLING ====================
+  /**
+   * Nights of one confirmation number billed on two different invoices
+   * @returns {Array<{ confirmation_number, property, invoices: Array<{ invoice_guid, invoice_number }>,
+   *   nights: string[], night_count: number, amount: number }>} largest amount first
+   */
+  function findOverlappingStays(nights) {
+    const byConfirmationDate = new Map();
+    nights.forEach(night => {
+      if (!night.confirmation || night.count === 0) return;
+      const key = `${night.confirmation}|${night.date}`;
+      if (!byConfirmationDate.has(key)) byConfirmationDate.set(key, []);
+      byConfirmationDate.get(key).push(night);
+    });
+
+    const overlaps = new Map();
+    byConfirmationDate.forEach(billed => {
+      const invoices = [...new Map(billed.map(night => [night.invoice_guid, night])).values()];
+      for (let i = 0; i < invoices.length; i++) {
+        for (let j = i + 1; j < invoices.length; j++) {
+          const [first, second] = [invoices[i], invoices[j]].sort((a, b) => String(a.invoice_guid).localeCompare(String(b.invoice_guid)));
+          const key = `${first.confirmation}|${first.invoice_guid}|${second.invoice_guid}`;
+          if (!overlaps.has(key)) {
+            overlaps.set(key, {
+              confirmation_number: first.confirmation,
+              property: first.property,
+              invoices: [first, second].map(night => ({ invoice_guid: night.invoice_guid, invoice_number: night.invoice_number })),
+              nights: [],
+              night_count: 0,
+              amount: 0
+            });
+          }
+          const overlap = overlaps.get(key);
+          overlap.nights.push(first.date);
+          overlap.night_count++;
+          // The second bill for the night is the one in question
+          overlap.amount = roundCents(overlap.amount + Math.min(first.amount, second.amount));
+        }
+      }
+    });
+
+    return [...overlaps.values()]
+      .map(overlap => ({ ...overlap, nights: overlap.nights.sort() }))
+      .sort((a, b) => b.amount - a.amount || a.confirmation_number.localeCompare(b.confirmation_number));
+  }
+
+  // ==================== REPORT ====================
+  /**
+   * Stays, property/month summary and double-billed nights for lodging invoices
+   * @param {Array} invoices - OCR invoices of lodging vendors
+   * @param {Function} [vendorNameOf] - invoice => display name of its vendor, used when
+   *   the invoice names no property
+   */
+  function analyzeLodging(invoices, vendorNameOf) {
+    const { stays, nights } = buildGuestStays(invoices, vendorNameOf);
+    const overlaps = findOverlappingStays(nights);
+    const totalNights = nights.reduce((sum, night) => sum + night.count, 0);
+    const roomCharges = nights.reduce((sum, night) => sum + night.amount, 0);
+    const taxes = nights.reduce((sum, night) => sum + night.tax, 0);
+    const taxable = nights.reduce((sum, night) => sum + (night.taxIncluded ? 0 : night.amount), 0);
+    const datedStays = stays.filter(stay => stay.first_night);
+
+    return {
+      totals: {
+        invoices: invoices.length,
+        stays: stays.length,
+        nights: totalNights,
+        unattributed_nights: nights.filter(night => !night.confirmation).reduce((sum, night) => sum + night.count, 0),
+        room_charges: roundCents(roomCharges),
+        taxes: roundCents(taxes),
+        average_nightly_rate: ratio(roomCharges, totalNights),
+        tax_rate: ratio(taxes, taxable, 4),
+        average_length_of_stay: ratio(datedStays.reduce((sum, stay) => sum + stay.length_of_stay, 0), datedStays.length, 1),
+        overlapping_stays: overlaps.length,
+        double_billed_nights: overlaps.reduce((sum, overlap) => sum + overlap.night_count, 0),
+        double_billed_amount: roundCents(overlaps.reduce((sum, overlap) => sum + overlap.amount, 0))
+      },
+      by_property_month: summarizeByPropertyMonth(stays, nights),
+      stays,
+      overlapping_stays: overlaps
+    };
+  }
+
+  return {
+    buildGuestStays,
+    summarizeByPropertyMonth,
+    findOverlappingStays,
+    analyzeLodging
+  };
+});
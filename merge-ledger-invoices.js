@@ -10,155 +10,70 @@
  * The merged output clearly identifies which fields came from:
  * - LEDGER: Authoritative financial data (amounts, dates, vendor IDs)
  * - OCR: Supplementary data from scanned documents (line items, confirmation numbers)
+ * Each record carries both complete payloads plus a unified view whose
+ * _provenance names the source of every value. The layout is defined by
+ * schemas/merged-data.schema.json, which pipeline.js validates the output against.
+ *
+ * Pairs are found by the scoring matcher in invoice-matcher.js, configured by
+ * match-config.json; each match keeps its per-feature scores in _data_sources.
+ * Ledger lines and scans left over after pairing are reconciled by amount:
+ * several lines paying one scanned invoice (or one line paying several scans)
+ * become a single entry in reconciliation_groups with its residual difference.
+ *
+ * Vendors are resolved only through the registry (vendors.json): every ledger
+ * line and OCR invoice gets its vendor_guid, and a named vendor that is not
+ * registered fails the stage.
+ *
+ * Reviewer decisions in match-overrides.json (recorded from ledger-view.html)
+ * are applied first: "link" pairs are matched as-is and "unlink" pairs are
+ * never matched by the automatic passes.
  */
 
 const fs = require('fs');
-const path = require('path');
-
-// ==================== CSV PARSING ====================
-function parseCSV(text) {
-  const rows = [];
-  let currentRow = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const char = text[i];
-    if (char === '"') {
-      if (inQuotes && text[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      currentRow.push(current);
-      current = '';
-    } else if ((char === '\n' || (char === '\r' && text[i + 1] !== '\n')) && !inQuotes) {
-      currentRow.push(current);
-      if (currentRow.some(c => c.trim())) rows.push(currentRow);
-      currentRow = [];
-      current = '';
-    } else if (char === '\r' && !inQuotes) {
-      // skip
-    } else {
-      current += char;
-    }
-  }
-  if (current || currentRow.length > 0) {
-    currentRow.push(current);
-    if (currentRow.some(c => c.trim())) rows.push(currentRow);
-  }
-
-  if (rows.length === 0) return { headers: [], data: [] };
+const { parseCSV, parseOCR, parseMoney, readVendorRegistry } = require('./data-access');
+const { loadMatchConfig, createMatcher } = require('./invoice-matcher');
+const { schemaVersion } = require('./artifact-schemas');
 
-  const headers = rows[0].map(h => h.trim().replace(/^\uFEFF/, ''));
-  const data = rows.slice(1).map(row => {
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = row[i] || '';
-    });
-    return obj;
-  });
+// Layout version of merged-data.json, declared by its schema
+const MERGED_SCHEMA_VERSION = schemaVersion('merged-data.schema.json');
 
-  return { headers, data };
-}
-
-function escapeCSVField(field) {
-  if (field === null || field === undefined) return '';
-  const str = String(field);
-  if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  return str;
-}
-
-function writeCSV(headers, data, outputPath) {
-  const lines = [headers.map(escapeCSVField).join(',')];
-  data.forEach(row => {
-    const values = headers.map(h => escapeCSVField(row[h]));
-    lines.push(values.join(','));
-  });
-  fs.writeFileSync(outputPath, lines.join('\n'), 'utf8');
-}
-
-// ==================== VENDOR NAME NORMALIZATION ====================
+// ==================== VENDOR RESOLUTION ====================
 /**
- * Maps OCR vendor names to ledger vendor names
- * This is critical for matching invoices between data sources
+ * Tag each record with its vendor_guid from the registry (vendors.json).
+ * Returns the named vendors that are not registered, one entry per distinct
+ * name and ID; records without a vendor name are skipped. A vendor ID
+ * registered to a different vendor than the name is logged, and the ID wins.
+ * @param {Object} vendors - registry from readVendorRegistry()
+ * @param {Array} records - ledger entries or OCR invoices
+ * @param {string} source - 'ledger' or 'ocr', used in the report
  */
-const VENDOR_MAPPINGS = {
-  // ESA variations -> ESA MANAGEMENT LLC
-  'extended stay america': 'ESA MANAGEMENT LLC',
-  'esa management l.l.c.': 'ESA MANAGEMENT LLC',
-  'esa management llc': 'ESA MANAGEMENT LLC',
-  'esa management': 'ESA MANAGEMENT LLC',
-  'esa suites': 'ESA MANAGEMENT LLC',
-  'esa': 'ESA MANAGEMENT LLC',
-
-  // The Ave variations
-  'the ave': 'THE AVE NASHVILLE LLC',
-  'the ave nashville': 'THE AVE NASHVILLE LLC',
-  'the ave nashville llc': 'THE AVE NASHVILLE LLC',
-
-  // Hillside Crossing variations
-  'hillside crossing hotel': 'HILLSIDE CROSSING LLC',
-  'hillside crossing llc': 'HILLSIDE CROSSING LLC',
-  'hillside crossing': 'HILLSIDE CROSSING LLC',
-
-  // Randstad variations
-  'randstad': 'Randstad North America Inc dba Randstad USA LLC',
-  'randstad usa': 'Randstad North America Inc dba Randstad USA LLC',
-  'randstad north america': 'Randstad North America Inc dba Randstad USA LLC',
-
-  // Depaul
-  'depaul usa': 'Depaul USA',
-  'depaul': 'Depaul USA',
-
-  // Community Care Fellowship
-  'community care fellowship, inc.': 'COMMUNITY CARE FELLOWSHIP',
-  'community care fellowship': 'COMMUNITY CARE FELLOWSHIP',
-
-  // RJ Young variations
-  'rj young': 'RJ Young Company LLC',
-  'r.j. young': 'RJ Young Company LLC',
-  'robert j young company': 'RJ Young Company LLC',
-  'rj young company llc': 'RJ Young Company LLC',
-
-  // Grainger variations
-  'grainger': '"W.W. Grainger, Inc. dba Grainger"',
-  'w.w. grainger': '"W.W. Grainger, Inc. dba Grainger"',
-  'w.w. grainger, inc.': '"W.W. Grainger, Inc. dba Grainger"',
-  'w.w. grainger, inc. dba grainger': '"W.W. Grainger, Inc. dba Grainger"',
-
-  // 97 Wallace Studios
-  '97 wallace studios, llc': '97 WALLACE STUDIOS',
-  '97 wallace studios': '97 WALLACE STUDIOS',
-
-  // Thompson Machinery
-  'thompson machinery': 'Thompson Machinery Commerce Corp.',
-  'thompson machinery commerce corp.': 'Thompson Machinery Commerce Corp.',
-
-  // Gordon Food Service variations
-  'gordon food service inc.': '"Gordon Food Service, Inc."',
-  'gordon food service': '"Gordon Food Service, Inc."',
-  'gordon food service store': '"Gordon Food Service, Inc."',
-  'gordon food service, inc.': '"Gordon Food Service, Inc."',
-
-  // Hamilton variations
-  'j hamilton': '"Hamilton, Justen T"',
-  'hamilton, justen t': '"Hamilton, Justen T"',
-  'justen hamilton': '"Hamilton, Justen T"',
-
-  // Hospitality Hub
-  'the hospitality hub of memphis': 'The Hospitality Hub of Memphis',
-  'hospitality hub': 'The Hospitality Hub of Memphis',
-};
-
-function normalizeVendorForLedgerMatch(vendorName) {
-  if (!vendorName) return '';
-  const lower = vendorName.toLowerCase().trim();
-  return VENDOR_MAPPINGS[lower] || vendorName;
+function resolveVendors(vendors, records, source) {
+  const unresolved = new Map();
+  const conflicts = new Set();
+  records.forEach(record => {
+    const name = String(record.vendor_name || '').trim();
+    if (!name || name.toLowerCase() === 'unknown') return;
+    const vendor = vendors.resolve(name, record.vendor_id);
+    if (vendor) {
+      record.vendor_guid = vendor.guid;
+      const named = vendors.resolve(name);
+      if (named && named !== vendor) {
+        conflicts.add(`  WARNING: ${source} "${name}" (${named.guid}) has vendor ID ${record.vendor_id} of ${vendor.guid}`);
+      }
+      return;
+    }
+    const key = `${name}|${record.vendor_id || ''}`;
+    if (!unresolved.has(key)) {
+      unresolved.set(key, { source, vendor_name: name, vendor_id: record.vendor_id || null, records: 0, example: null });
+    }
+    const entry = unresolved.get(key);
+    entry.records++;
+    entry.example = entry.example || (source === 'ledger'
+      ? `document ${record.document_number}`
+      : `page ${record.meta_source_page}`);
+  });
+  conflicts.forEach(message => console.warn(message));
+  return [...unresolved.values()];
 }
 
 function normalizeInvoiceNumber(invoiceNum) {
@@ -167,44 +82,18 @@ function normalizeInvoiceNumber(invoiceNum) {
   return String(invoiceNum).trim().replace(/^0+/, '').toUpperCase();
 }
 
-function normalizeDate(dateStr) {
-  if (!dateStr) return '';
-  // Handle various date formats and normalize to YYYY-MM-DD
-  const str = String(dateStr).trim();
-
-  // ISO format: 2024-09-01
-  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
-    return str;
-  }
-
-  // US format: 9/1/2024 or 09/01/2024
-  const usMatch = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (usMatch) {
-    const month = usMatch[1].padStart(2, '0');
-    const day = usMatch[2].padStart(2, '0');
-    const year = usMatch[3];
-    return `${year}-${month}-${day}`;
-  }
-
-  return str;
-}
-
 // ==================== LEDGER PARSING ====================
 function parseLedgerEntry(row) {
   const explanation = row['Explanation'] || row['Account Number'] || '';
   const docType = row['Document Type'] || '';
 
-  // Parse the amount from the Total field
-  let amount = 0;
-  const totalStr = row['Total'] || '';
-  const amountMatch = totalStr.match(/\$?([\d,]+\.?\d*)/);
-  if (amountMatch) {
-    amount = parseFloat(amountMatch[1].replace(/,/g, ''));
-  }
+  // Parse the amount from the Total field, unsigned as before: a credit memo's
+  // "-$7000.00" stays 7000 (debit and credit below carry the direction)
+  const amount = Math.abs(parseMoney(row['Total']) || 0);
 
   // Determine if this is a debit or credit
-  const debit = parseFloat((row['Debit'] || '0').replace(/[$,]/g, '')) || 0;
-  const credit = parseFloat((row['Credit'] || '0').replace(/[$,]/g, '')) || 0;
+  const debit = parseMoney(row['Debit']) || 0;
+  const credit = parseMoney(row['Credit']) || 0;
 
   return {
     // Source identification
@@ -259,28 +148,65 @@ function parseLedgerEntry(row) {
   };
 }
 
-// ==================== OCR PARSING ====================
-function parseOCR(ocrField) {
-  if (!ocrField) return null;
-  try {
-    let cleaned = ocrField.replace(/^Image \d+ of \d+\s*\n?/i, '');
-    cleaned = cleaned.replace(/```json\n?/g, '').replace(/```/g, '').trim();
-    if (!cleaned.endsWith('}')) {
-      const lastBrace = cleaned.lastIndexOf('}');
-      if (lastBrace > 0) {
-        cleaned = cleaned.substring(0, lastBrace + 1);
-        const openBraces = (cleaned.match(/{/g) || []).length;
-        const closeBraces = (cleaned.match(/}/g) || []).length;
-        cleaned += '}'.repeat(openBraces - closeBraces);
-      }
+// ==================== MERGE LOGIC ====================
+/**
+ * Complete normalized ledger entry, without the raw CSV row
+ */
+function toLedgerPayload(ledgerEntry) {
+  const { _raw_ledger_row, ...payload } = ledgerEntry;
+  return payload;
+}
+
+/**
+ * Complete OCR invoice as parsed from postProcessOCR
+ */
+function toOcrPayload(ocrData) {
+  return { ...ocrData };
+}
+
+/**
+ * Collects unified values along with the field each one came from
+ */
+function createProvenance() {
+  const provenance = {};
+  return {
+    provenance,
+    /**
+     * First non-empty candidate wins; candidates are [source, value] pairs
+     */
+    pick(field, candidates, fallback) {
+      const found = candidates.find(([, value]) => value);
+      provenance[field] = found ? found[0] : null;
+      return found ? found[1] : fallback;
     }
-    return JSON.parse(cleaned);
-  } catch (e) {
-    return null;
-  }
+  };
+}
+
+/**
+ * Best available value per field from either source, with provenance
+ */
+function buildUnifiedView(ledgerEntry, ocrData) {
+  const { provenance, pick } = createProvenance();
+  const unified = {
+    vendor_name: pick('vendor_name', [['ledger.vendor_name', ledgerEntry?.vendor_name], ['ocr.vendor_name', ocrData?.vendor_name]], ''),
+    vendor_guid: pick('vendor_guid', [['ledger.vendor_guid', ledgerEntry?.vendor_guid], ['ocr.vendor_guid', ocrData?.vendor_guid]], null),
+    invoice_number: String(pick('invoice_number', [['ledger.invoice_number', ledgerEntry?.invoice_number], ['ocr.invoice_number', ocrData?.invoice_number]], '')),
+    invoice_date: pick('invoice_date', [['ledger.invoice_date', ledgerEntry?.invoice_date], ['ocr.invoice_date', ocrData?.invoice_date]], ''),
+    amount: pick('amount', [['ledger.amount', ledgerEntry?.amount], ['ocr.invoice_total', parseMoney(ocrData?.invoice_total)]], 0),
+    payment_date: pick('payment_date', [['ledger.payment_date', ledgerEntry?.payment_date]], ''),
+    category: pick('category', [['ledger.object_account_descr', ledgerEntry?.object_account_descr], ['ocr.meta_invoice_type', ocrData?.meta_invoice_type]], ''),
+
+    // OCR-only enrichments
+    line_items: pick('line_items', [['ocr.line_items', ocrData?.line_items]], []),
+    confirmation_numbers: pick('confirmation_numbers', [['ocr.confirmation_numbers', ocrData?.confirmation_numbers]], []),
+    employee_names: pick('employee_names', [['ocr.employee_names', ocrData?.employee_names]], []),
+    service_period: pick('service_period', [['ocr.service_start+service_end',
+      (ocrData?.service_start || ocrData?.service_end) ? `${ocrData.service_start || ''} to ${ocrData.service_end || ''}`.trim() : '']], '')
+  };
+  unified._provenance = provenance;
+  return unified;
 }
 
-// ==================== MERGE LOGIC ====================
 function createMergedRecord(ledgerEntry, ocrData, matchInfo) {
   const merged = {
     // === DATA SOURCE TRACKING ===
@@ -289,218 +215,209 @@ function createMergedRecord(ledgerEntry, ocrData, matchInfo) {
       ocr: !!ocrData,
       match_type: matchInfo?.type || 'none',
       match_confidence: matchInfo?.confidence || 0,
-      match_notes: matchInfo?.notes || ''
+      match_notes: matchInfo?.notes || '',
+      ...(matchInfo?.scores ? { match_scores: matchInfo.scores } : {}),
+      ...(matchInfo?.override ? { override: matchInfo.override } : {})
     },
 
     // === LEDGER DATA (Source of Truth) ===
-    ledger: ledgerEntry ? {
-      document_type: ledgerEntry.document_type,
-      document_number: ledgerEntry.document_number,
-      vendor_name: ledgerEntry.vendor_name,
-      vendor_id: ledgerEntry.vendor_id,
-      invoice_number: ledgerEntry.invoice_number,
-      invoice_date: ledgerEntry.invoice_date,
-      payment_date: ledgerEntry.payment_date,
-      gl_date: ledgerEntry.gl_date,
-      amount: ledgerEntry.amount,
-      debit: ledgerEntry.debit,
-      credit: ledgerEntry.credit,
-      object_account: ledgerEntry.object_account,
-      object_account_descr: ledgerEntry.object_account_descr,
-      business_unit: ledgerEntry.business_unit,
-      fund: ledgerEntry.fund,
-      je_category: ledgerEntry.je_category,
-      explanation: ledgerEntry.explanation,
-      batch_type: ledgerEntry.batch_type,
-      batch_number: ledgerEntry.batch_number,
-      batch_date: ledgerEntry.batch_date,
-      created: ledgerEntry.created,
-      last_updated_by: ledgerEntry.last_updated_by
-    } : null,
+    ledger: ledgerEntry ? toLedgerPayload(ledgerEntry) : null,
 
     // === OCR DATA (Supplementary) ===
-    ocr: ocrData ? {
-      meta_confidence: ocrData.meta_confidence,
-      meta_invoice_type: ocrData.meta_invoice_type,
-      meta_source_page: ocrData.meta_source_page,
-      meta_source_file: ocrData.meta_source_file,
-      meta_notes: ocrData.meta_notes,
-
-      invoice_number: ocrData.invoice_number,
-      invoice_date: ocrData.invoice_date,
-      due_date: ocrData.due_date,
-
-      vendor_name: ocrData.vendor_name,
-      vendor_id: ocrData.vendor_id,
-      vendor_address: ocrData.vendor_address,
-      vendor_phone: ocrData.vendor_phone,
-      vendor_email: ocrData.vendor_email,
-
-      payer_name: ocrData.payer_name,
-      payer_address: ocrData.payer_address,
-
-      bu_code: ocrData.bu_code,
-      processor_name: ocrData.processor_name,
-      processor_date: ocrData.processor_date,
-
-      invoice_total: ocrData.invoice_total,
-      amount_paid: ocrData.amount_paid,
-      amount_due: ocrData.amount_due,
-      taxes: ocrData.taxes,
-
-      service_start: ocrData.service_start,
-      service_end: ocrData.service_end,
-      service_description: ocrData.service_description,
-
-      property_name: ocrData.property_name,
-      property_address: ocrData.property_address,
-      unit_count: ocrData.unit_count,
-
-      line_items: ocrData.line_items,
-      cost_allocations: ocrData.cost_allocations,
-      confirmation_numbers: ocrData.confirmation_numbers,
-      employee_names: ocrData.employee_names,
-      reference_numbers: ocrData.reference_numbers,
-
-      merge_info: ocrData.merge_info,
-      all_source_file_ids: ocrData.all_source_file_ids,
-      all_source_rows: ocrData.all_source_rows
-    } : null,
+    ocr: ocrData ? toOcrPayload(ocrData) : null,
 
     // === UNIFIED VIEW (best available from either source) ===
-    unified: {
-      vendor_name: ledgerEntry?.vendor_name || ocrData?.vendor_name || '',
-      invoice_number: ledgerEntry?.invoice_number || ocrData?.invoice_number || '',
-      invoice_date: ledgerEntry?.invoice_date || ocrData?.invoice_date || '',
-      amount: ledgerEntry?.amount || ocrData?.invoice_total || 0,
-      payment_date: ledgerEntry?.payment_date || '',
-      category: ledgerEntry?.object_account_descr || ocrData?.meta_invoice_type || '',
-
-      // OCR-only enrichments
-      line_items: ocrData?.line_items || [],
-      confirmation_numbers: ocrData?.confirmation_numbers || [],
-      employee_names: ocrData?.employee_names || [],
-      service_period: ocrData ? `${ocrData.service_start || ''} to ${ocrData.service_end || ''}`.trim() : ''
-    }
+    unified: buildUnifiedView(ledgerEntry, ocrData)
   };
 
   return merged;
 }
 
-// ==================== MATCHING ALGORITHM ====================
-function matchInvoices(ledgerEntries, ocrInvoices) {
-  const matches = [];
-  const unmatchedLedger = [...ledgerEntries];
-  const unmatchedOcr = [...ocrInvoices];
-
-  // Build lookup indexes for OCR data
-  const ocrByInvoiceNum = new Map();
-  const ocrByVendorAndDate = new Map();
-
-  ocrInvoices.forEach((ocr, idx) => {
-    const invoiceNum = normalizeInvoiceNumber(ocr.invoice_number);
-    if (invoiceNum && invoiceNum !== 'N/A') {
-      if (!ocrByInvoiceNum.has(invoiceNum)) {
-        ocrByInvoiceNum.set(invoiceNum, []);
-      }
-      ocrByInvoiceNum.get(invoiceNum).push({ ocr, idx });
+/**
+ * Build one reconciliation group from invoice-matcher.js reconcile() output
+ */
+function createReconciliationGroup(group, index, options) {
+  const exact = Math.abs(group.residual) < 0.005;
+  const lines = `${group.ledger.length} ledger line${group.ledger.length === 1 ? '' : 's'}`;
+  const scans = `${group.ocr.length} OCR invoice${group.ocr.length === 1 ? '' : 's'}`;
+  const first = group.ledger[0];
+  const { provenance, pick } = createProvenance();
+
+  return {
+    group_id: `RG-${String(index + 1).padStart(3, '0')}`,
+    kind: group.kind,
+    _data_sources: {
+      ledger: true,
+      ocr: true,
+      match_type: 'reconciliation',
+      match_confidence: exact ? 0.8 : 0.65,
+      match_notes: `${lines} reconcile to ${scans}` +
+        (exact ? ' exactly' : ` with a residual of $${group.residual.toFixed(2)}`) +
+        ` (same vendor, dates within ${options.date_window_days} days)`
+    },
+    ledger_total: group.ledger_total,
+    ocr_total: group.ocr_total,
+    residual: group.residual,
+    ledger: group.ledger.map(toLedgerPayload),
+    ocr: group.ocr.map(toOcrPayload),
+    unified: {
+      vendor_name: pick('vendor_name', [['ledger[0].vendor_name', first.vendor_name], ['ocr[0].vendor_name', group.ocr[0].vendor_name]], ''),
+      vendor_guid: pick('vendor_guid', [['ledger[0].vendor_guid', first.vendor_guid], ['ocr[0].vendor_guid', group.ocr[0].vendor_guid]], null),
+      invoice_numbers: pick('invoice_numbers', [['ledger[].invoice_number+ocr[].invoice_number',
+        [...new Set([...group.ledger, ...group.ocr].map(r => r.invoice_number).filter(Boolean).map(String))]]], []),
+      invoice_date: pick('invoice_date', [['ledger[0].invoice_date', first.invoice_date], ['ocr[0].invoice_date', group.ocr[0].invoice_date]], ''),
+      amount: pick('amount', [['ledger_total', group.ledger_total]], 0),
+      category: pick('category', [['ledger[0].object_account_descr', first.object_account_descr], ['ocr[0].meta_invoice_type', group.ocr[0].meta_invoice_type]], ''),
+      _provenance: provenance
     }
+  };
+}
+
+// ==================== MANUAL OVERRIDES ====================
+const OVERRIDE_ACTIONS = ['link', 'unlink'];
 
-    // Index by vendor + date
-    const normalizedVendor = normalizeVendorForLedgerMatch(ocr.vendor_name);
-    const dateKey = `${normalizedVendor}|${ocr.invoice_date}`;
-    if (!ocrByVendorAndDate.has(dateKey)) {
-      ocrByVendorAndDate.set(dateKey, []);
+/**
+ * Load reviewer match decisions. Throws on a malformed entry so a bad edit
+ * never silently falls back to automatic matching.
+ */
+function loadMatchOverrides(overridesPath) {
+  const file = JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+  const overrides = file.overrides || [];
+
+  overrides.forEach((override, index) => {
+    const id = override.id || `#${index + 1}`;
+    if (!OVERRIDE_ACTIONS.includes(override.action)) {
+      throw new Error(`${overridesPath}: override ${id} has unknown action "${override.action}"`);
+    }
+    if (!override.ledger || !override.ledger.document_number) {
+      throw new Error(`${overridesPath}: override ${id} needs ledger.document_number`);
+    }
+    if (!override.ocr || !Number.isFinite(Number(override.ocr.page))) {
+      throw new Error(`${overridesPath}: override ${id} needs ocr.page`);
+    }
+    if (!String(override.reason || '').trim()) {
+      throw new Error(`${overridesPath}: override ${id} needs a reason`);
     }
-    ocrByVendorAndDate.get(dateKey).push({ ocr, idx });
   });
 
-  // Pass 1: Match by invoice number (strongest match)
-  ledgerEntries.forEach((ledger, ledgerIdx) => {
-    if (ledger.document_type !== 'Invoice') return;
-
-    const ledgerInvoiceNum = normalizeInvoiceNumber(ledger.invoice_number);
-    if (!ledgerInvoiceNum) return;
-
-    const candidates = ocrByInvoiceNum.get(ledgerInvoiceNum) || [];
-
-    for (const { ocr, idx } of candidates) {
-      // Also verify vendor matches
-      const normalizedOcrVendor = normalizeVendorForLedgerMatch(ocr.vendor_name);
-      const ledgerVendor = ledger.vendor_name;
-
-      if (normalizedOcrVendor.toUpperCase() === ledgerVendor.toUpperCase() ||
-          normalizedOcrVendor === ledgerVendor) {
-        matches.push({
-          ledger,
-          ocr,
-          matchInfo: {
-            type: 'invoice_number',
-            confidence: 0.95,
-            notes: `Matched by invoice number: ${ledgerInvoiceNum}`
-          }
-        });
-
-        // Remove from unmatched lists
-        const ledgerUnmatchedIdx = unmatchedLedger.indexOf(ledger);
-        if (ledgerUnmatchedIdx > -1) unmatchedLedger.splice(ledgerUnmatchedIdx, 1);
-        const ocrUnmatchedIdx = unmatchedOcr.findIndex(o => o === ocr);
-        if (ocrUnmatchedIdx > -1) unmatchedOcr.splice(ocrUnmatchedIdx, 1);
-
-        return; // Only one match per ledger entry
-      }
+  return overrides;
+}
+
+function ledgerMatchesSelector(selector, ledger) {
+  return String(ledger.document_number) === String(selector.document_number) &&
+    (selector.line_number === undefined || String(ledger.line_number) === String(selector.line_number)) &&
+    (selector.amount === undefined || Math.abs(ledger.amount - selector.amount) < 0.005);
+}
+
+/**
+ * Resolve overrides against this run's ledger lines and OCR invoices (by the
+ * page the invoice starts on). Overrides apply in file order, so a later
+ * decision for the same ledger line replaces an earlier one.
+ * @returns {{ links: Array<{ ledger, ocr, override }>, isBlockedPair: Function,
+ *   applied: { link: number, unlink: number }, unresolved: Array<{ id, problem }> }}
+ */
+function resolveMatchOverrides(overrides, ledgerEntries, ocrInvoices) {
+  const ledgerIndex = new Map(ledgerEntries.map((ledger, idx) => [ledger, idx]));
+  const links = new Map();      // ledger index -> { ledger, ocr, override }
+  const blocked = new Set();    // "<ledger index>|<page>"
+  const applied = { link: 0, unlink: 0 };
+  const unresolved = [];
+
+  overrides.forEach(override => {
+    const page = Number(override.ocr.page);
+    const ledgerMatches = ledgerEntries.filter(ledger => ledgerMatchesSelector(override.ledger, ledger));
+    const ocr = ocrInvoices.find(o => Number(o.meta_source_page) === page);
+    if (ledgerMatches.length === 0 || !ocr) {
+      unresolved.push({
+        id: override.id || null,
+        problem: ledgerMatches.length === 0
+          ? `ledger line ${override.ledger.document_number} not found`
+          : `no OCR invoice starts on page ${page}`
+      });
+      return;
     }
-  });
 
-  // Pass 2: Match by vendor + invoice date + amount (for remaining)
-  unmatchedLedger.filter(l => l.document_type === 'Invoice').forEach(ledger => {
-    const ledgerVendor = ledger.vendor_name;
-    const ledgerDate = normalizeDate(ledger.invoice_date);
-    const ledgerAmount = Math.round((ledger.debit || 0) * 100); // Amount in cents for comparison
-
-    if (!ledgerDate) return;
-
-    // Look for OCR records with same vendor, matching date, AND matching amount
-    for (const ocr of unmatchedOcr) {
-      const normalizedOcrVendor = normalizeVendorForLedgerMatch(ocr.vendor_name);
-      const ocrDate = normalizeDate(ocr.invoice_date);
-      const ocrAmount = Math.round((ocr.invoice_total || 0) * 100); // Amount in cents
-
-      if (normalizedOcrVendor.toUpperCase() === ledgerVendor.toUpperCase() &&
-          ledgerDate === ocrDate &&
-          ledgerAmount === ocrAmount) {
-        matches.push({
-          ledger,
-          ocr,
-          matchInfo: {
-            type: 'vendor_date_amount',
-            confidence: 0.85,
-            notes: `Matched by vendor (${ledgerVendor}), invoice date (${ledgerDate}), and amount ($${(ledgerAmount / 100).toFixed(2)})`
-          }
-        });
-
-        const ocrUnmatchedIdx = unmatchedOcr.findIndex(o => o === ocr);
-        if (ocrUnmatchedIdx > -1) unmatchedOcr.splice(ocrUnmatchedIdx, 1);
-        const ledgerUnmatchedIdx = unmatchedLedger.indexOf(ledger);
-        if (ledgerUnmatchedIdx > -1) unmatchedLedger.splice(ledgerUnmatchedIdx, 1);
-
-        break;
+    applied[override.action]++;
+    ledgerMatches.forEach(ledger => {
+      const idx = ledgerIndex.get(ledger);
+      if (override.action === 'link') {
+        links.set(idx, { ledger, ocr, override });
+        blocked.delete(`${idx}|${page}`);
+      } else {
+        blocked.add(`${idx}|${page}`);
+        if (links.get(idx)?.ocr === ocr) links.delete(idx);
       }
-    }
+    });
   });
 
-  return { matches, unmatchedLedger, unmatchedOcr };
+  return {
+    links: [...links.values()],
+    isBlockedPair: (ledger, ocr) => blocked.has(`${ledgerIndex.get(ledger)}|${Number(ocr.meta_source_page)}`),
+    applied,
+    unresolved
+  };
+}
+
+// ==================== MATCHING ALGORITHM ====================
+/**
+ * Match ledger invoices to OCR invoices: manual links first, then 1:1 pairs,
+ * then reconciliation groups among what is left
+ * @param {Object} matcher - from invoice-matcher.js createMatcher()
+ * @param {Array} manualLinks - resolveMatchOverrides() links
+ */
+function matchInvoices(ledgerEntries, ocrInvoices, matcher, manualLinks = []) {
+  const invoices = ledgerEntries.filter(l => l.document_type === 'Invoice');
+  const linkedLedger = new Set(manualLinks.map(link => link.ledger));
+  const linkedOcr = new Set(manualLinks.map(link => link.ocr));
+
+  const manualMatches = manualLinks.map(({ ledger, ocr, override }) => ({
+    ledger,
+    ocr,
+    matchInfo: {
+      type: 'manual',
+      confidence: 1,
+      notes: `Manual override${override.id ? ` ${override.id}` : ''}: ${override.reason}`,
+      override: {
+        id: override.id || null,
+        reason: override.reason,
+        reviewer: override.reviewer || null,
+        created_at: override.created_at || null
+      }
+    }
+  }));
+
+  // A linked scan stays available to further lines of its invoice (a split payment)
+  const { matches, unmatchedLedger, unmatchedOcr } = matcher.match(
+    invoices.filter(l => !linkedLedger.has(l)),
+    ocrInvoices,
+    linkedOcr
+  );
+  const reconciled = matcher.reconcile(unmatchedLedger, unmatchedOcr);
+
+  // Keep ledger order in the output
+  const order = new Map(invoices.map((ledger, idx) => [ledger, idx]));
+  return {
+    matches: [...manualMatches, ...matches].sort((a, b) => order.get(a.ledger) - order.get(b.ledger)),
+    groups: reconciled.groups,
+    unmatchedLedger: reconciled.unmatchedLedger,
+    unmatchedOcr: reconciled.unmatchedOcr
+  };
 }
 
 // ==================== MAIN ====================
-function main() {
-  const ledgerPath = path.join(__dirname, 'ledger.csv');
-  const dataPath = path.join(__dirname, 'data.csv');
-  const outputPath = path.join(__dirname, 'merged-data.json');
-  const summaryPath = path.join(__dirname, 'merge-summary.json');
+/**
+ * @param {Object} paths - { ledgerPath, dataPath, vendorsPath, matchConfigPath, overridesPath,
+ *   outputPath, summaryPath } supplied by pipeline.js
+ */
+function main(paths) {
+  const { ledgerPath, dataPath, vendorsPath, matchConfigPath, overridesPath, outputPath, summaryPath } = paths;
 
   console.log('=== Ledger + OCR Invoice Merge ===\n');
 
+  const matchConfig = loadMatchConfig(matchConfigPath);
+  const matchOverrides = loadMatchOverrides(overridesPath);
+  console.log(`Match threshold ${matchConfig.threshold}, features: ${Object.keys(matchConfig.features).join(', ')}\n`);
+
   // Read and parse ledger
   console.log('Reading ledger.csv...');
   const ledgerText = fs.readFileSync(ledgerPath, 'utf8');
@@ -537,16 +454,49 @@ function main() {
   });
   console.log(`  Extracted ${ocrInvoices.length} unique invoices from OCR`);
 
+  // Every named vendor must be in the registry; an unknown name is an error, not a guess
+  const vendors = readVendorRegistry(vendorsPath);
+  const unresolvedVendors = [
+    ...resolveVendors(vendors, invoiceEntries, 'ledger'),
+    ...resolveVendors(vendors, ocrInvoices, 'ocr')
+  ];
+  if (unresolvedVendors.length > 0) {
+    const list = unresolvedVendors
+      .map(v => `  ${v.source} "${v.vendor_name}"${v.vendor_id ? ` (vendor ID ${v.vendor_id})` : ''}: ${v.records} record(s), e.g. ${v.example}`)
+      .join('\n');
+    throw new Error(`${unresolvedVendors.length} vendor name(s) are not in vendors.json; add them as a vendor or alias:\n${list}`);
+  }
+  console.log(`  Resolved vendors of ${invoiceEntries.length} ledger invoices and ${ocrInvoices.length} OCR invoices against vendors.json`);
+
+  // Apply reviewer decisions before automatic matching
+  const overrides = resolveMatchOverrides(matchOverrides, invoiceEntries, ocrInvoices);
+  console.log(`\nManual overrides: ${matchOverrides.length} in file, ${overrides.applied.link} links and ${overrides.applied.unlink} unlinks applied`);
+  overrides.unresolved.forEach(entry => {
+    console.warn(`  WARNING: override ${entry.id || '(no id)'} skipped: ${entry.problem}`);
+  });
+
+  const matcher = createMatcher(matchConfig, {
+    vendorGuid: (name, id) => vendors.resolve(name, id)?.guid || null,
+    normalizeInvoiceNumber,
+    isBlockedPair: overrides.isBlockedPair
+  });
+
   // Match invoices
   console.log('\nMatching ledger entries to OCR data...');
-  const { matches, unmatchedLedger, unmatchedOcr } = matchInvoices(invoiceEntries, ocrInvoices);
+  const { matches, groups, unmatchedLedger, unmatchedOcr } =
+    matchInvoices(invoiceEntries, ocrInvoices, matcher, overrides.links);
+  const reconciliationGroups = groups.map((g, i) => createReconciliationGroup(g, i, matchConfig.reconciliation));
+  const reconciledLedger = groups.reduce((sum, g) => sum + g.ledger.length, 0);
+  const reconciledOcr = groups.reduce((sum, g) => sum + g.ocr.length, 0);
   console.log(`  - ${matches.length} matched invoice pairs`);
+  console.log(`  - ${groups.length} reconciliation groups (${reconciledLedger} ledger lines, ${reconciledOcr} OCR invoices)`);
   console.log(`  - ${unmatchedLedger.filter(l => l.document_type === 'Invoice').length} unmatched ledger invoices`);
   console.log(`  - ${unmatchedOcr.length} unmatched OCR invoices`);
 
   // Create merged output
   const mergedData = {
     _metadata: {
+      schema_version: MERGED_SCHEMA_VERSION,
       generated_at: new Date().toISOString(),
       ledger_source: 'ledger.csv',
       ocr_source: 'data.csv',
@@ -560,6 +510,9 @@ function main() {
     // Matched invoice records (have both ledger and OCR data)
     matched_invoices: matches.map(m => createMergedRecord(m.ledger, m.ocr, m.matchInfo)),
 
+    // Ledger lines and OCR invoices whose amounts add up as a group (N:1 or 1:N)
+    reconciliation_groups: reconciliationGroups,
+
     // Ledger-only records (no matching OCR scan found)
     ledger_only: {
       invoices: unmatchedLedger.filter(l => l.document_type === 'Invoice').map(l =>
@@ -579,7 +532,7 @@ function main() {
   };
 
   // Write merged data
-  console.log(`\nWriting merged data to ${outputPath}...`);
+  console.log(`\nWriting merged data (schema v${MERGED_SCHEMA_VERSION}) to ${outputPath}...`);
   fs.writeFileSync(outputPath, JSON.stringify(mergedData, null, 2), 'utf8');
 
   // Generate summary statistics
@@ -611,7 +564,26 @@ function main() {
 
       by_match_type: {
         invoice_number: matches.filter(m => m.matchInfo.type === 'invoice_number').length,
-        vendor_date_amount: matches.filter(m => m.matchInfo.type === 'vendor_date_amount').length
+        vendor_date_amount: matches.filter(m => m.matchInfo.type === 'vendor_date_amount').length,
+        scored: matches.filter(m => m.matchInfo.type === 'scored').length,
+        manual: matches.filter(m => m.matchInfo.type === 'manual').length
+      },
+      match_threshold: matchConfig.threshold,
+
+      overrides: {
+        in_file: matchOverrides.length,
+        links_applied: overrides.applied.link,
+        unlinks_applied: overrides.applied.unlink,
+        unresolved: overrides.unresolved
+      },
+
+      reconciliation: {
+        groups: groups.length,
+        many_ledger_to_one_ocr: groups.filter(g => g.kind === 'many_ledger_to_one_ocr').length,
+        one_ledger_to_many_ocr: groups.filter(g => g.kind === 'one_ledger_to_many_ocr').length,
+        ledger_lines: reconciledLedger,
+        ocr_invoices: reconciledOcr,
+        total_residual: groups.reduce((sum, g) => sum + g.residual, 0).toFixed(2)
       }
     },
 
@@ -651,6 +623,9 @@ function main() {
   console.log(`  OCR match rate: ${summary.match_stats.match_rate_ocr}`);
   console.log(`  By invoice number: ${summary.match_stats.by_match_type.invoice_number}`);
   console.log(`  By vendor + date + amount: ${summary.match_stats.by_match_type.vendor_date_amount}`);
+  console.log(`  By score (fuzzy): ${summary.match_stats.by_match_type.scored}`);
+  console.log(`  By manual override: ${summary.match_stats.by_match_type.manual}`);
+  console.log(`  Reconciliation groups: ${groups.length} (${reconciledLedger} ledger lines, ${reconciledOcr} OCR invoices, residual $${summary.match_stats.reconciliation.total_residual})`);
 
   console.log('\n=== Done! ===');
   console.log(`Output files:`);
@@ -658,4 +633,17 @@ function main() {
   console.log(`  - ${summaryPath} (statistics)`);
 }
 
-main();
+module.exports = {
+  main,
+  parseLedgerEntry,
+  matchInvoices,
+  loadMatchOverrides,
+  resolveMatchOverrides,
+  createMergedRecord,
+  createReconciliationGroup
+};
+
+if (require.main === module) {
+  // Run through the pipeline so outputs land in a versioned run directory
+  require('./pipeline').runCli(['--only', 'merge-ledger-invoices']);
+}
@@ -0,0 +1,896 @@
+/**
+ * Page Grouping
+ *
+ * Decides where one invoice ends and the next begins in the scanned packet.
+ * process-ocr.js walks the pages in order and, for every page after the first,
+ * asks whether it starts a new invoice or continues the current one.
+ *
+ * Two deciders:
+ *   - the hand-written rules (eight merge signals, six overrides and the
+ *     grand-total close), the baseline the classifier is measured against
+ *   - a page-boundary classifier: logistic regression over the signals in
+ *     FEATURES (consecutive page, same vendor, folio pattern, bu_code equality,
+ *     grand-total flags, ...), trained offline on the groups in page-groups.json
+ *     that a reviewer checked against the scans or the ledger, and stored in
+ *     page-grouping-model.json
+ *
+ * The rules decide until the classifier beats them on held-out reviewed
+ * groups: training sets the model's decider to "classifier" only then, and
+ * even so the rules decide the pages the classifier is unsure about.
+ * page-groups.json must never be filled from the pipeline's own grouping; a
+ * classifier trained on the rules' output can only learn to repeat them.
+ *
+ * Reviewer decisions in grouping-overrides.json come before both: "split"
+ * starts a new invoice at the given packet page, "join" keeps that page in the
+ * invoice of the page before it. They are recorded in the page-strip view of
+ * index.html; once the invoice is checked against the scans, record its pages
+ * in page-groups.json so the classifier learns it at the next retrain.
+ *
+ *   node pipeline.js grouping train [--dry-run]
+ *   node pipeline.js grouping test
+ *
+ * train retrains the classifier and prints its cross-validated accuracy next
+ * to the rules'. Training is deterministic and needs no network; retrain after
+ * page-groups.json changes and commit both files.
+ *
+ * test is the regression check for changes to the rules, the page signals or
+ * the model: it runs processInvoices() over the raw packet by the rules alone
+ * and as the pipeline runs it, compares both with page-groups.json (the
+ * reviewed groups), reports boundary precision and recall, and lists every
+ * reviewed group that came out split, merged or regrouped. It fails when
+ * anything differs, and when page-groups.json has no groups to check.
+ *
+ * Pages are identified by their packet page number (data.csv "Number"); OCR
+ * meta_source_page is what the rules and features compare.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV, parseOCR, readVendorRegistry } = require('./data-access');
+
+const GROUPS_FILE = path.join(__dirname, 'page-groups.json');
+const MODEL_FILE = path.join(__dirname, 'page-grouping-model.json');
+const MODEL_VERSION = 1;
+
+// Training: full-batch gradient descent from zero weights, so it is reproducible
+const TRAINING = { epochs: 10000, learningRate: 0.5, l2: 0.0001 };
+const CROSS_VALIDATION_FOLDS = 5;
+// Probabilities within this distance of 0.5 are left to the rules
+const FALLBACK_MARGIN = 0.2;
+// Deciders a model file can name; "classifier" only when it beats the rules
+const DECIDERS = ['rules', 'classifier'];
+
+// ==================== PAGE SIGNALS ====================
+/**
+ * Checks if vendor name is unknown/missing (OCR couldn't extract it)
+ */
+function isUnknownVendor(vendorName) {
+  if (!vendorName) return true;
+  const normalized = vendorName.toLowerCase().trim();
+  return normalized === 'unknown' || normalized === '';
+}
+
+/**
+ * Determines if a page is effectively a continuation page based on its characteristics.
+ * Some pages aren't marked as continuation in OCR but should be treated as such.
+ */
+function isEffectiveContinuationPage(ocr) {
+  if (!ocr) return false;
+
+  // Explicitly marked as continuation
+  if (ocr.meta_is_continuation_page === true) return true;
+
+  // Page has no invoice date - likely a continuation/detail page
+  const hasNoDate = !ocr.invoice_date || ocr.invoice_date === 'null' || ocr.invoice_date === 'YYYY-MM-DD';
+
+  // Page has no real invoice number (null, N/A, or garbage like "string")
+  const hasNoInvoiceNum = !hasInvoiceNumber(ocr);
+
+  // No vendor_id suggests it's not a header page
+  const hasNoVendorId = !ocr.vendor_id;
+
+  // No bu_code suggests it's not a header page
+  const hasNoBuCode = !ocr.bu_code;
+
+  // Unknown vendor name suggests OCR couldn't extract it (likely a summary/billing page)
+  const hasUnknownVendor = !ocr.vendor_name ||
+                           ocr.vendor_name === 'unknown' ||
+                           ocr.vendor_name === 'Unknown';
+
+  // If it has no date AND (no invoice number OR no vendor_id), treat as continuation
+  if (hasNoDate && (hasNoInvoiceNum || hasNoVendorId)) {
+    return true;
+  }
+
+  // If vendor is unknown AND has no date AND has no vendor_id/bu_code, treat as continuation
+  // This catches billing summary pages that don't have header info
+  if (hasUnknownVendor && hasNoDate && hasNoVendorId && hasNoBuCode) {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Checks if a page has a real invoice number (not null, N/A, or garbage like "string")
+ */
+function hasInvoiceNumber(ocr) {
+  return !!ocr.invoice_number && !['N/A', 'null', 'string', 'unknown'].includes(ocr.invoice_number);
+}
+
+/**
+ * Checks if a page is a "header" page (Company Invoice format with full details).
+ * Header pages have vendor_id and bu_code and are the start of an invoice.
+ */
+function isHeaderPage(ocr) {
+  if (!ocr) return false;
+  return ocr.vendor_id && ocr.bu_code && ocr.invoice_date && !ocr.meta_is_continuation_page;
+}
+
+/**
+ * Checks if a page is a detail/folio page (9700xxxxx format).
+ * These pages are separate invoices unless they're marked as continuation or lack dates.
+ */
+function isFolioPage(ocr) {
+  if (!ocr) return false;
+  const invoiceNum = ocr.invoice_number;
+  return invoiceNum && /^97\d+$/.test(String(invoiceNum));
+}
+
+// ==================== RULES ====================
+/**
+ * Hand-written merge decision: should the current page join the group?
+ * @param {Object} current - { row, ocr }
+ * @param {Array} group - pages of the invoice so far
+ * @param {Object} vendors - registry from readVendorRegistry()
+ */
+function rulesMerge(current, group, vendors) {
+  const currentOcr = current.ocr;
+  const currentPage = currentOcr?.meta_source_page || 0;
+  const isContinuation = currentOcr?.meta_is_continuation_page === true;
+  const isEffectiveCont = isEffectiveContinuationPage(currentOcr);
+  const isHeader = isHeaderPage(currentOcr);
+  const hasGrandTotal = currentOcr?.meta_has_grand_total === true;
+  const invoiceTotal = currentOcr?.invoice_total || 0;
+
+  const prevOcr = group[group.length - 1].ocr;
+  const prevPage = prevOcr?.meta_source_page || 0;
+  const isConsecutive = currentPage === prevPage + 1;
+  const firstOcr = group[0].ocr;
+
+  let shouldMerge = false;
+
+  // STRONG signals to MERGE
+  // 1. Explicitly marked as continuation + consecutive + same vendor
+  if (isContinuation && isConsecutive && vendors.isSameVendor(currentOcr?.vendor_name, prevOcr?.vendor_name)) {
+    shouldMerge = true;
+  }
+  // 2. Consecutive + same vendor + no grand total + zero amount (likely a middle page)
+  else if (isConsecutive && vendors.isSameVendor(currentOcr?.vendor_name, prevOcr?.vendor_name) && !hasGrandTotal && invoiceTotal === 0) {
+    shouldMerge = true;
+  }
+  // 3. Same invoice number + same vendor
+  else if (currentOcr?.invoice_number && currentOcr.invoice_number !== 'N/A' &&
+           prevOcr?.invoice_number === currentOcr.invoice_number &&
+           vendors.isSameVendor(currentOcr?.vendor_name, prevOcr?.vendor_name)) {
+    shouldMerge = true;
+  }
+  // 4. Continuation page (marked or effective) + missing vendor_id/bu_code + consecutive
+  else if ((isContinuation || isEffectiveCont) && !currentOcr?.vendor_id && !currentOcr?.bu_code && isConsecutive) {
+    // Allow merge if same vendor OR if current page has unknown vendor (OCR couldn't extract it)
+    // BUT only if invoice types match (don't merge HOTEL with RENTAL)
+    const typesMatch = !currentOcr?.meta_invoice_type || !firstOcr?.meta_invoice_type ||
+                       currentOcr.meta_invoice_type === firstOcr.meta_invoice_type;
+    if ((vendors.isSameVendor(currentOcr?.vendor_name, firstOcr?.vendor_name) || isUnknownVendor(currentOcr?.vendor_name)) && typesMatch) {
+      shouldMerge = true;
+    }
+  }
+  // 5. Effective continuation page (no date, no vendor_id) + consecutive + same vendor
+  // This catches pages that aren't marked as continuation but clearly are detail/folio pages
+  else if (isEffectiveCont && isConsecutive && vendors.isSameVendor(currentOcr?.vendor_name, firstOcr?.vendor_name)) {
+    // Only merge if the first page in group is a header page
+    if (isHeaderPage(firstOcr)) {
+      shouldMerge = true;
+    }
+  }
+  // 6. Folio pages (9700xxx) following a header page should merge if consecutive and same vendor
+  // These are detail pages that show individual guest stays for the same invoice
+  else if (isFolioPage(currentOcr) && isConsecutive && vendors.isSameVendor(currentOcr?.vendor_name, firstOcr?.vendor_name)) {
+    // Only merge folio pages if the first page is a header (not another folio)
+    // and the current page doesn't have vendor_id (indicating it's a detail, not standalone)
+    if (isHeaderPage(firstOcr) && !currentOcr?.vendor_id) {
+      shouldMerge = true;
+    }
+  }
+  // 7. Folio pages with same bu_code as the header should merge
+  // Even if they have different folio invoice numbers, they belong to the same Company Invoice
+  // BUT only if invoice types match (don't merge HOTEL with RENTAL)
+  else if (isFolioPage(currentOcr) && isConsecutive &&
+           currentOcr?.bu_code && firstOcr?.bu_code &&
+           currentOcr.bu_code === firstOcr.bu_code &&
+           !currentOcr?.vendor_id &&
+           vendors.isSameVendor(currentOcr?.vendor_name, firstOcr?.vendor_name) &&
+           (!currentOcr?.meta_invoice_type || !firstOcr?.meta_invoice_type ||
+            currentOcr.meta_invoice_type === firstOcr.meta_invoice_type)) {
+    shouldMerge = true;
+  }
+  // 8. Pages with unknown vendor that are effectively continuation pages
+  // Consecutive pages + same invoice type + current page has unknown vendor + no header info
+  // This catches billing summary pages where OCR couldn't extract vendor info
+  else if (isEffectiveCont && isConsecutive && isUnknownVendor(currentOcr?.vendor_name) &&
+           currentOcr?.meta_invoice_type === firstOcr?.meta_invoice_type &&
+           !currentOcr?.vendor_id && !currentOcr?.bu_code) {
+    shouldMerge = true;
+  }
+
+  // STRONG signals to NOT MERGE (override)
+  if (shouldMerge) {
+    // Override 1: Current page is a new header page (has vendor_id, bu_code, date)
+    // Header pages always start new invoices
+    if (isHeader && !isContinuation) {
+      shouldMerge = false;
+    }
+    // Override 2: Different invoice numbers - but skip for continuation/effective continuation pages
+    else if (!isContinuation && !isEffectiveCont &&
+        currentOcr?.invoice_number && currentOcr.invoice_number !== 'N/A' &&
+        firstOcr?.invoice_number && firstOcr.invoice_number !== 'N/A' &&
+        currentOcr.invoice_number !== firstOcr.invoice_number &&
+        !isFolioPage(currentOcr)) {
+      shouldMerge = false;
+    }
+    // Override 3: Both current and previous have grand totals with positive amounts
+    // (unless current is a continuation/effective continuation, or a folio page following a header)
+    else if (!isContinuation && !isEffectiveCont && hasGrandTotal &&
+             prevOcr?.meta_has_grand_total && invoiceTotal > 0 &&
+             (prevOcr?.invoice_total || 0) > 0) {
+      // Don't apply this override for folio pages that share bu_code with the header
+      const isFolioWithSameBuCode = isFolioPage(currentOcr) &&
+                                     currentOcr?.bu_code && firstOcr?.bu_code &&
+                                     currentOcr.bu_code === firstOcr.bu_code;
+      if (!isFolioWithSameBuCode) {
+        shouldMerge = false;
+      }
+    }
+    // Override 4: Different vendor from the first page in group
+    // But allow unknown vendor pages to merge (they're likely continuation pages with missing vendor info)
+    if (!vendors.isSameVendor(currentOcr?.vendor_name, firstOcr?.vendor_name) && !isUnknownVendor(currentOcr?.vendor_name)) {
+      shouldMerge = false;
+    }
+    // Override 5: Non-consecutive pages
+    if (!isConsecutive && currentPage > prevPage + 1) {
+      shouldMerge = false;
+    }
+    // Override 6: Different invoice types (e.g., HOTEL vs RENTAL) should never merge
+    // This is a strong signal that they are separate invoices from different vendors
+    if (currentOcr?.meta_invoice_type && firstOcr?.meta_invoice_type &&
+        currentOcr.meta_invoice_type !== firstOcr.meta_invoice_type) {
+      shouldMerge = false;
+    }
+  }
+
+  return shouldMerge;
+}
+
+/**
+ * Hand-written close: after a merged page with a positive grand total the
+ * invoice is complete, unless the next page is a continuation or folio page of
+ * the same invoice.
+ */
+function rulesCloseAfter(page, next, group, vendors) {
+  const ocr = page.ocr;
+  const firstOcr = group[0].ocr;
+  if (!(ocr?.meta_has_grand_total === true && (ocr?.invoice_total || 0) > 0 && !isEffectiveContinuationPage(ocr))) {
+    return false;
+  }
+
+  // Peek at next page - if it's a continuation or folio page of same invoice, don't complete yet
+  const nextOcr = next?.ocr;
+  const nextIsConsecutive = nextOcr && (nextOcr.meta_source_page === (ocr?.meta_source_page || 0) + 1);
+  const nextIsEffectiveCont = nextOcr && isEffectiveContinuationPage(nextOcr);
+  const nextIsSameVendor = nextOcr && vendors.isSameVendor(nextOcr.vendor_name, firstOcr?.vendor_name);
+  const nextIsFolio = nextOcr && isFolioPage(nextOcr);
+  const nextHasSameBuCode = nextOcr && nextOcr.bu_code && firstOcr?.bu_code &&
+                            nextOcr.bu_code === firstOcr.bu_code;
+  const nextIsNewHeader = nextOcr && isHeaderPage(nextOcr);
+
+  // Don't complete if next page is:
+  // 1. An effective continuation of same vendor
+  // 2. A folio page with same bu_code (part of same invoice) that's not a new header
+  const shouldContinue = nextIsConsecutive && nextIsSameVendor &&
+    (nextIsEffectiveCont || (nextIsFolio && nextHasSameBuCode && !nextIsNewHeader && !nextOcr.vendor_id));
+  return !shouldContinue;
+}
+
+/**
+ * Rules decision: does the current page start a new invoice?
+ * @param {Object} current - { row, ocr }
+ * @param {Array} group - pages of the invoice so far (the last one precedes current)
+ */
+function rulesStartNewInvoice(current, group, vendors) {
+  // A group's first page was never merged, so only later pages can close it
+  const prev = group[group.length - 1];
+  if (group.length > 1 && rulesCloseAfter(prev, current, group, vendors)) {
+    return true;
+  }
+  return !rulesMerge(current, group, vendors);
+}
+
+// ==================== FEATURES ====================
+/**
+ * Boundary signals, each 0 or 1, computed from the current page, the page
+ * before it and the first page of the invoice so far. The classifier learns a
+ * weight per feature; renaming or adding one requires retraining.
+ */
+const FEATURES = [
+  { name: 'consecutive_page', value: (cur, prev) => cur.meta_source_page === (prev.meta_source_page || 0) + 1 },
+  { name: 'same_vendor_as_previous', value: (cur, prev, first, vendors) => vendors.isSameVendor(cur.vendor_name, prev.vendor_name) },
+  { name: 'same_vendor_as_first', value: (cur, prev, first, vendors) => vendors.isSameVendor(cur.vendor_name, first.vendor_name) },
+  { name: 'unknown_vendor', value: cur => isUnknownVendor(cur.vendor_name) },
+  { name: 'marked_continuation', value: cur => cur.meta_is_continuation_page === true },
+  { name: 'effective_continuation', value: cur => isEffectiveContinuationPage(cur) },
+  { name: 'header_page', value: cur => isHeaderPage(cur) },
+  { name: 'first_is_header_page', value: (cur, prev, first) => isHeaderPage(first) },
+  { name: 'folio_page', value: cur => isFolioPage(cur) },
+  { name: 'previous_is_folio_page', value: (cur, prev) => isFolioPage(prev) },
+  { name: 'has_vendor_id', value: cur => !!cur.vendor_id },
+  { name: 'has_bu_code', value: cur => !!cur.bu_code },
+  { name: 'same_bu_code_as_first', value: (cur, prev, first) => !!cur.bu_code && cur.bu_code === first.bu_code },
+  { name: 'has_invoice_date', value: cur => !!cur.invoice_date && cur.invoice_date !== 'null' },
+  { name: 'same_invoice_number_as_previous', value: (cur, prev) => hasInvoiceNumber(cur) && cur.invoice_number === prev.invoice_number },
+  { name: 'other_invoice_number_than_first', value: (cur, prev, first) => hasInvoiceNumber(cur) && hasInvoiceNumber(first) && cur.invoice_number !== first.invoice_number },
+  { name: 'grand_total', value: cur => cur.meta_has_grand_total === true },
+  { name: 'previous_grand_total', value: (cur, prev) => prev.meta_has_grand_total === true && (prev.invoice_total || 0) > 0 },
+  { name: 'zero_total', value: cur => !(cur.invoice_total > 0) },
+  { name: 'full_invoice', value: cur => cur.meta_is_full_invoice === true },
+  { name: 'same_invoice_type_as_first', value: (cur, prev, first) => !!cur.meta_invoice_type && cur.meta_invoice_type === first.meta_invoice_type },
+  { name: 'other_invoice_type_than_first', value: (cur, prev, first) => !!cur.meta_invoice_type && !!first.meta_invoice_type && cur.meta_invoice_type !== first.meta_invoice_type }
+];
+
+function boundaryFeatures(current, group, vendors) {
+  const cur = current.ocr || {};
+  const prev = group[group.length - 1].ocr || {};
+  const first = group[0].ocr || {};
+  return FEATURES.map(feature => (feature.value(cur, prev, first, vendors) ? 1 : 0));
+}
+
+// ==================== MODEL ====================
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Probability that the current page starts a new invoice
+ */
+function boundaryProbability(model, features) {
+  return sigmoid(FEATURES.reduce((sum, feature, idx) => sum + model.weights[feature.name] * features[idx], model.bias));
+}
+
+/**
+ * Fit logistic regression weights to boundary examples
+ * @param {Array} examples - [{ features, boundary }]
+ * @returns {Object} { bias, weights: { featureName: weight } }
+ */
+function fitWeights(examples) {
+  const weights = FEATURES.map(() => 0);
+  let bias = 0;
+  const count = examples.length;
+
+  for (let epoch = 0; epoch < TRAINING.epochs; epoch++) {
+    const gradient = FEATURES.map(() => 0);
+    let biasGradient = 0;
+    examples.forEach(({ features, boundary }) => {
+      const z = features.reduce((sum, x, idx) => sum + weights[idx] * x, bias);
+      const error = sigmoid(z) - (boundary ? 1 : 0);
+      features.forEach((x, idx) => { gradient[idx] += error * x; });
+      biasGradient += error;
+    });
+    weights.forEach((weight, idx) => {
+      weights[idx] -= TRAINING.learningRate * (gradient[idx] / count + TRAINING.l2 * weight);
+    });
+    bias -= TRAINING.learningRate * biasGradient / count;
+  }
+
+  const round = value => Math.round(value * 10000) / 10000;
+  return {
+    bias: round(bias),
+    weights: Object.fromEntries(FEATURES.map((feature, idx) => [feature.name, round(weights[idx])]))
+  };
+}
+
+/**
+ * Load page-grouping-model.json. Returns null (the rules decide alone) when the
+ * file is absent, holds no trained model yet or was trained on a different
+ * feature set. A model whose decider is "rules" is returned but not used to
+ * decide boundaries.
+ */
+function loadGroupingModel(modelPath = MODEL_FILE) {
+  if (!modelPath || !fs.existsSync(modelPath)) return null;
+  const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+  if (!model.trained) return null;
+  const trained = Object.keys(model.weights || {}).sort().join(',');
+  const expected = FEATURES.map(feature => feature.name).sort().join(',');
+  if (model.version !== MODEL_VERSION || trained !== expected || !DECIDERS.includes(model.decider)) {
+    console.warn('WARNING: page-grouping-model.json does not match the current features or model format; grouping by rules only. Run `node pipeline.js grouping train`.');
+    return null;
+  }
+  return model;
+}
+
+// ==================== OVERRIDES ====================
+const OVERRIDES_FILE = path.join(__dirname, 'grouping-overrides.json');
+const OVERRIDE_ACTIONS = ['split', 'join'];
+
+/**
+ * Load reviewer boundary decisions (grouping-overrides.json, recorded in the
+ * page-strip view of index.html). Throws on a malformed entry so a bad edit
+ * never silently falls back to automatic grouping.
+ */
+function loadGroupingOverrides(overridesPath = OVERRIDES_FILE) {
+  const file = JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+  const overrides = file.overrides || [];
+
+  overrides.forEach((override, index) => {
+    const id = override.id || `#${index + 1}`;
+    if (!OVERRIDE_ACTIONS.includes(override.action)) {
+      throw new Error(`${overridesPath}: override ${id} has unknown action "${override.action}"`);
+    }
+    if (!Number.isInteger(override.page) || override.page < 2) {
+      throw new Error(`${overridesPath}: override ${id} needs page (the packet page after the boundary, 2 or more)`);
+    }
+    if (!String(override.reason || '').trim()) {
+      throw new Error(`${overridesPath}: override ${id} needs a reason`);
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Overrides by the packet page they decide. Entries apply in file order, so a
+ * later decision for the same page replaces an earlier one.
+ * @returns {Map<number, Object>}
+ */
+function overridesByPage(overrides) {
+  return new Map((overrides || []).map(override => [override.page, override]));
+}
+
+// ==================== GROUPING ====================
+/**
+ * Whether a model may decide boundaries: trained, and better than the rules
+ * on held-out reviewed groups
+ */
+function classifierDecides(model) {
+  return Boolean(model && model.decider === 'classifier');
+}
+
+/**
+ * Decide one boundary. A reviewer override for the boundary between this page
+ * and the previous packet page wins; then the classifier decides when it is
+ * confident and beat the rules in training; otherwise the rules do.
+ * @param {Map} overrides - from overridesByPage()
+ * @returns {{ boundary: boolean, by: 'override' | 'model' | 'rules', probability: number|null, override?: Object }}
+ */
+function decideBoundary(current, group, vendors, model, overrides = new Map()) {
+  const number = Number(current.row.Number);
+  const override = overrides.get(number);
+  if (override && Number(group[group.length - 1].row.Number) === number - 1) {
+    return { boundary: override.action === 'split', by: 'override', probability: null, override };
+  }
+  if (classifierDecides(model)) {
+    const probability = boundaryProbability(model, boundaryFeatures(current, group, vendors));
+    if (Math.abs(probability - 0.5) >= model.fallback_margin) {
+      return { boundary: probability >= 0.5, by: 'model', probability };
+    }
+    return { boundary: rulesStartNewInvoice(current, group, vendors), by: 'rules', probability };
+  }
+  return { boundary: rulesStartNewInvoice(current, group, vendors), by: 'rules', probability: null };
+}
+
+/**
+ * Split pages into invoices
+ * @param {Array} pages - [{ row, ocr }] in the order to walk them
+ * @param {Object} vendors - registry from readVendorRegistry()
+ * @param {Object|null} model - from loadGroupingModel(); null, or a model whose
+ *   decider is "rules", groups by the rules alone
+ * @param {Array} overrides - from loadGroupingOverrides()
+ * @returns {{ groups: Array, decidedBy: { override: number, model: number, rules: number },
+ *   unresolvedOverrides: Array<{ id, problem }> }}
+ */
+function groupPages(pages, vendors, model, overrides = []) {
+  const byPage = overridesByPage(overrides);
+  const groups = [];
+  const decidedBy = { override: 0, model: 0, rules: 0 };
+  const appliedPages = new Set();
+  let group = [];
+
+  pages.forEach(current => {
+    if (group.length === 0) {
+      group.push(current);
+      return;
+    }
+    const decision = decideBoundary(current, group, vendors, model, byPage);
+    decidedBy[decision.by]++;
+    if (decision.override) appliedPages.add(decision.override.page);
+    if (decision.boundary) {
+      groups.push(group);
+      group = [current];
+    } else {
+      group.push(current);
+    }
+  });
+
+  if (group.length > 0) groups.push(group);
+
+  // An override only applies where its page directly follows the previous packet page
+  const walked = new Set(pages.map(page => Number(page.row.Number)));
+  const unresolvedOverrides = [...byPage.values()]
+    .filter(override => !appliedPages.has(override.page))
+    .map(override => ({
+      id: override.id || null,
+      problem: !walked.has(override.page)
+        ? `page ${override.page} has no OCR`
+        : !walked.has(override.page - 1)
+          ? `page ${override.page - 1} has no OCR`
+          : `page ${override.page} is not grouped right after page ${override.page - 1}`
+    }));
+
+  return { groups, decidedBy, unresolvedOverrides };
+}
+
+/**
+ * Pages with parsed OCR, in the order process-ocr.js walks them
+ */
+function orderedPages(rows) {
+  return rows
+    .map(row => ({ row, ocr: parseOCR(row.OCR) }))
+    .filter(page => page.ocr !== null)
+    .sort((a, b) => (a.ocr?.meta_source_page || 0) - (b.ocr?.meta_source_page || 0));
+}
+
+// ==================== TRAINING ====================
+/**
+ * Reviewed groups of page-groups.json as arrays of packet page numbers
+ */
+function readReviewedGroups(groupsPath = GROUPS_FILE) {
+  return JSON.parse(fs.readFileSync(groupsPath, 'utf8')).groups.map(group => group.pages);
+}
+
+/**
+ * Boundary examples from reviewed groupings: one per page whose previous page
+ * (in walk order) is reviewed too, with the reviewed invoice so far as context.
+ * Pages outside the reviewed groups give no example: their boundary is unknown.
+ * @param {Array} pages - from orderedPages()
+ * @param {Array} reviewedGroups - arrays of packet page numbers (page-groups.json)
+ */
+function buildExamples(pages, reviewedGroups, vendors) {
+  const groupOf = new Map();
+  reviewedGroups.forEach((pageNumbers, idx) => pageNumbers.forEach(number => groupOf.set(number, idx)));
+
+  const examples = [];
+  const walked = new Map();  // reviewed group -> its pages walked so far
+  pages.forEach((current, idx) => {
+    const currentGroup = groupOf.get(Number(current.row.Number));
+    const previousGroup = idx > 0 ? groupOf.get(Number(pages[idx - 1].row.Number)) : undefined;
+    if (currentGroup !== undefined && previousGroup !== undefined) {
+      const group = walked.get(previousGroup);
+      const boundary = currentGroup !== previousGroup;
+      examples.push({ current, group, features: boundaryFeatures(current, group, vendors), boundary });
+    }
+    if (currentGroup !== undefined) walked.set(currentGroup, [...(walked.get(currentGroup) || []), current]);
+  });
+  return examples;
+}
+
+/**
+ * Accuracy and boundary precision/recall of predicted decisions
+ */
+function scoreDecisions(examples, predictions) {
+  let correct = 0;
+  let truePositives = 0;
+  let predictedBoundaries = 0;
+  let actualBoundaries = 0;
+  examples.forEach((example, idx) => {
+    if (predictions[idx] === example.boundary) correct++;
+    if (predictions[idx]) predictedBoundaries++;
+    if (example.boundary) actualBoundaries++;
+    if (predictions[idx] && example.boundary) truePositives++;
+  });
+  const ratio = (numerator, denominator) => (denominator > 0 ? Math.round(numerator / denominator * 10000) / 10000 : null);
+  return {
+    decisions: examples.length,
+    correct,
+    accuracy: ratio(correct, examples.length),
+    boundary_precision: ratio(truePositives, predictedBoundaries),
+    boundary_recall: ratio(truePositives, actualBoundaries)
+  };
+}
+
+/**
+ * Cross-validate the classifier over contiguous page blocks and score the
+ * rules on the same decisions
+ */
+function evaluate(examples, vendors) {
+  const foldSize = Math.ceil(examples.length / CROSS_VALIDATION_FOLDS);
+  const modelPredictions = [];
+  const fallbackPredictions = [];
+
+  for (let fold = 0; fold < CROSS_VALIDATION_FOLDS; fold++) {
+    const start = fold * foldSize;
+    const end = Math.min(start + foldSize, examples.length);
+    const model = {
+      ...fitWeights([...examples.slice(0, start), ...examples.slice(end)]),
+      fallback_margin: FALLBACK_MARGIN,
+      decider: 'classifier'
+    };
+    examples.slice(start, end).forEach((example, offset) => {
+      const probability = boundaryProbability(model, example.features);
+      modelPredictions[start + offset] = probability >= 0.5;
+      fallbackPredictions[start + offset] = decideBoundary(example.current, example.group, vendors, model).boundary;
+    });
+  }
+
+  const rulesPredictions = examples.map(example => rulesStartNewInvoice(example.current, example.group, vendors));
+  return {
+    method: `${CROSS_VALIDATION_FOLDS}-fold cross-validation over contiguous page blocks; each decision uses the reviewed invoice so far`,
+    rules: scoreDecisions(examples, rulesPredictions),
+    model: scoreDecisions(examples, modelPredictions),
+    model_with_rules_fallback: scoreDecisions(examples, fallbackPredictions)
+  };
+}
+
+/**
+ * Train the classifier on reviewed groupings. Its decider is "classifier" only
+ * when, with the rules fallback, it is more accurate than the rules on the
+ * held-out folds; otherwise the rules keep deciding.
+ * @param {Object} paths - { dataPath, vendorsPath, groupsPath }
+ * @returns {Object} the model, ready to write to page-grouping-model.json
+ */
+function trainGroupingModel(paths) {
+  const { dataPath, vendorsPath, groupsPath = GROUPS_FILE } = paths;
+  const vendors = readVendorRegistry(vendorsPath);
+  const reviewed = readReviewedGroups(groupsPath);
+  const pages = orderedPages(parseCSV(fs.readFileSync(dataPath, 'utf8')).data);
+  const examples = buildExamples(pages, reviewed, vendors);
+  if (examples.length < CROSS_VALIDATION_FOLDS) {
+    throw new Error(`${path.basename(groupsPath)} gives ${examples.length} reviewed page boundaries; ` +
+      `at least ${CROSS_VALIDATION_FOLDS} are needed to train and evaluate. Add groups checked against the scans.`);
+  }
+
+  const evaluation = evaluate(examples, vendors);
+  return {
+    version: MODEL_VERSION,
+    description: 'Page-boundary classifier used by process-ocr.js (see page-grouping.js). Generated by `node pipeline.js grouping train` from page-groups.json; do not edit by hand.',
+    trained: new Date().toISOString(),
+    decider: evaluation.model_with_rules_fallback.accuracy > evaluation.rules.accuracy ? 'classifier' : 'rules',
+    training: {
+      groups_file: path.basename(groupsPath),
+      reviewed_groups: reviewed.length,
+      decisions: examples.length,
+      boundaries: examples.filter(example => example.boundary).length,
+      ...TRAINING
+    },
+    fallback_margin: FALLBACK_MARGIN,
+    ...fitWeights(examples),
+    evaluation
+  };
+}
+
+// ==================== REGRESSION TEST ====================
+/**
+ * Compress page numbers for display: [189, 190, 191, 195] -> "189-191, 195"
+ */
+function formatPages(pageNumbers) {
+  const ranges = [];
+  [...pageNumbers].sort((a, b) => a - b).forEach(number => {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last[1] + 1) {
+      last[1] = number;
+    } else {
+      ranges.push([number, number]);
+    }
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * Compare a grouping with the reviewed one. Boundaries are counted between
+ * neighbouring packet pages that both appear in each grouping.
+ * @param {Array} expected - reviewed groups (arrays of packet page numbers)
+ * @param {Array} actual - produced groups (arrays of packet page numbers)
+ * @returns {Object} { boundaries, identicalGroups, differences: [{ kind, expected, actual }] }
+ */
+function compareGroupings(expected, actual) {
+  const expectedOf = new Map();
+  const actualOf = new Map();
+  expected.forEach((group, idx) => group.forEach(number => expectedOf.set(number, idx)));
+  actual.forEach((group, idx) => group.forEach(number => actualOf.set(number, idx)));
+
+  const pageNumbers = [...actualOf.keys()].filter(number => expectedOf.has(number)).sort((a, b) => a - b);
+  const counts = { true_positives: 0, false_positives: 0, false_negatives: 0 };
+  pageNumbers.slice(1).forEach((number, idx) => {
+    const previous = pageNumbers[idx];
+    const expectedBoundary = expectedOf.get(number) !== expectedOf.get(previous);
+    const actualBoundary = actualOf.get(number) !== actualOf.get(previous);
+    if (expectedBoundary && actualBoundary) counts.true_positives++;
+    if (!expectedBoundary && actualBoundary) counts.false_positives++;
+    if (expectedBoundary && !actualBoundary) counts.false_negatives++;
+  });
+  const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+  // Groups connected by shared pages; a component that is not one identical
+  // group on each side is a split, a merge or a regrouping
+  const differences = [];
+  const visited = new Set();
+  let identicalGroups = 0;
+  expected.forEach((group, idx) => {
+    if (visited.has(idx)) return;
+    const expectedIds = new Set();
+    const actualIds = new Set();
+    const queue = [idx];
+    while (queue.length > 0) {
+      const expectedId = queue.shift();
+      if (expectedIds.has(expectedId)) continue;
+      expectedIds.add(expectedId);
+      visited.add(expectedId);
+      expected[expectedId].filter(number => actualOf.has(number)).forEach(number => {
+        const actualId = actualOf.get(number);
+        if (actualIds.has(actualId)) return;
+        actualIds.add(actualId);
+        actual[actualId].filter(other => expectedOf.has(other)).forEach(other => queue.push(expectedOf.get(other)));
+      });
+    }
+    if (actualIds.size === 0) return;  // no page of the group was grouped (no OCR)
+
+    const expectedGroups = [...expectedIds].sort((a, b) => a - b).map(id => expected[id]);
+    const actualGroups = [...actualIds].sort((a, b) => a - b).map(id => actual[id]);
+    const key = groups => groups.map(g => [...g].sort((a, b) => a - b).join(',')).sort().join('|');
+    if (key(expectedGroups) === key(actualGroups)) {
+      identicalGroups += expectedGroups.length;
+      return;
+    }
+    const kind = expectedGroups.length === 1 ? 'split' : actualGroups.length === 1 ? 'merged' : 'regrouped';
+    differences.push({ kind, expected: expectedGroups, actual: actualGroups });
+  });
+
+  return {
+    pages: pageNumbers.length,
+    boundaries: {
+      ...counts,
+      precision: ratio(counts.true_positives, counts.true_positives + counts.false_positives),
+      recall: ratio(counts.true_positives, counts.true_positives + counts.false_negatives)
+    },
+    identicalGroups,
+    differences
+  };
+}
+
+/**
+ * Run processInvoices() on the raw packet, by the rules alone and as the
+ * pipeline runs it (when the classifier decides, with rules fallback), against
+ * the reviewed groups of page-groups.json. Both runs apply
+ * grouping-overrides.json, so an override that contradicts the reviewed groups
+ * fails the test too.
+ * @param {Object} paths - { dataPath, vendorsPath, groupsPath, modelPath, overridesPath }
+ * @returns {Array} [{ label, groups, comparison }]
+ */
+function testGrouping(paths) {
+  // Loaded here: process-ocr.js itself requires this module
+  const { processInvoices } = require('./process-ocr');
+  const { dataPath, vendorsPath, groupsPath = GROUPS_FILE, modelPath = MODEL_FILE, overridesPath = OVERRIDES_FILE } = paths;
+  const vendors = readVendorRegistry(vendorsPath);
+  const rows = parseCSV(fs.readFileSync(dataPath, 'utf8')).data;
+  const reviewed = readReviewedGroups(groupsPath);
+  const model = loadGroupingModel(modelPath);
+  const overrides = loadGroupingOverrides(overridesPath);
+  const withOverrides = overrides.length > 0 ? ` + ${overrides.length} grouping override${overrides.length === 1 ? '' : 's'}` : '';
+
+  const runs = [{ label: `rules only${withOverrides}`, model: null }];
+  if (classifierDecides(model)) runs.push({ label: `classifier with rules fallback${withOverrides} (as the pipeline runs)`, model });
+
+  return runs.map(({ label, model: runModel }) => {
+    const groups = processInvoices(rows, vendors, runModel, overrides);
+    const produced = groups.map(group => group.map(page => Number(page.row.Number)));
+    const describe = new Map(groups.flat().map(page => [Number(page.row.Number), page.ocr]));
+    return { label, describe, comparison: compareGroupings(reviewed, produced) };
+  });
+}
+
+function printGroupingTest(results, reviewed) {
+  const reviewedPages = reviewed.flat();
+  const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  const describeGroup = (group, describe) => {
+    const ocr = describe.get(group[0]) || {};
+    const details = [ocr.vendor_name, ocr.invoice_number].filter(value => value && value !== 'unknown').join(' ');
+    return `${formatPages(group)}${details ? ` (${details})` : ''}`;
+  };
+
+  console.log(`\nFixtures: page-groups.json, ${reviewed.length} reviewed groups over ${reviewedPages.length} pages`);
+  if (reviewed.length === 0) {
+    console.log('  No reviewed groups: nothing to check. Add groups checked against the scans or the ledger to page-groups.json.');
+    return;
+  }
+  results.forEach(({ label, describe, comparison }) => {
+    const { boundaries, differences } = comparison;
+    const skipped = reviewedPages.filter(number => !describe.has(number));
+    console.log(`\n${label}:`);
+    if (skipped.length > 0) console.log(`  pages without OCR (not grouped): ${formatPages(skipped)}`);
+    console.log(`  boundary precision ${percent(boundaries.precision)} (${boundaries.true_positives}/${boundaries.true_positives + boundaries.false_positives}),` +
+      ` recall ${percent(boundaries.recall)} (${boundaries.true_positives}/${boundaries.true_positives + boundaries.false_negatives})`);
+    console.log(`  ${comparison.identicalGroups} reviewed groups reproduced, ${differences.length} difference${differences.length === 1 ? '' : 's'}`);
+    differences.forEach(({ kind, expected, actual }) => {
+      console.log(`    ${kind.toUpperCase().padEnd(9)} expected ${expected.map(group => `[${describeGroup(group, describe)}]`).join(' ')}`);
+      console.log(`    ${''.padEnd(9)} got      ${actual.map(group => `[${describeGroup(group, describe)}]`).join(' ')}`);
+    });
+  });
+}
+
+// ==================== CLI ====================
+function formatScore(label, score) {
+  const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  return `  ${label.padEnd(26)} accuracy ${percent(score.accuracy).padStart(6)} (${score.correct}/${score.decisions})` +
+    `   boundary precision ${percent(score.boundary_precision).padStart(6)}   recall ${percent(score.boundary_recall).padStart(6)}`;
+}
+
+/**
+ * Run `grouping <command>`
+ * @param {string[]} argv - arguments after "grouping"
+ * @param {Object} paths - { dataPath, vendorsPath } raw inputs to train or test on
+ * @returns {boolean} false when `test` finds differences or has no reviewed groups
+ */
+function runGroupingCommand(argv, paths) {
+  const command = argv[0];
+  const dryRun = argv.includes('--dry-run');
+
+  if (command === 'test') {
+    const results = testGrouping(paths);
+    const reviewed = readReviewedGroups(paths.groupsPath);
+    printGroupingTest(results, reviewed);
+    return reviewed.length > 0 && results.every(result => result.comparison.differences.length === 0);
+  }
+  if (command !== 'train') {
+    throw new Error(`Unknown grouping command: ${argv.join(' ') || '(none)'}`);
+  }
+
+  const model = trainGroupingModel(paths);
+  const { training, evaluation } = model;
+  console.log(`Trained on ${training.decisions} page boundaries from ${training.reviewed_groups} reviewed groups (${training.groups_file})\n`);
+  console.log(`${evaluation.method}:`);
+  console.log(formatScore('rules (baseline)', evaluation.rules));
+  console.log(formatScore('classifier', evaluation.model));
+  console.log(formatScore('classifier, rules fallback', evaluation.model_with_rules_fallback));
+  console.log(model.decider === 'classifier'
+    ? '\nThe classifier beats the rules: it decides, with the rules for pages it is unsure about.'
+    : '\nThe classifier does not beat the rules: the rules keep deciding.');
+
+  console.log('\nWeights (positive = starts a new invoice):');
+  Object.entries(model.weights)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .forEach(([name, weight]) => console.log(`  ${name.padEnd(34)} ${weight.toFixed(3).padStart(8)}`));
+
+  if (dryRun) {
+    console.log('\nDry run: page-grouping-model.json was not written.');
+    return true;
+  }
+  fs.writeFileSync(MODEL_FILE, JSON.stringify(model, null, 2) + '\n');
+  console.log('\nSaved page-grouping-model.json. Run `node pipeline.js` to regroup with it.');
+  return true;
+}
+
+module.exports = {
+  FEATURES,
+  isUnknownVendor,
+  isEffectiveContinuationPage,
+  isHeaderPage,
+  isFolioPage,
+  rulesStartNewInvoice,
+  boundaryFeatures,
+  loadGroupingModel,
+  classifierDecides,
+  loadGroupingOverrides,
+  groupPages,
+  orderedPages,
+  trainGroupingModel,
+  compareGroupings,
+  testGrouping,
+  runGroupingCommand
+};
@@ -0,0 +1,330 @@
+/**
+ * Payroll Analytics
+ *
+ * Turns the payroll journals of the ledger (ledger_only.journals of
+ * merged-data.json) into pay periods and reports:
+ * - per pay period: the batches posted for it, salary and fringe totals by
+ *   pay type (Regular Pay, Employer OASDI, ...), and the fringe rate of the
+ *   period and of each benefit relative to salary
+ * - pay periods missing from the biweekly cadence between the first and last
+ *   pay period, and pay periods posted more than once
+ *
+ * A journal's batch name carries the pay frequency, check date and payroll:
+ * "BW Costing 041825 Main Payroll A 305486 8189060" is the biweekly Main
+ * Payroll A paid 04/18/25 (the date is also written "Main 03072025"). Batches
+ * with the same frequency and check date pay one period, whatever day each was
+ * posted; the period ends on the earliest GL date of its batches and spans the
+ * frequency's days up to it. A period is posted more than once when it has
+ * more than one batch, or when a batch repeats a line (the same account string
+ * and amount twice, as when a batch is imported again). The cadence is checked
+ * on period ends rather than check dates, which move for holidays (the
+ * 11/22/24 period was paid Wednesday 11/27/24). Salary and
+ * fringe are told apart by the object code of the journal's account string
+ * (gl-account.js); other object codes (accruals) are totalled but left out of
+ * the fringe rates.
+ *
+ * Node:    const { analyzePayroll } = require('./payroll-analytics');
+ * Browser: <script src="payroll-analytics.js"></script> exposes window.PayrollAnalytics
+ *          (load data-access.js and gl-account.js first)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./data-access'), require('./gl-account'));
+  } else {
+    root.PayrollAnalytics = factory(root.DataAccess, root.GlAccount);
+  }
+})(typeof self !== 'undefined' ? self : this, function (DataAccess, GlAccount) {
+  'use strict';
+
+  const { normalizeDate, roundCents, ratio, addDays, daysBetween } = DataAccess;
+  const { glAccountOf } = GlAccount;
+
+  // Frequency code of a batch name and the days of its pay period
+  const PAY_FREQUENCIES = {
+    BW: { label: 'Biweekly', days: 14 }
+  };
+  // "<frequency> Costing <date and payroll name> Payroll <cycle> <run> <batch>"
+  const BATCH_PATTERN = /^([A-Z]+)\s+Costing\s+(.*?)\s*Payroll\s+(\S+)\s+(\d+)\s+(\d+)$/i;
+  // MMDDYY or MMDDYYYY check date within the batch name
+  const CHECK_DATE_PATTERN = /\b(\d{2})(\d{2})(\d{2}|\d{4})\b/;
+
+  // Object codes of pay (salary) and employer-paid benefits (fringe)
+  const PAY_TYPES = {
+    salary: ['501101', '501102', '501103', '501104', '501106', '501108', '501109', '501131', '501134'],
+    fringe: ['501172', '501173', '501174', '501175', '501176', '501177', '501181', '501182']
+  };
+
+  // Pay period flags, most severe first
+  const FLAG_LABELS = {
+    duplicate_period: 'Posted more than once',
+    no_salary: 'Fringe without salary',
+    no_fringe: 'Salary without fringe',
+    off_cycle: 'Off the pay cycle'
+  };
+
+  function isoDateOf(date) {
+    const normalized = normalizeDate(date);
+    return /^\d{4}-\d{2}-\d{2}$/.test(normalized) ? normalized : null;
+  }
+
+  function netAmount(journal) {
+    if (journal.debit || journal.credit) return (Number(journal.debit) || 0) - (Number(journal.credit) || 0);
+    return Number(journal.amount) || 0;
+  }
+
+  // ==================== BATCH NAMES ====================
+  /**
+   * Decode a payroll batch name.
+   * @param {string} batchNumber - e.g. "BW Costing 041825 Main Payroll A 305486 8189060"
+   * @returns {{ frequency, pay_date, payroll, run_number, batch_id }|null}
+   *   pay_date is the check date as YYYY-MM-DD; null when the name is not a
+   *   payroll costing batch of a known frequency or has no valid check date
+   */
+  function parseBatchName(batchNumber) {
+    const match = String(batchNumber || '').trim().match(BATCH_PATTERN);
+    if (!match) return null;
+    const frequency = match[1].toUpperCase();
+    const dated = match[2].match(CHECK_DATE_PATTERN);
+    if (!PAY_FREQUENCIES[frequency] || !dated) return null;
+
+    const year = dated[3].length === 2 ? `20${dated[3]}` : dated[3];
+    const payDate = `${year}-${dated[1]}-${dated[2]}`;
+    const parsed = new Date(Date.parse(payDate));
+    if (isNaN(parsed) || parsed.toISOString().slice(0, 10) !== payDate) return null;
+
+    const name = match[2].replace(dated[0], '').replace(/\s+/g, ' ').trim();
+    return {
+      frequency,
+      pay_date: payDate,
+      payroll: `${name ? `${name} ` : ''}Payroll ${match[3]}`,
+      run_number: match[4],
+      batch_id: match[5]
+    };
+  }
+
+  /**
+   * "salary", "fringe" or "other" for an object code
+   */
+  function payTypeOf(objectCode) {
+    if (PAY_TYPES.salary.includes(objectCode)) return 'salary';
+    if (PAY_TYPES.fringe.includes(objectCode)) return 'fringe';
+    return 'other';
+  }
+
+  // ==================== PAY PERIODS ====================
+  function newPeriod(batch) {
+    return {
+      pay_date: batch.pay_date,
+      frequency: batch.frequency,
+      period_start: null,
+      period_end: null,
+      batches: [],
+      salary: 0,
+      fringe: 0,
+      other: 0,
+      total: 0,
+      salary_by_type: {},
+      fringe_by_type: {},
+      other_by_type: {},
+      fringe_rate: null,
+      fringe_rates: {},
+      flags: []
+    };
+  }
+
+  /**
+   * A period ends on the earliest GL date of its batches
+   */
+  function extendPeriod(period, glDate) {
+    if (!glDate || (period.period_end && period.period_end <= glDate)) return;
+    period.period_end = glDate;
+    period.period_start = addDays(glDate, 1 - PAY_FREQUENCIES[period.frequency].days);
+  }
+
+  function finishPeriod(period) {
+    ['salary', 'fringe', 'other', 'total'].forEach(key => { period[key] = roundCents(period[key]); });
+    ['salary_by_type', 'fringe_by_type', 'other_by_type'].forEach(key => {
+      Object.keys(period[key]).forEach(type => { period[key][type] = roundCents(period[key][type]); });
+    });
+    period.fringe_rate = ratio(period.fringe, period.salary, 4);
+    Object.entries(period.fringe_by_type).forEach(([type, amount]) => {
+      period.fringe_rates[type] = ratio(amount, period.salary, 4);
+    });
+
+    period.batches.forEach(posted => { posted.amount = roundCents(posted.amount); });
+
+    if (period.batches.length > 1 || period.batches.some(posted => posted.repeated_lines > 0)) {
+      period.flags.push('duplicate_period');
+    }
+    if (period.fringe && !period.salary) period.flags.push('no_salary');
+    if (period.salary && !period.fringe) period.flags.push('no_fringe');
+    return period;
+  }
+
+  /**
+   * Group journals into pay periods by the frequency and check date of their
+   * batch name
+   * @returns {{ periods: Array, unparsed: Array<{ batch_number, lines, amount }> }}
+   *   periods sorted by pay date
+   */
+  function buildPayPeriods(journals, reference) {
+    const byPeriod = new Map();
+    const unparsed = new Map();
+    // Account string and amount of every line seen, per batch
+    const linesSeen = new Map();
+
+    journals.forEach(journal => {
+      const amount = netAmount(journal);
+      const batch = parseBatchName(journal.batch_number);
+      if (!batch) {
+        const key = journal.batch_number || '(no batch)';
+        if (!unparsed.has(key)) unparsed.set(key, { batch_number: key, lines: 0, amount: 0 });
+        const entry = unparsed.get(key);
+        entry.lines++;
+        entry.amount += amount;
+        return;
+      }
+
+      const glDate = isoDateOf(journal.gl_date || journal.batch_date);
+      const key = `${batch.frequency}|${batch.pay_date}`;
+      if (!byPeriod.has(key)) byPeriod.set(key, newPeriod(batch));
+      const period = byPeriod.get(key);
+      extendPeriod(period, glDate);
+      let posted = period.batches.find(entry => entry.batch_number === journal.batch_number);
+      if (!posted) {
+        posted = {
+          batch_number: journal.batch_number,
+          document_number: journal.document_number || null,
+          payroll: batch.payroll,
+          run_number: batch.run_number,
+          batch_id: batch.batch_id,
+          pay_date: batch.pay_date,
+          gl_date: glDate,
+          lines: 0,
+          repeated_lines: 0,
+          amount: 0
+        };
+        period.batches.push(posted);
+        linesSeen.set(journal.batch_number, new Set());
+      }
+      posted.lines++;
+      posted.amount += amount;
+      const line = `${journal.gl_account_string || journal.object_account || ''}|${roundCents(amount)}`;
+      if (linesSeen.get(journal.batch_number).has(line)) posted.repeated_lines++;
+      linesSeen.get(journal.batch_number).add(line);
+
+      const account = glAccountOf(journal, reference);
+      const payType = payTypeOf(account.segments.object_code);
+      const typeName = account.names.object_code || journal.object_account || account.segments.object_code || 'Unknown';
+      period[payType] += amount;
+      period.total += amount;
+      const byType = period[`${payType}_by_type`];
+      byType[typeName] = (byType[typeName] || 0) + amount;
+    });
+
+    const periods = [...byPeriod.values()]
+      .sort((a, b) => a.pay_date.localeCompare(b.pay_date))
+      .map(finishPeriod);
+
+    return {
+      periods,
+      unparsed: [...unparsed.values()].map(entry => ({ ...entry, amount: roundCents(entry.amount) }))
+    };
+  }
+
+  /**
+   * Periods of the cadence from the first to the last pay period with no
+   * batch; periods whose end is off that cadence are flagged off_cycle. The
+   * pay date of a missing period is estimated from the first period's days
+   * between period end and check date.
+   * @returns {Array<{ pay_date, period_start, period_end }>}
+   */
+  function findMissingPeriods(periods) {
+    const dated = periods.filter(period => period.period_end)
+      .sort((a, b) => a.period_end.localeCompare(b.period_end));
+    if (dated.length === 0) return [];
+    const first = dated[0];
+    const { days } = PAY_FREQUENCIES[first.frequency];
+    const lag = daysBetween(first.period_end, first.pay_date);
+    const periodEnds = new Set(dated.map(period => period.period_end));
+
+    dated.forEach(period => {
+      if (daysBetween(first.period_end, period.period_end) % days !== 0) period.flags.push('off_cycle');
+    });
+
+    const missing = [];
+    const last = dated[dated.length - 1].period_end;
+    for (let periodEnd = first.period_end; periodEnd <= last; periodEnd = addDays(periodEnd, days)) {
+      if (periodEnds.has(periodEnd)) continue;
+      missing.push({ pay_date: addDays(periodEnd, lag), period_start: addDays(periodEnd, 1 - days), period_end: periodEnd });
+    }
+    return missing;
+  }
+
+  // ==================== SUMMARY ====================
+  function summarizePeriods(periods, missing) {
+    const totals = { salary: 0, fringe: 0, other: 0, fringe_by_type: {} };
+    periods.forEach(period => {
+      totals.salary += period.salary;
+      totals.fringe += period.fringe;
+      totals.other += period.other;
+      Object.entries(period.fringe_by_type).forEach(([type, amount]) => {
+        totals.fringe_by_type[type] = (totals.fringe_by_type[type] || 0) + amount;
+      });
+    });
+
+    const fringeRates = {};
+    Object.keys(totals.fringe_by_type).forEach(type => {
+      totals.fringe_by_type[type] = roundCents(totals.fringe_by_type[type]);
+      fringeRates[type] = ratio(totals.fringe_by_type[type], totals.salary, 4);
+    });
+    const flagged = {};
+    Object.keys(FLAG_LABELS).forEach(flag => {
+      flagged[flag] = periods.filter(period => period.flags.includes(flag)).map(period => period.pay_date);
+    });
+
+    return {
+      pay_periods: periods.length,
+      first_pay_date: periods.length ? periods[0].pay_date : null,
+      last_pay_date: periods.length ? periods[periods.length - 1].pay_date : null,
+      salary: roundCents(totals.salary),
+      fringe: roundCents(totals.fringe),
+      other: roundCents(totals.other),
+      fringe_rate: ratio(totals.fringe, totals.salary, 4),
+      fringe_by_type: totals.fringe_by_type,
+      fringe_rates: fringeRates,
+      missing_periods: missing.length,
+      flagged_periods: flagged
+    };
+  }
+
+  /**
+   * Pay periods, fringe rates and missing or duplicated periods of payroll journals
+   * @param {Array} journals - ledger journal rows (batch_number, gl_date,
+   *   gl_account_string, object_account, debit, credit)
+   * @param {Object} reference - gl-account.js createGlReference() result
+   * @returns {{ summary, periods, missing_periods, unparsed_batches }}
+   */
+  function analyzePayroll(journals, reference) {
+    const { periods, unparsed } = buildPayPeriods(journals, reference);
+    const missing = findMissingPeriods(periods);
+    return {
+      summary: summarizePeriods(periods, missing),
+      periods,
+      missing_periods: missing,
+      unparsed_batches: unparsed
+    };
+  }
+
+  return {
+    PAY_FREQUENCIES,
+    PAY_TYPES,
+    FLAG_LABELS,
+    parseBatchName,
+    payTypeOf,
+    buildPayPeriods,
+    findMissingPeriods,
+    analyzePayroll
+  };
+});
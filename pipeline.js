@@ -0,0 +1,1132 @@
+#!/usr/bin/env node
+
+/**
+ * Invoice Pipeline Runner
+ *
+ * Runs the BU 53902028 processing stages in dependency order:
+ *
+ *   process-ocr → update-invoice-data → merge-ledger-invoices →
+ *   apply-data-corrections → generate-invoice-guids → classify-allocations →
+ *     generate-comprehensive-export, generate-lodging-report,
+ *     generate-duplicate-report, generate-arpa-burndown,
+ *     generate-cross-bu-report, generate-payroll-report
+ *
+ * Source files in the repository root (data.csv, ledger.csv, ocr-invoices.json,
+ * ledger-invoices.json, vendors.json, correction-rules.json, match-config.json,
+ * match-overrides.json, page-grouping-model.json, grouping-overrides.json,
+ * arpa-allocations.json, gl-accounts.json) are treated as immutable raw inputs. Every run writes
+ * to its own directory, one folder per tier:
+ *
+ *   runs/<run-id>/raw/          snapshot of raw inputs that changed since the parent run
+ *   runs/<run-id>/normalized/   process-ocr, update-invoice-data
+ *   runs/<run-id>/merged/       merge-ledger-invoices
+ *   runs/<run-id>/corrected/    apply-data-corrections, generate-invoice-guids,
+ *                               classify-allocations
+ *   runs/<run-id>/exported/     generate-comprehensive-export, generate-lodging-report,
+ *                               generate-duplicate-report, generate-arpa-burndown,
+ *                               generate-cross-bu-report, generate-payroll-report
+ *   runs/<run-id>/manifest.json stages, fingerprints and artifact hashes
+ *   runs/change-journal.jsonl   every field change made by the correction stages,
+ *                               appended by each completed run (never rewritten)
+ *
+ * A stage only runs when its fingerprint (script hash + input hashes) differs
+ * from the parent run; otherwise the manifest points at the parent's artifacts.
+ * runs/latest.json names the current run and maps published artifact names to
+ * their paths, which is how the dashboards find the latest data.
+ *
+ * Usage:
+ *   node pipeline.js                    Run stages whose inputs changed
+ *   node pipeline.js --from <stage>     Run <stage> and every stage downstream of it
+ *   node pipeline.js --only <a,b>       Run only the named stages (others are reused)
+ *   node pipeline.js --force            Run every stage
+ *   node pipeline.js --dry-run          Show what would run without running anything
+ *   node pipeline.js --list             Print the stage graph
+ *   node pipeline.js runs list          List previous runs
+ *   node pipeline.js runs diff <a> <b>  Compare the artifacts of two runs
+ *   node pipeline.js runs rollback <id> Make an earlier run the current one
+ *   node pipeline.js validate <file...> Check files against schemas/ (--schema <name> to choose one)
+ *   node pipeline.js vendors <command>  Manage vendors.json (see vendor-registry.js)
+ *   node pipeline.js grouping train     Retrain the page-boundary classifier (see page-grouping.js)
+ *   node pipeline.js grouping test      Check page grouping against the reviewed groups in page-groups.json
+ *
+ * Every stage output with a schema in schemas/ is validated when the stage
+ * finishes, and changed raw inputs before anything runs; a violation fails the
+ * run, which is then not published.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { appendToJournal } = require('./change-journal');
+const { ARTIFACT_SCHEMAS, validateFile, formatErrors } = require('./artifact-schemas');
+
+const BASE_DIR = __dirname;
+const RUNS_DIR = path.join(BASE_DIR, 'runs');
+const LATEST_FILE = path.join(RUNS_DIR, 'latest.json');
+// Append-only audit trail of correction stage changes across all runs
+const JOURNAL_FILE = path.join(RUNS_DIR, 'change-journal.jsonl');
+
+// Files in the repository root that stages read but never write
+const RAW_INPUTS = [
+  'data.csv',
+  'ledger.csv',
+  'ocr-invoices.json',
+  'ledger-invoices.json',
+  'vendors.json',
+  'correction-rules.json',
+  'match-config.json',
+  'match-overrides.json',
+  'page-grouping-model.json',
+  'grouping-overrides.json',
+  'arpa-allocations.json',
+  'gl-accounts.json'
+];
+
+// Modules stage scripts load; a change to one invalidates all stages
+const SHARED_MODULES = ['data-access.js', 'correction-rules.js', 'change-journal.js', 'invoice-matcher.js', 'artifact-schemas.js',
+  'page-grouping.js', 'invoice-reconciliation.js', 'line-item-dedup.js', 'lodging-analytics.js',
+  'duplicate-billing.js', 'arpa-burndown.js', 'allocation-classifier.js', 'gl-account.js',
+  'cross-bu-charges.js', 'payroll-analytics.js'];
+// Artifact schemas; a change re-runs (and so re-validates) every stage
+const SCHEMA_DIR = path.join(BASE_DIR, 'schemas');
+
+// ==================== STAGE GRAPH ====================
+/**
+ * Each stage names its script, tier and dependencies. Inputs map the option
+ * names the script's main() expects to artifact references: "raw:<file>" for
+ * a raw input or "<stage>:<file>" for another stage's output. Outputs map
+ * option names to file names inside runs/<run-id>/<tier>/<stage>/. A
+ * journalPath output is the stage's change journal for the run; completed runs
+ * append it to runs/change-journal.jsonl.
+ */
+const STAGES = [
+  {
+    name: 'process-ocr',
+    script: 'process-ocr.js',
+    tier: 'normalized',
+    description: 'Group OCR pages into invoices (postProcessOCR column)',
+    deps: [],
+    inputs: {
+      inputPath: 'raw:data.csv',
+      vendorsPath: 'raw:vendors.json',
+      modelPath: 'raw:page-grouping-model.json',
+      overridesPath: 'raw:grouping-overrides.json'
+    },
+    outputs: { outputPath: 'data.csv' }
+  },
+  {
+    name: 'update-invoice-data',
+    script: 'update-invoice-data.js',
+    tier: 'normalized',
+    description: 'Apply correction-rules.json to data.csv',
+    deps: ['process-ocr'],
+    inputs: {
+      inputPath: 'process-ocr:data.csv',
+      rulesPath: 'raw:correction-rules.json'
+    },
+    outputs: {
+      outputPath: 'data.csv',
+      reportPath: 'correction-report.json',
+      journalPath: 'change-journal.jsonl'
+    }
+  },
+  {
+    name: 'merge-ledger-invoices',
+    script: 'merge-ledger-invoices.js',
+    tier: 'merged',
+    description: 'Match ledger entries to OCR invoices',
+    deps: ['update-invoice-data'],
+    inputs: {
+      ledgerPath: 'raw:ledger.csv',
+      dataPath: 'update-invoice-data:data.csv',
+      vendorsPath: 'raw:vendors.json',
+      matchConfigPath: 'raw:match-config.json',
+      overridesPath: 'raw:match-overrides.json'
+    },
+    outputs: {
+      outputPath: 'merged-data.json',
+      summaryPath: 'merge-summary.json'
+    }
+  },
+  {
+    name: 'apply-data-corrections',
+    script: 'apply-data-corrections.js',
+    tier: 'corrected',
+    description: 'Correct vendors, invoice numbers and duplicates',
+    deps: ['merge-ledger-invoices'],
+    inputs: {
+      ocrPath: 'raw:ocr-invoices.json',
+      ledgerPath: 'raw:ledger-invoices.json',
+      vendorsPath: 'raw:vendors.json',
+      mergedPath: 'merge-ledger-invoices:merged-data.json',
+      summaryPath: 'merge-ledger-invoices:merge-summary.json'
+    },
+    outputs: {
+      ocrOutputPath: 'ocr-invoices.json',
+      ledgerOutputPath: 'ledger-invoices.json',
+      mergedOutputPath: 'merged-data.json',
+      summaryOutputPath: 'merge-summary.json',
+      journalPath: 'change-journal.jsonl'
+    }
+  },
+  {
+    name: 'generate-invoice-guids',
+    script: 'generate-invoice-guids.js',
+    tier: 'corrected',
+    description: 'Stamp vendor and invoice GUIDs',
+    deps: ['apply-data-corrections'],
+    inputs: {
+      vendorsPath: 'raw:vendors.json',
+      ocrPath: 'apply-data-corrections:ocr-invoices.json',
+      ledgerPath: 'apply-data-corrections:ledger-invoices.json'
+    },
+    outputs: {
+      ocrOutputPath: 'ocr-invoices.json',
+      ledgerOutputPath: 'ledger-invoices.json'
+    }
+  },
+  {
+    name: 'classify-allocations',
+    script: 'classify-allocations.js',
+    tier: 'corrected',
+    description: 'Stamp each invoice and journal with its ARPA allocation',
+    deps: ['generate-invoice-guids'],
+    inputs: {
+      vendorsPath: 'raw:vendors.json',
+      allocationsPath: 'raw:arpa-allocations.json',
+      glAccountsPath: 'raw:gl-accounts.json',
+      ocrPath: 'generate-invoice-guids:ocr-invoices.json',
+      ledgerPath: 'generate-invoice-guids:ledger-invoices.json'
+    },
+    outputs: {
+      ocrOutputPath: 'ocr-invoices.json',
+      ledgerOutputPath: 'ledger-invoices.json',
+      reviewPath: 'allocation-review.json'
+    }
+  },
+  {
+    name: 'generate-comprehensive-export',
+    script: 'generate-comprehensive-export.js',
+    tier: 'exported',
+    description: 'Build comprehensive-export.json',
+    deps: ['classify-allocations'],
+    inputs: {
+      mergedPath: 'apply-data-corrections:merged-data.json',
+      summaryPath: 'apply-data-corrections:merge-summary.json',
+      ocrPath: 'classify-allocations:ocr-invoices.json',
+      ledgerPath: 'classify-allocations:ledger-invoices.json',
+      vendorsPath: 'raw:vendors.json',
+      glAccountsPath: 'raw:gl-accounts.json'
+    },
+    outputs: { outputPath: 'comprehensive-export.json' }
+  },
+  {
+    name: 'generate-lodging-report',
+    script: 'generate-lodging-report.js',
+    tier: 'exported',
+    description: 'Build lodging-report.json (guest-stays, rates, double-billed nights)',
+    deps: ['classify-allocations'],
+    inputs: {
+      ocrPath: 'classify-allocations:ocr-invoices.json',
+      vendorsPath: 'raw:vendors.json'
+    },
+    outputs: { outputPath: 'lodging-report.json' }
+  },
+  {
+    name: 'generate-duplicate-report',
+    script: 'generate-duplicate-report.js',
+    tier: 'exported',
+    description: 'Build duplicate-billing-report.json (ranked suspicious invoice pairs)',
+    deps: ['classify-allocations'],
+    inputs: {
+      ocrPath: 'classify-allocations:ocr-invoices.json',
+      vendorsPath: 'raw:vendors.json',
+      matchConfigPath: 'raw:match-config.json'
+    },
+    outputs: { outputPath: 'duplicate-billing-report.json' }
+  },
+  {
+    name: 'generate-arpa-burndown',
+    script: 'generate-arpa-burndown.js',
+    tier: 'exported',
+    description: 'Build arpa-burndown.json (spend, remaining balance and run-out by allocation)',
+    deps: ['classify-allocations'],
+    inputs: {
+      ledgerPath: 'classify-allocations:ledger-invoices.json',
+      allocationsPath: 'raw:arpa-allocations.json'
+    },
+    outputs: { outputPath: 'arpa-burndown.json' }
+  },
+  {
+    name: 'generate-cross-bu-report',
+    script: 'generate-cross-bu-report.js',
+    tier: 'exported',
+    description: 'Build cross-bu-report.json (invoices coded to another business unit, fund or project than the ledger paid from)',
+    deps: ['apply-data-corrections'],
+    inputs: {
+      mergedPath: 'apply-data-corrections:merged-data.json',
+      vendorsPath: 'raw:vendors.json',
+      glAccountsPath: 'raw:gl-accounts.json'
+    },
+    outputs: { outputPath: 'cross-bu-report.json' }
+  },
+  {
+    name: 'generate-payroll-report',
+    script: 'generate-payroll-report.js',
+    tier: 'exported',
+    description: 'Build payroll-report.json (pay periods, fringe rates, missing or duplicated periods)',
+    deps: ['apply-data-corrections'],
+    inputs: {
+      mergedPath: 'apply-data-corrections:merged-data.json',
+      glAccountsPath: 'raw:gl-accounts.json'
+    },
+    outputs: { outputPath: 'payroll-report.json' }
+  }
+];
+
+/**
+ * Artifacts the dashboards load, keyed by the file name they request
+ */
+const PUBLISHED_ARTIFACTS = {
+  'data.csv': 'update-invoice-data:data.csv',
+  'merged-data.json': 'apply-data-corrections:merged-data.json',
+  'merge-summary.json': 'apply-data-corrections:merge-summary.json',
+  'ocr-invoices.json': 'classify-allocations:ocr-invoices.json',
+  'ledger-invoices.json': 'classify-allocations:ledger-invoices.json',
+  'allocation-review.json': 'classify-allocations:allocation-review.json',
+  'comprehensive-export.json': 'generate-comprehensive-export:comprehensive-export.json',
+  'lodging-report.json': 'generate-lodging-report:lodging-report.json',
+  'duplicate-billing-report.json': 'generate-duplicate-report:duplicate-billing-report.json',
+  'arpa-burndown.json': 'generate-arpa-burndown:arpa-burndown.json',
+  'cross-bu-report.json': 'generate-cross-bu-report:cross-bu-report.json',
+  'payroll-report.json': 'generate-payroll-report:payroll-report.json',
+  'correction-report.json': 'update-invoice-data:correction-report.json'
+};
+
+const STAGE_BY_NAME = new Map(STAGES.map(stage => [stage.name, stage]));
+
+/**
+ * Order stages so every stage comes after the stages it depends on
+ */
+function topologicalOrder(stages) {
+  const ordered = [];
+  const visiting = new Set();
+  const visited = new Set();
+
+  function visit(stage) {
+    if (visited.has(stage.name)) return;
+    if (visiting.has(stage.name)) {
+      throw new Error(`Dependency cycle detected at stage "${stage.name}"`);
+    }
+    visiting.add(stage.name);
+    stage.deps.forEach(dep => {
+      const depStage = STAGE_BY_NAME.get(dep);
+      if (!depStage) {
+        throw new Error(`Stage "${stage.name}" depends on unknown stage "${dep}"`);
+      }
+      visit(depStage);
+    });
+    visiting.delete(stage.name);
+    visited.add(stage.name);
+    ordered.push(stage);
+  }
+
+  stages.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Get the names of all stages downstream of a stage (not including itself)
+ */
+function getDescendants(stageName) {
+  const descendants = new Set();
+  let added = true;
+  while (added) {
+    added = false;
+    STAGES.forEach(stage => {
+      if (descendants.has(stage.name)) return;
+      if (stage.deps.some(dep => dep === stageName || descendants.has(dep))) {
+        descendants.add(stage.name);
+        added = true;
+      }
+    });
+  }
+  return descendants;
+}
+
+// ==================== RUN STORAGE ====================
+function hashFile(filepath) {
+  if (!fs.existsSync(filepath)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex');
+}
+
+/**
+ * Paths in manifests are relative to the repository root with forward
+ * slashes, so the dashboards can fetch them directly
+ */
+function toRelative(filepath) {
+  return path.relative(BASE_DIR, filepath).split(path.sep).join('/');
+}
+
+function toAbsolute(relativePath) {
+  return path.join(BASE_DIR, ...relativePath.split('/'));
+}
+
+function createRunId() {
+  const iso = new Date().toISOString();
+  // 2026-01-12T15:04:05.123Z -> 20260112-150405-123
+  return iso.replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+}
+
+function getManifestPath(runId) {
+  return path.join(RUNS_DIR, runId, 'manifest.json');
+}
+
+function loadManifest(runId) {
+  const manifestPath = getManifestPath(runId);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Run "${runId}" not found`);
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+function saveManifest(manifest) {
+  fs.writeFileSync(getManifestPath(manifest.run_id), JSON.stringify(manifest, null, 2));
+}
+
+function loadLatest() {
+  if (!fs.existsSync(LATEST_FILE)) return null;
+  return JSON.parse(fs.readFileSync(LATEST_FILE, 'utf8'));
+}
+
+function loadLatestManifest() {
+  const latest = loadLatest();
+  return latest ? loadManifest(latest.run_id) : null;
+}
+
+/**
+ * Point runs/latest.json at a completed run
+ */
+function publishRun(manifest) {
+  const latest = {
+    run_id: manifest.run_id,
+    created: manifest.created,
+    published: new Date().toISOString(),
+    artifacts: manifest.artifacts
+  };
+  fs.writeFileSync(LATEST_FILE, JSON.stringify(latest, null, 2));
+}
+
+function listRunIds() {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+  return fs.readdirSync(RUNS_DIR)
+    .filter(name => fs.existsSync(getManifestPath(name)))
+    .sort();
+}
+
+/**
+ * Accept "latest" and unique run id prefixes on the command line
+ */
+function resolveRunId(value) {
+  if (value === 'latest') {
+    const latest = loadLatest();
+    if (!latest) throw new Error('No run has been published yet');
+    return latest.run_id;
+  }
+  const matches = listRunIds().filter(id => id.startsWith(value));
+  if (matches.length === 0) throw new Error(`Run "${value}" not found`);
+  if (matches.length > 1) throw new Error(`Run id "${value}" is ambiguous: ${matches.join(', ')}`);
+  return matches[0];
+}
+
+// ==================== CHANGE DETECTION ====================
+/**
+ * Hash a stage script together with the shared modules it loads
+ */
+function hashStageCode(stage) {
+  const schemaFiles = fs.readdirSync(SCHEMA_DIR).sort().map(file => path.join('schemas', file));
+  const parts = [stage.script, ...SHARED_MODULES, ...schemaFiles].map(file => hashFile(path.join(BASE_DIR, file)));
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Fingerprint a stage from its script and the hashes of its inputs
+ */
+function fingerprintStage(scriptHash, inputs) {
+  const parts = [scriptHash];
+  Object.keys(inputs).sort().forEach(key => {
+    parts.push(`${key}=${inputs[key].sha256}`);
+  });
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Throw when a file does not match its artifact schema (see artifact-schemas.js)
+ */
+function assertValidArtifact(filePath, label) {
+  const errors = validateFile(filePath);
+  if (errors && errors.length > 0) {
+    throw new Error(`${label} does not match its schema (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${formatErrors(errors)}`);
+  }
+}
+
+/**
+ * Explain why a stage differs from its record in the parent run, or return
+ * null when the parent's outputs can be reused
+ */
+function getStaleReason(stage, parentRecord, scriptHash, inputs, fingerprint) {
+  if (!parentRecord || !parentRecord.outputs) return 'no earlier run';
+
+  if (parentRecord.fingerprint !== fingerprint) {
+    if (parentRecord.script_sha256 !== scriptHash) return `${stage.script} or shared modules changed`;
+    const changed = Object.keys(inputs).find(key => {
+      const previous = (parentRecord.inputs || {})[key];
+      return !previous || previous.sha256 !== inputs[key].sha256;
+    });
+    return changed ? `${stage.inputs[changed]} changed` : 'fingerprint changed';
+  }
+
+  const missing = Object.values(parentRecord.outputs).find(output => !fs.existsSync(toAbsolute(output.path)));
+  if (missing) return `${missing.path} missing`;
+
+  return null;
+}
+
+// ==================== RUNNER ====================
+/**
+ * Decide which stages are forced by the command line.
+ * Returns null when change detection alone decides.
+ */
+function getForcedStages(options) {
+  if (options.only) return new Set(options.only);
+  if (options.from) return new Set([options.from, ...getDescendants(options.from)]);
+  if (options.force) return new Set(STAGES.map(stage => stage.name));
+  return null;
+}
+
+/**
+ * Run the pipeline into a new run directory and return one result per stage.
+ * No run directory is created when every stage can be reused.
+ */
+function runPipeline(options = {}) {
+  const parent = loadLatestManifest();
+  const forced = getForcedStages(options);
+  const runId = createRunId();
+  const runDir = path.join(RUNS_DIR, runId);
+
+  const manifest = {
+    run_id: runId,
+    parent_run_id: parent ? parent.run_id : null,
+    created: new Date().toISOString(),
+    status: 'running',
+    options: { from: options.from || null, only: options.only || null, force: !!options.force },
+    raw: {},
+    stages: {},
+    artifacts: {}
+  };
+
+  // Artifact reference ("raw:data.csv", "process-ocr:data.csv") -> { path, sha256 }
+  const resolved = new Map();
+  const pendingCopies = [];
+
+  RAW_INPUTS.forEach(file => {
+    const source = path.join(BASE_DIR, file);
+    const sha256 = hashFile(source);
+    if (!sha256) {
+      throw new Error(`Raw input ${file} is missing`);
+    }
+    const previous = parent && parent.raw[file];
+    let entry;
+    if (previous && previous.sha256 === sha256 && fs.existsSync(toAbsolute(previous.path))) {
+      entry = { path: previous.path, sha256, reused_from: previous.reused_from || parent.run_id };
+    } else {
+      // A changed raw input must match its schema before anything runs
+      if (ARTIFACT_SCHEMAS[file]) assertValidArtifact(source, `Raw input ${file}`);
+      const target = path.join(runDir, 'raw', file);
+      entry = { path: toRelative(target), sha256 };
+      pendingCopies.push({ source, target });
+    }
+    manifest.raw[file] = entry;
+    resolved.set(`raw:${file}`, entry);
+  });
+
+  let runDirCreated = false;
+  function ensureRunDir() {
+    if (runDirCreated) return;
+    fs.mkdirSync(path.join(runDir, 'raw'), { recursive: true });
+    pendingCopies.forEach(({ source, target }) => fs.copyFileSync(source, target));
+    saveManifest(manifest);
+    runDirCreated = true;
+  }
+
+  const results = [];
+  const scheduled = new Set();
+  let failed = false;
+
+  for (const stage of topologicalOrder(STAGES)) {
+    const result = { stage, status: 'reused', reason: null, durationMs: null, changedOutputs: [] };
+    results.push(result);
+
+    if (failed) {
+      result.status = 'not run';
+      result.reason = 'earlier stage failed';
+      continue;
+    }
+
+    const parentRecord = parent && parent.stages[stage.name];
+    const scriptHash = hashStageCode(stage);
+
+    // In a dry run scheduled stages produce nothing, so downstream inputs are unknown
+    const pendingDep = options.dryRun && Object.values(stage.inputs)
+      .map(ref => ref.split(':')[0])
+      .find(source => scheduled.has(source));
+
+    const inputs = {};
+    let fingerprint = null;
+    if (!pendingDep) {
+      Object.entries(stage.inputs).forEach(([key, ref]) => {
+        const artifact = resolved.get(ref);
+        if (!artifact) {
+          throw new Error(`Stage ${stage.name} needs ${ref}, which no earlier run produced. Run without --only first.`);
+        }
+        inputs[key] = { ref, path: artifact.path, sha256: artifact.sha256 };
+      });
+      fingerprint = fingerprintStage(scriptHash, inputs);
+    }
+
+    let shouldRun;
+    if (forced) {
+      shouldRun = forced.has(stage.name);
+      if (shouldRun) {
+        result.reason = options.only ? 'selected with --only' : options.from ? `downstream of --from ${options.from}` : '--force';
+      } else {
+        result.reason = 'not selected';
+      }
+    } else {
+      result.reason = pendingDep
+        ? `upstream ${pendingDep} scheduled`
+        : getStaleReason(stage, parentRecord, scriptHash, inputs, fingerprint);
+      shouldRun = !!result.reason;
+    }
+
+    if (!shouldRun) {
+      if (!parentRecord || !parentRecord.outputs) {
+        throw new Error(`Cannot skip ${stage.name}: no earlier run to reuse its outputs from`);
+      }
+      const stale = !!fingerprint && parentRecord.fingerprint !== fingerprint;
+      if (stale) result.reason = `${result.reason}; reused outputs are out of date`;
+      manifest.stages[stage.name] = {
+        ...parentRecord,
+        status: 'reused',
+        reused_from: parentRecord.reused_from || parent.run_id,
+        stale
+      };
+      Object.values(parentRecord.outputs).forEach(output => {
+        resolved.set(`${stage.name}:${output.file}`, output);
+      });
+      continue;
+    }
+
+    scheduled.add(stage.name);
+    if (options.dryRun) {
+      result.status = 'would run';
+      continue;
+    }
+
+    ensureRunDir();
+
+    console.log('\n' + '#'.repeat(60));
+    console.log(`# Stage: ${stage.name} (${result.reason})`);
+    console.log('#'.repeat(60) + '\n');
+
+    const stageDir = path.join(runDir, stage.tier, stage.name);
+    fs.mkdirSync(stageDir, { recursive: true });
+
+    const paths = {};
+    Object.entries(inputs).forEach(([key, input]) => {
+      paths[key] = toAbsolute(input.path);
+    });
+    Object.entries(stage.outputs).forEach(([key, file]) => {
+      paths[key] = path.join(stageDir, file);
+    });
+
+    const start = Date.now();
+    try {
+      require(path.join(BASE_DIR, stage.script)).main(paths, { runId, stage: stage.name });
+      result.durationMs = Date.now() - start;
+      result.status = 'ran';
+
+      const outputs = {};
+      Object.entries(stage.outputs).forEach(([key, file]) => {
+        const sha256 = hashFile(paths[key]);
+        if (!sha256) {
+          throw new Error(`Stage ${stage.name} did not write ${file}`);
+        }
+        assertValidArtifact(paths[key], `${stage.name} output ${file}`);
+        outputs[key] = { file, path: toRelative(paths[key]), sha256 };
+        resolved.set(`${stage.name}:${file}`, outputs[key]);
+
+        const previous = parentRecord && parentRecord.outputs && parentRecord.outputs[key];
+        if (!previous || previous.sha256 !== sha256) {
+          result.changedOutputs.push(file);
+        }
+      });
+
+      manifest.stages[stage.name] = {
+        status: 'ran',
+        tier: stage.tier,
+        script_sha256: scriptHash,
+        fingerprint,
+        inputs,
+        outputs,
+        duration_ms: result.durationMs
+      };
+    } catch (err) {
+      result.durationMs = result.durationMs || Date.now() - start;
+      result.status = 'failed';
+      result.error = err;
+      manifest.stages[stage.name] = { status: 'failed', tier: stage.tier, error: err.message };
+      failed = true;
+    }
+    saveManifest(manifest);
+  }
+
+  if (!runDirCreated) {
+    return { runId: null, results };
+  }
+
+  if (failed) {
+    manifest.status = 'failed';
+    saveManifest(manifest);
+    return { runId, results };
+  }
+
+  Object.entries(PUBLISHED_ARTIFACTS).forEach(([name, ref]) => {
+    manifest.artifacts[name] = resolved.get(ref).path;
+  });
+  appendRunJournals(manifest, results);
+  manifest.artifacts['change-journal.jsonl'] = toRelative(JOURNAL_FILE);
+  manifest.status = 'complete';
+  saveManifest(manifest);
+  publishRun(manifest);
+
+  return { runId, results };
+}
+
+/**
+ * Append the change journals of the stages this run executed to the
+ * persistent journal. Reused stages were journaled by the run that ran them.
+ */
+function appendRunJournals(manifest, results) {
+  if (!fs.existsSync(JOURNAL_FILE)) {
+    fs.writeFileSync(JOURNAL_FILE, '');
+  }
+  results
+    .filter(result => result.status === 'ran' && result.stage.outputs.journalPath)
+    .forEach(result => {
+      const output = manifest.stages[result.stage.name].outputs.journalPath;
+      const count = appendToJournal(JOURNAL_FILE, toAbsolute(output.path));
+      manifest.stages[result.stage.name].journal_entries = count;
+    });
+}
+
+// ==================== RUN HISTORY ====================
+function printRunList() {
+  const runIds = listRunIds();
+  if (runIds.length === 0) {
+    console.log('No runs yet. Run `node pipeline.js` to create one.');
+    return;
+  }
+
+  const latest = loadLatest();
+  console.log('Runs (oldest first):\n');
+  runIds.forEach(runId => {
+    const manifest = loadManifest(runId);
+    const stages = Object.values(manifest.stages);
+    const ran = stages.filter(stage => stage.status === 'ran').length;
+    const reused = stages.filter(stage => stage.status === 'reused').length;
+    const marker = latest && latest.run_id === runId ? '  <- latest' : '';
+    console.log(`${runId}  ${manifest.status.padEnd(9)} ran ${ran}, reused ${reused}${marker}`);
+  });
+}
+
+/**
+ * Summarize how two versions of a JSON document differ: top-level keys and
+ * the lengths of arrays up to two levels deep
+ */
+function describeJsonDiff(before, after, prefix = '', depth = 0) {
+  const lines = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(key => {
+    const label = prefix ? `${prefix}.${key}` : key;
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+    if (a === undefined) {
+      lines.push(`${label}: added`);
+    } else if (b === undefined) {
+      lines.push(`${label}: removed`);
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+      const changed = a.length !== b.length || JSON.stringify(a) !== JSON.stringify(b);
+      if (changed) lines.push(`${label}: ${a.length} → ${b.length} entries${a.length === b.length ? ' (contents changed)' : ''}`);
+    } else if (a && b && typeof a === 'object' && typeof b === 'object' && depth < 1) {
+      lines.push(...describeJsonDiff(a, b, label, depth + 1));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      lines.push(`${label}: changed`);
+    }
+  });
+  return lines;
+}
+
+function describeArtifactDiff(pathA, pathB) {
+  const textA = fs.readFileSync(toAbsolute(pathA), 'utf8');
+  const textB = fs.readFileSync(toAbsolute(pathB), 'utf8');
+
+  if (pathA.endsWith('.json')) {
+    return describeJsonDiff(JSON.parse(textA), JSON.parse(textB));
+  }
+
+  const linesA = textA.split('\n');
+  const linesB = new Set(textB.split('\n'));
+  const setA = new Set(linesA);
+  const removed = linesA.filter(line => !linesB.has(line)).length;
+  const added = [...linesB].filter(line => !setA.has(line)).length;
+  return [`${added} lines added, ${removed} lines removed (${textA.length} → ${textB.length} bytes)`];
+}
+
+function printRunDiff(valueA, valueB) {
+  const a = loadManifest(resolveRunId(valueA));
+  const b = loadManifest(resolveRunId(valueB));
+
+  console.log(`Comparing ${a.run_id} → ${b.run_id}\n`);
+
+  console.log('Raw inputs:');
+  RAW_INPUTS.forEach(file => {
+    const same = a.raw[file] && b.raw[file] && a.raw[file].sha256 === b.raw[file].sha256;
+    console.log(`  ${file.padEnd(30)} ${same ? 'same' : 'CHANGED'}`);
+  });
+
+  console.log('\nStages:');
+  STAGES.forEach(stage => {
+    const recordA = a.stages[stage.name] || {};
+    const recordB = b.stages[stage.name] || {};
+    const same = recordA.fingerprint && recordA.fingerprint === recordB.fingerprint;
+    console.log(`  ${stage.name.padEnd(30)} ${same ? 'same' : 'CHANGED'} (${recordA.status || '-'} → ${recordB.status || '-'})`);
+  });
+
+  console.log('\nArtifacts:');
+  Object.keys(PUBLISHED_ARTIFACTS).forEach(name => {
+    const pathA = a.artifacts[name];
+    const pathB = b.artifacts[name];
+    if (!pathA || !pathB) {
+      console.log(`  ${name.padEnd(30)} not available in both runs`);
+      return;
+    }
+    if (hashFile(toAbsolute(pathA)) === hashFile(toAbsolute(pathB))) {
+      console.log(`  ${name.padEnd(30)} same`);
+      return;
+    }
+    console.log(`  ${name.padEnd(30)} CHANGED`);
+    describeArtifactDiff(pathA, pathB).forEach(line => console.log(`      ${line}`));
+  });
+}
+
+function rollbackToRun(value) {
+  const manifest = loadManifest(resolveRunId(value));
+  if (manifest.status !== 'complete') {
+    throw new Error(`Run ${manifest.run_id} did not complete (status: ${manifest.status})`);
+  }
+  const missing = Object.values(manifest.artifacts).find(artifactPath => !fs.existsSync(toAbsolute(artifactPath)));
+  if (missing) {
+    throw new Error(`Run ${manifest.run_id} is missing ${missing}`);
+  }
+  publishRun(manifest);
+  console.log(`runs/latest.json now points at ${manifest.run_id}`);
+  console.log('The next pipeline run will use it as its parent.');
+}
+
+// ==================== VALIDATION ====================
+/**
+ * Check files against their artifact schemas (or the one given) and print
+ * the result. Returns false when any file is invalid or has no schema.
+ */
+function validateFiles(files, schemaFile) {
+  let ok = true;
+  files.forEach(file => {
+    const errors = validateFile(path.resolve(file), schemaFile || undefined);
+    if (errors === null) {
+      console.log(`${file}: no schema for this file name; pass --schema <file in schemas/>`);
+      ok = false;
+    } else if (errors.length === 0) {
+      console.log(`${file}: valid`);
+    } else {
+      console.log(`${file}: INVALID (${errors.length} problem${errors.length === 1 ? '' : 's'})`);
+      console.log(formatErrors(errors, 50));
+      ok = false;
+    }
+  });
+  return ok;
+}
+
+// ==================== VENDOR REGISTRY ====================
+/**
+ * Data files whose vendor names `vendors unresolved` checks: the raw inputs
+ * and the latest run's corrected data.csv
+ */
+function vendorDataSources() {
+  const sources = [
+    { label: 'data.csv', file: path.join(BASE_DIR, 'data.csv'), kind: 'ocr-csv' },
+    { label: 'ledger.csv', file: path.join(BASE_DIR, 'ledger.csv'), kind: 'ledger-csv' },
+    { label: 'ocr-invoices.json', file: path.join(BASE_DIR, 'ocr-invoices.json'), kind: 'invoices-json' },
+    { label: 'ledger-invoices.json', file: path.join(BASE_DIR, 'ledger-invoices.json'), kind: 'invoices-json' }
+  ];
+  const latest = loadLatest();
+  if (latest && latest.artifacts['data.csv']) {
+    sources.push({ label: `data.csv of run ${latest.run_id}`, file: toAbsolute(latest.artifacts['data.csv']), kind: 'ocr-csv' });
+  }
+  return sources;
+}
+
+// ==================== CLI ====================
+function parseArgs(argv) {
+  const options = { from: null, only: null, force: false, dryRun: false, list: false };
+
+  if (argv[0] === 'runs') {
+    options.runsCommand = argv[1] || 'list';
+    options.runsArgs = argv.slice(2);
+    return options;
+  }
+
+  if (argv[0] === 'vendors') {
+    options.vendorsArgs = argv.slice(1);
+    return options;
+  }
+
+  if (argv[0] === 'grouping') {
+    options.groupingArgs = argv.slice(1);
+    return options;
+  }
+
+  if (argv[0] === 'validate') {
+    options.validateFiles = [];
+    options.schema = null;
+    for (let i = 1; i < argv.length; i++) {
+      if (argv[i] === '--schema') {
+        options.schema = argv[++i];
+      } else {
+        options.validateFiles.push(argv[i]);
+      }
+    }
+    if (options.validateFiles.length === 0) {
+      throw new Error('validate needs at least one file');
+    }
+    return options;
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') {
+      options.from = argv[++i];
+    } else if (arg.startsWith('--from=')) {
+      options.from = arg.slice('--from='.length);
+    } else if (arg === '--only') {
+      options.only = (argv[++i] || '').split(',');
+    } else if (arg.startsWith('--only=')) {
+      options.only = arg.slice('--only='.length).split(',');
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--list') {
+      options.list = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (options.only) {
+    options.only = options.only.map(name => name.trim()).filter(Boolean);
+  }
+  [options.from, ...(options.only || [])].filter(Boolean).forEach(name => {
+    if (!STAGE_BY_NAME.has(name)) {
+      throw new Error(`Unknown stage "${name}". Known stages: ${STAGES.map(s => s.name).join(', ')}`);
+    }
+  });
+  if (options.from && options.only) {
+    throw new Error('--from and --only cannot be combined');
+  }
+
+  return options;
+}
+
+function printUsage() {
+  console.log('Usage: node pipeline.js [--from <stage> | --only <a,b>] [--force] [--dry-run] [--list]');
+  console.log('       node pipeline.js runs [list | diff <a> <b> | rollback <id>]');
+  console.log('       node pipeline.js validate <file...> [--schema <name>.schema.json]');
+  console.log('       node pipeline.js vendors [list | unresolved | add <name> | alias <guid> <name...> | merge <keep> <remove> | enrich | test]');
+  console.log('       node pipeline.js grouping [train [--dry-run] | test]');
+  console.log('');
+  console.log('  --from <stage>   Run <stage> and every stage downstream of it');
+  console.log('  --only <a,b>     Run only the named stages, reusing the rest from the latest run');
+  console.log('  --force          Run every stage even if its inputs are unchanged');
+  console.log('  --dry-run        Show what would run without running anything');
+  console.log('  --list           Print the stage graph');
+  console.log('  runs list        List previous runs');
+  console.log('  runs diff a b    Compare two runs ("latest" and id prefixes are accepted)');
+  console.log('  runs rollback id Make an earlier run the current one');
+  console.log('  validate files   Check files against their schemas in schemas/ (see artifact-schemas.js)');
+  console.log('  vendors ...      Manage vendors.json: list, unresolved names with suggestions, add, alias, merge,');
+  console.log('                   enrich (fill contact details and contracts from the scanned invoices),');
+  console.log('                   test (check name suggestions, exits 1 on a failing case)');
+  console.log('                   (add takes --id, --canonical, --category, --alias, --slug; writes take --dry-run;');
+  console.log('                   see vendor-registry.js)');
+  console.log('  grouping train   Retrain page-grouping-model.json on page-groups.json and compare it with the rules');
+  console.log('                   (see page-grouping.js)');
+  console.log('  grouping test    Group the packet and compare with page-groups.json: boundary precision/recall');
+  console.log('                   and every group split or merged differently (exits 1 on any difference)');
+}
+
+function printStageList() {
+  const latest = loadLatestManifest();
+  console.log('Pipeline stages:\n');
+  topologicalOrder(STAGES).forEach((stage, idx) => {
+    const record = latest && latest.stages[stage.name];
+    console.log(`${idx + 1}. ${stage.name} [${stage.tier}] - ${stage.description}`);
+    console.log(`   depends on: ${stage.deps.join(', ') || '(none)'}`);
+    console.log(`   inputs:     ${Object.values(stage.inputs).join(', ')}`);
+    console.log(`   outputs:    ${Object.values(stage.outputs).join(', ')}`);
+    console.log(`   last run:   ${record ? (record.reused_from || latest.run_id) : 'never'}`);
+  });
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function printSummary(runId, results) {
+  console.log('\n' + '='.repeat(60));
+  console.log(`PIPELINE SUMMARY${runId ? ` (run ${runId})` : ''}`);
+  console.log('='.repeat(60));
+  results.forEach(result => {
+    const name = result.stage.name.padEnd(32);
+    const status = result.status.padEnd(12);
+    const time = formatDuration(result.durationMs).padEnd(8);
+    console.log(`${name}${status}${time}${result.reason || ''}`);
+    if (result.status === 'ran') {
+      Object.values(result.stage.outputs).forEach(file => {
+        const changed = result.changedOutputs.includes(file) ? 'changed' : 'unchanged';
+        console.log(`${''.padEnd(34)}→ ${result.stage.tier}/${result.stage.name}/${file} (${changed})`);
+      });
+    }
+    if (result.error) {
+      console.log(`${''.padEnd(34)}${result.error.message}`);
+    }
+  });
+  console.log('='.repeat(60));
+  if (!runId && results.every(result => result.status === 'reused' || result.status === 'would run')) {
+    console.log(results.some(result => result.status === 'would run') ? 'Dry run: nothing was written.' : 'Everything is up to date; no new run created.');
+  }
+}
+
+/**
+ * Entry point shared by `node pipeline.js` and the standalone stage scripts
+ */
+function runCli(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    console.error(`Error: ${err.message}\n`);
+    printUsage();
+    process.exit(2);
+  }
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+  if (options.list) {
+    printStageList();
+    return;
+  }
+
+  if (options.vendorsArgs) {
+    try {
+      const passed = require('./vendor-registry').runVendorsCommand(options.vendorsArgs, vendorDataSources());
+      if (passed === false) process.exit(1);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (options.groupingArgs) {
+    try {
+      const passed = require('./page-grouping').runGroupingCommand(options.groupingArgs, {
+        dataPath: path.join(BASE_DIR, 'data.csv'),
+        vendorsPath: path.join(BASE_DIR, 'vendors.json')
+      });
+      if (!passed) process.exit(1);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (options.validateFiles) {
+    try {
+      if (!validateFiles(options.validateFiles, options.schema)) process.exit(1);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (options.runsCommand) {
+    try {
+      if (options.runsCommand === 'list') {
+        printRunList();
+      } else if (options.runsCommand === 'diff' && options.runsArgs.length === 2) {
+        printRunDiff(options.runsArgs[0], options.runsArgs[1]);
+      } else if (options.runsCommand === 'rollback' && options.runsArgs.length === 1) {
+        rollbackToRun(options.runsArgs[0]);
+      } else {
+        printUsage();
+        process.exit(2);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const { runId, results } = runPipeline(options);
+  printSummary(runId, results);
+
+  const failedResult = results.find(result => result.status === 'failed');
+  if (failedResult) {
+    console.error(`\nStage ${failedResult.stage.name} failed; run ${runId} was not published.`);
+    console.error(failedResult.error.stack || failedResult.error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2));
+}
+
+module.exports = {
+  STAGES,
+  PUBLISHED_ARTIFACTS,
+  runPipeline,
+  runCli,
+  topologicalOrder,
+  loadLatest,
+  loadManifest
+};
@@ -0,0 +1,658 @@
+/**
+ * Vendor Registry Management
+ *
+ * Edits vendors.json, the registry every stage and dashboard resolves vendors
+ * through (data-access.js createVendorRegistry). Backs `node pipeline.js vendors`:
+ *
+ *   vendors list                       Registry entries
+ *   vendors unresolved [--limit n]     Vendor names in the OCR and ledger data that
+ *                                      resolve to no entry, with likely entries
+ *   vendors add <display name> [--id <vendor id>] [--canonical <NAME>]
+ *               [--category <c>] [--alias <name>]... [--slug <slug>]
+ *                                      New entry with the next GUID
+ *   vendors alias <guid> <name...>     Add aliases to an entry
+ *   vendors merge <keep> <remove>      Fold one entry into another
+ *   vendors enrich                     Fill contact details, remit-to addresses and
+ *                                      contract references from the scanned invoices
+ *   vendors test                       Check name suggestions against SUGGESTION_CASES
+ *
+ * Write commands accept --dry-run. A change is checked against
+ * schemas/vendors.schema.json, and for a GUID, vendor ID or name claimed by two
+ * entries, before vendors.json is written.
+ *
+ * GUIDs follow v-<NNN>-<slug>: the next unused three-digit number and the
+ * first two significant words of the display name (v-014-greenview,
+ * v-024-deborah-hollis). A merged entry keeps answering to its GUID through
+ * the surviving entry's merged_guids, and its number is never reused.
+ *
+ * Besides names and IDs an entry holds what reviewers need about the vendor:
+ * curated tax_id, w9_status, compliance_flags and contracts (edited by hand),
+ * and contact / remit_to, which `enrich` fills from the OCR vendor_address,
+ * vendor_phone and vendor_email of the latest run's data.csv. A P.O. box is
+ * taken as a remit-to address, any other street address as the vendor's own.
+ * Enrichment adds but never overwrites; a contact field the invoices disagree
+ * on (with each other or with the registry) is listed under the entry's
+ * conflicts for review, and vendor-profile.html shows all of it.
+ *
+ * Suggestions score every registered name against an unresolved one by shared
+ * name tokens (as the matcher's vendor feature does) and by edit distance,
+ * taking the better of the two: token containment finds a registered short
+ * form inside a longer name ("ESA" in "ESA Management L.L.C."), edit distance
+ * finds misspellings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV, parseOCR, createVendorRegistry, vendorNameKey } = require('./data-access');
+const { editDistance, vendorTokens } = require('./invoice-matcher');
+const { validateAgainstSchema, formatErrors } = require('./artifact-schemas');
+const { parseLedgerEntry } = require('./merge-ledger-invoices');
+
+const REGISTRY_FILE = path.join(__dirname, 'vendors.json');
+const GUID_PATTERN = /^v-(\d{3})-[a-z0-9-]+$/;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const SLUG_STOP_WORDS = new Set(['llc', 'inc', 'corp', 'corporation', 'co', 'company', 'dba', 'ltd', 'and', 'of']);
+const ENTRY_KEY_ORDER = ['guid', 'vendor_id', 'alternate_vendor_ids', 'merged_guids', 'canonical_name',
+  'display_name', 'aliases', 'category', 'notes', 'tax_id', 'w9_status', 'compliance_flags', 'contracts',
+  'contact', 'remit_to', 'conflicts'];
+const MIN_SUGGESTION_SCORE = 0.35;
+
+// `vendors test`: names and the entry each should (or, with null, should not)
+// be suggested for, against SUGGESTION_TEST_REGISTRY rather than vendors.json
+const SUGGESTION_TEST_REGISTRY = {
+  vendors: [
+    { guid: 'v-001-esa-management', display_name: 'Extended Stay America', aliases: ['ESA'] },
+    { guid: 'v-004-randstad', display_name: 'Randstad' },
+    { guid: 'v-006-community-care', display_name: 'Community Care Fellowship' }
+  ]
+};
+const SUGGESTION_CASES = [
+  { name: 'ESA Management L.L.C.', expected: 'v-001-esa-management' },
+  { name: 'Randstadt', expected: 'v-004-randstad' },
+  { name: 'Community Care Fellowship, Inc.', expected: 'v-006-community-care' },
+  { name: 'Metro Water Services', expected: null }
+];
+
+// Enrichment: P.O. boxes are remit-to addresses; a vendor address needs a street number
+const PO_BOX_PATTERN = /\bP\.?\s*O\.?\s*Box\s+(\d+)/i;
+const STREET_PATTERN = /\d+\s+[A-Za-z]/;
+// Metro contract numbers and Council resolutions, e.g. "L-6426 / RS2025-974"
+const CONTRACT_PATTERN = /\b(L-\d{4,5})\b/;
+const RESOLUTION_PATTERN = /\bRS\d{4}-\d{2,4}\b/;
+
+// ==================== LOADING AND SAVING ====================
+function loadRegistryFile(filePath = REGISTRY_FILE) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Check a registry: schema, then GUIDs, IDs and names claimed twice
+ * (createVendorRegistry throws on those). Returns the lookup.
+ */
+function checkRegistry(registry) {
+  const errors = validateAgainstSchema(registry, 'vendors.schema.json');
+  if (errors.length > 0) {
+    throw new Error(`vendors.json would not match its schema:\n${formatErrors(errors)}`);
+  }
+  return createVendorRegistry(registry);
+}
+
+function orderEntry(entry) {
+  const ordered = {};
+  ENTRY_KEY_ORDER.filter(key => entry[key] !== undefined).forEach(key => { ordered[key] = entry[key]; });
+  Object.keys(entry).filter(key => !(key in ordered)).forEach(key => { ordered[key] = entry[key]; });
+  return ordered;
+}
+
+/**
+ * Check and write a registry; the file is left untouched when the check fails
+ */
+function saveRegistryFile(registry, filePath = REGISTRY_FILE) {
+  registry.vendors = registry.vendors.map(orderEntry);
+  checkRegistry(registry);
+  fs.writeFileSync(filePath, JSON.stringify(registry, null, 2) + '\n');
+}
+
+// ==================== GUIDS ====================
+/**
+ * First two significant words of a name: "Deborah L. Hollis" -> "deborah-hollis"
+ */
+function guidSlug(name) {
+  const words = String(name || '').toLowerCase().replace(/&/g, ' ').replace(/[^a-z0-9\s-]/g, '')
+    .split(/[\s-]+/)
+    .filter(word => word.length > 1 && !SLUG_STOP_WORDS.has(word));
+  return words.slice(0, 2).join('-') || 'vendor';
+}
+
+/**
+ * Next GUID for a slug, numbered after every GUID in use or merged away
+ */
+function nextGuid(registry, slug) {
+  const numbers = registry.vendors
+    .flatMap(vendor => [vendor.guid, ...(vendor.merged_guids || [])])
+    .map(guid => Number((String(guid).match(GUID_PATTERN) || [])[1] || 0));
+  return `v-${String(Math.max(0, ...numbers) + 1).padStart(3, '0')}-${slug}`;
+}
+
+/**
+ * Ledger-style canonical name: "Grand Tents & Events" -> "GRAND TENTS AND EVENTS"
+ */
+function canonicalName(name) {
+  return String(name).toUpperCase().replace(/&/g, ' AND ').replace(/[.,"']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// ==================== EDITING ====================
+function findEntry(registry, guid) {
+  const entry = registry.vendors.find(vendor => vendor.guid === guid);
+  if (!entry) {
+    throw new Error(`No vendor with GUID ${guid} (see \`node pipeline.js vendors list\`)`);
+  }
+  return entry;
+}
+
+/**
+ * Add a vendor under the next GUID. Returns the new entry.
+ * @param {Object} fields - { display_name, canonical_name, vendor_id, category, aliases, slug }
+ */
+function addVendor(registry, fields) {
+  const displayName = String(fields.display_name || '').trim();
+  if (!displayName) {
+    throw new Error('A new vendor needs a display name');
+  }
+  const existing = createVendorRegistry(registry).resolve(displayName, fields.vendor_id);
+  if (existing) {
+    throw new Error(`"${displayName}"${fields.vendor_id ? ` (vendor ID ${fields.vendor_id})` : ''} already resolves to ${existing.guid}; add an alias instead`);
+  }
+  const slug = fields.slug || guidSlug(displayName);
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new Error(`GUID slug "${slug}" may only use lowercase letters, digits and single hyphens`);
+  }
+
+  const entry = {
+    guid: nextGuid(registry, slug),
+    vendor_id: fields.vendor_id ? String(fields.vendor_id) : null,
+    canonical_name: fields.canonical_name || canonicalName(displayName),
+    display_name: displayName,
+    aliases: [...new Set([displayName, ...(fields.aliases || [])])],
+    category: fields.category || 'other'
+  };
+  registry.vendors.push(entry);
+  return entry;
+}
+
+/**
+ * Add names to an entry. Names that already resolve to it are skipped; a name
+ * belonging to another entry is an error (merge the entries instead).
+ * @returns {string[]} the aliases added
+ */
+function addAliases(registry, guid, names) {
+  const entry = findEntry(registry, guid);
+  const lookup = createVendorRegistry(registry);
+  const added = [];
+  const addedKeys = new Set();
+
+  names.map(name => String(name).trim()).filter(Boolean).forEach(name => {
+    const owner = lookup.resolve(name);
+    if (owner && owner.guid !== entry.guid) {
+      throw new Error(`"${name}" is already a name of ${owner.guid}; merge the entries instead`);
+    }
+    if (owner || addedKeys.has(vendorNameKey(name))) return;
+    entry.aliases.push(name);
+    added.push(name);
+    addedKeys.add(vendorNameKey(name));
+  });
+  return added;
+}
+
+/**
+ * Fold one entry into another: its names become aliases, its vendor IDs
+ * alternate IDs and its GUID a merged GUID of the surviving entry.
+ * Returns the surviving entry.
+ */
+function mergeVendors(registry, keepGuid, removeGuid) {
+  if (keepGuid === removeGuid) {
+    throw new Error('Cannot merge a vendor into itself');
+  }
+  const keep = findEntry(registry, keepGuid);
+  const removed = findEntry(registry, removeGuid);
+
+  const keepKeys = new Set([keep.canonical_name, keep.display_name, ...(keep.aliases || [])].map(vendorNameKey));
+  [removed.canonical_name, removed.display_name, ...(removed.aliases || [])].filter(Boolean).forEach(name => {
+    if (keepKeys.has(vendorNameKey(name))) return;
+    keep.aliases.push(name);
+    keepKeys.add(vendorNameKey(name));
+  });
+
+  [removed.vendor_id, ...(removed.alternate_vendor_ids || [])].filter(Boolean).forEach(id => {
+    if (!keep.vendor_id) {
+      keep.vendor_id = id;
+    } else if (id !== keep.vendor_id && !(keep.alternate_vendor_ids || []).includes(id)) {
+      keep.alternate_vendor_ids = [...(keep.alternate_vendor_ids || []), id];
+    }
+  });
+
+  keep.merged_guids = [...(keep.merged_guids || []), removed.guid, ...(removed.merged_guids || [])];
+  if (!keep.category && removed.category) keep.category = removed.category;
+  registry.vendors = registry.vendors.filter(vendor => vendor !== removed);
+  return keep;
+}
+
+// ==================== UNRESOLVED NAMES ====================
+/**
+ * Vendor records of one data file
+ * @param {Object} source - { label, file, kind: 'ocr-csv' | 'ledger-csv' | 'invoices-json' }
+ * @returns {Array} [{ vendor_name, vendor_id, where }]
+ */
+function readSourceRecords(source) {
+  const text = fs.readFileSync(source.file, 'utf8');
+
+  if (source.kind === 'ocr-csv') {
+    return parseCSV(text).data.flatMap(row => ['OCR', 'postProcessOCR']
+      .map(column => row[column] ? parseOCR(row[column]) : null)
+      .filter(Boolean)
+      .map(ocr => ({ vendor_name: ocr.vendor_name, vendor_id: ocr.vendor_id, where: `page ${ocr.meta_source_page || row.Number}` })));
+  }
+  if (source.kind === 'ledger-csv') {
+    return parseCSV(text).data.map(parseLedgerEntry).map(entry => ({
+      vendor_name: entry.vendor_name, vendor_id: entry.vendor_id, where: `document ${entry.document_number}`
+    }));
+  }
+  const data = JSON.parse(text);
+  return [...(data.invoices || []), ...(data.journals || [])].map(record => ({
+    vendor_name: record.vendor_name,
+    vendor_id: record.vendor_id,
+    where: record.meta_source_page ? `page ${record.meta_source_page}` : `document ${record.document_number}`
+  }));
+}
+
+/**
+ * Vendor names in the data that resolve to no registry entry, most frequent first
+ * @param {Array} sources - see readSourceRecords()
+ * @returns {Array} [{ vendor_name, vendor_id, count, sources, example }]
+ */
+function findUnresolvedNames(registry, sources) {
+  const lookup = createVendorRegistry(registry);
+  const unresolved = new Map();
+
+  sources.filter(source => fs.existsSync(source.file)).forEach(source => {
+    readSourceRecords(source).forEach(record => {
+      const name = String(record.vendor_name || '').replace(/"/g, '').trim();
+      if (!name || ['unknown', 'n/a', 'null'].includes(name.toLowerCase())) return;
+      if (lookup.resolve(name, record.vendor_id)) return;
+
+      const key = `${vendorNameKey(name)}|${record.vendor_id || ''}`;
+      if (!unresolved.has(key)) {
+        unresolved.set(key, { vendor_name: name, vendor_id: record.vendor_id || null, count: 0, sources: [], example: record.where, seen: new Set() });
+      }
+      const entry = unresolved.get(key);
+      const seen = `${source.label}|${record.where}`;
+      if (entry.seen.has(seen)) return;  // OCR and postProcessOCR of one page
+      entry.seen.add(seen);
+      entry.count++;
+      if (!entry.sources.includes(source.label)) entry.sources.push(source.label);
+    });
+  });
+
+  return [...unresolved.values()].map(({ seen, ...entry }) => entry).sort((a, b) => b.count - a.count || a.vendor_name.localeCompare(b.vendor_name));
+}
+
+/**
+ * Similarity of two vendor names in [0, 1]: the higher of token containment
+ * (shared tokens over the shorter name's tokens) and edit-distance similarity
+ * of their comparison keys
+ */
+function nameSimilarity(a, b) {
+  const tokensA = vendorTokens(a);
+  const tokensB = vendorTokens(b);
+  const shorter = Math.min(tokensA.size, tokensB.size);
+  const tokenScore = shorter > 0 ? [...tokensA].filter(token => tokensB.has(token)).length / shorter : 0;
+
+  const keyA = vendorNameKey(a);
+  const keyB = vendorNameKey(b);
+  const editScore = 1 - editDistance(keyA, keyB) / Math.max(keyA.length, keyB.length, 1);
+  return Math.max(tokenScore, editScore);
+}
+
+/**
+ * Registry entries an unresolved name most likely belongs to
+ * @returns {Array} [{ vendor, score, matched }] best first
+ */
+function suggestVendors(registry, name, limit = 3) {
+  return registry.vendors
+    .map(vendor => [vendor.canonical_name, vendor.display_name, ...(vendor.aliases || [])]
+      .filter(Boolean)
+      .reduce((best, candidate) => {
+        const score = nameSimilarity(name, candidate);
+        return score > best.score ? { vendor, score, matched: candidate } : best;
+      }, { vendor, score: 0, matched: null }))
+    .filter(suggestion => suggestion.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// ==================== ENRICHMENT ====================
+function addressStreetKey(address) {
+  return String(address).split(',')[0].toLowerCase()
+    .replace(/\b(ste|suite|unit|apt)\.?\s*#?\s*\w+/g, '')
+    .replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function poBoxKey(address) {
+  const match = String(address).match(PO_BOX_PATTERN);
+  return match ? `po box ${match[1]}` : null;
+}
+
+const CONTACT_FIELDS = {
+  address: { ocrField: 'vendor_address', key: addressStreetKey },
+  phone: { ocrField: 'vendor_phone', key: phone => String(phone).replace(/\D/g, '').replace(/^1(\d{10})$/, '$1') },
+  email: { ocrField: 'vendor_email', key: email => String(email).trim().toLowerCase() }
+};
+
+/**
+ * One OCR record per scanned page, the corrected extraction where there is one
+ */
+function readOcrPages(file) {
+  return parseCSV(fs.readFileSync(file, 'utf8')).data
+    .map(row => parseOCR(row.postProcessOCR || row.OCR))
+    .filter(Boolean);
+}
+
+/**
+ * Tally a value under its comparison key: { key -> { value, count, example_page, variants } }
+ */
+function tally(values, key, value, page) {
+  if (!values.has(key)) values.set(key, { value, count: 0, example_page: page || null, variants: new Map() });
+  const entry = values.get(key);
+  entry.count++;
+  entry.variants.set(value, (entry.variants.get(value) || 0) + 1);
+  // The most frequent spelling represents the key
+  entry.value = [...entry.variants].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * What the scanned invoices say about each registered vendor
+ * @returns {Map} guid -> { address, phone, email, remit_to: Map, contracts: Map }
+ */
+function collectObservations(registry, pages) {
+  const lookup = createVendorRegistry(registry);
+  const observations = new Map();
+
+  pages.forEach(ocr => {
+    const vendor = lookup.resolve(ocr.vendor_name, ocr.vendor_id);
+    if (!vendor) return;
+    if (!observations.has(vendor.guid)) {
+      observations.set(vendor.guid, { address: new Map(), phone: new Map(), email: new Map(), remit_to: new Map(), contracts: new Map() });
+    }
+    const seen = observations.get(vendor.guid);
+    const page = ocr.meta_source_page;
+
+    Object.entries(CONTACT_FIELDS).forEach(([field, { ocrField, key }]) => {
+      const value = String(ocr[ocrField] || '').trim();
+      if (!value) return;
+      if (field === 'address' && poBoxKey(value)) {
+        tally(seen.remit_to, poBoxKey(value), value, page);
+      } else if (field !== 'address' || STREET_PATTERN.test(value)) {
+        tally(seen[field], key(value), value, page);
+      }
+    });
+
+    const text = `${ocr.invoice_number || ''} ${ocr.service_description || ''}`;
+    const contract = text.match(CONTRACT_PATTERN);
+    const resolution = text.match(RESOLUTION_PATTERN);
+    if (contract || resolution) {
+      const number = contract ? contract[1] : null;
+      const key = number || resolution[0];
+      if (!seen.contracts.has(key)) {
+        seen.contracts.set(key, { number, resolution: resolution ? resolution[0] : null, description: `Referenced on page ${page}` });
+      }
+    }
+  });
+  return observations;
+}
+
+/**
+ * Fill registry entries from what the scanned invoices say about the vendor:
+ * empty contact fields take the most frequent value, new P.O. boxes are added
+ * to remit_to and new contract references to contracts. Curated values are
+ * never overwritten; when the invoices show more than one value for a contact
+ * field, or a value other than the registry's, the field is listed in the
+ * entry's conflicts (recomputed on every run).
+ * @param {Array} pages - OCR records, one per scanned page
+ * @returns {Array} [{ guid, filled, remit_to, contracts, conflicts }] for entries that changed
+ */
+function enrichVendors(registry, pages) {
+  const observations = collectObservations(registry, pages);
+  const report = [];
+
+  registry.vendors.forEach(vendor => {
+    const seen = observations.get(vendor.guid);
+    if (!seen) return;
+    const before = JSON.stringify(vendor);
+    const changes = { guid: vendor.guid, filled: [], remit_to: [], contracts: [], conflicts: [] };
+
+    const contact = { address: null, phone: null, email: null, ...(vendor.contact || {}) };
+    Object.entries(CONTACT_FIELDS).forEach(([field, { key }]) => {
+      const values = [...seen[field].values()].sort((a, b) => b.count - a.count);
+      if (values.length === 0) return;
+      if (!contact[field]) {
+        contact[field] = values[0].value;
+        changes.filled.push(field);
+      }
+      const registryKey = key(contact[field]);
+      const listed = values.map(({ value, count, example_page }) => ({
+        value, count, example_page, in_registry: key(value) === registryKey
+      }));
+      if (!listed.some(entry => entry.in_registry)) {
+        listed.unshift({ value: contact[field], count: 0, example_page: null, in_registry: true });
+      }
+      if (listed.length > 1) changes.conflicts.push({ field, values: listed });
+    });
+    if (contact.address || contact.phone || contact.email) vendor.contact = contact;
+
+    const remitKeys = new Set((vendor.remit_to || []).map(poBoxKey));
+    [...seen.remit_to.entries()].sort((a, b) => b[1].count - a[1].count).forEach(([boxKey, { value }]) => {
+      if (remitKeys.has(boxKey)) return;
+      vendor.remit_to = [...(vendor.remit_to || []), value];
+      changes.remit_to.push(value);
+    });
+
+    // Numbered contracts first, so a bare resolution they cite is not added twice
+    [...seen.contracts.values()].sort((a, b) => !a.number - !b.number).forEach(found => {
+      const known = (vendor.contracts || []).some(contract => found.number
+        ? contract.number === found.number
+        : contract.resolution === found.resolution);
+      if (known) return;
+      vendor.contracts = [...(vendor.contracts || []), found];
+      changes.contracts.push(found.number || found.resolution);
+    });
+
+    if (changes.conflicts.length > 0) {
+      vendor.conflicts = changes.conflicts;
+    } else {
+      delete vendor.conflicts;
+    }
+    if (JSON.stringify(vendor) !== before) report.push(changes);
+  });
+  return report;
+}
+
+// ==================== CLI ====================
+function quote(value) {
+  return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+function printVendorList(registry) {
+  console.log(`${registry.vendors.length} vendors in vendors.json:\n`);
+  registry.vendors.forEach(vendor => {
+    const ids = [vendor.vendor_id, ...(vendor.alternate_vendor_ids || [])].filter(Boolean).join(', ') || '-';
+    const aliases = (vendor.aliases || []).length;
+    console.log(`${vendor.guid.padEnd(30)} ${ids.padEnd(20)} ${vendor.display_name} (${vendor.category || 'no category'}, ${aliases} alias${aliases === 1 ? '' : 'es'})`);
+  });
+}
+
+function printUnresolved(registry, sources, limit) {
+  const unresolved = findUnresolvedNames(registry, sources);
+  if (unresolved.length === 0) {
+    console.log('Every vendor name in the data resolves to a registry entry.');
+    return;
+  }
+
+  console.log(`${unresolved.length} vendor name${unresolved.length === 1 ? ' resolves' : 's resolve'} to no registry entry:\n`);
+  unresolved.forEach(entry => {
+    const id = entry.vendor_id ? ` (vendor ID ${entry.vendor_id})` : '';
+    console.log(`${quote(entry.vendor_name)}${id}: ${entry.count} record${entry.count === 1 ? '' : 's'} in ${entry.sources.join(', ')}, e.g. ${entry.example}`);
+
+    const suggestions = suggestVendors(registry, entry.vendor_name, limit);
+    suggestions.forEach(({ vendor, score, matched }) => {
+      console.log(`    ${score.toFixed(2)}  ${vendor.guid.padEnd(30)} ${vendor.display_name} (closest name ${quote(matched)})`);
+    });
+    if (suggestions.length > 0) {
+      console.log(`    → node pipeline.js vendors alias ${suggestions[0].vendor.guid} ${quote(entry.vendor_name)}`);
+    } else {
+      console.log('    no likely entry');
+    }
+    console.log(`    → node pipeline.js vendors add ${quote(entry.vendor_name)}${entry.vendor_id ? ` --id ${entry.vendor_id}` : ''}`);
+    console.log('');
+  });
+}
+
+function printEnrichment(report) {
+  if (report.length === 0) {
+    console.log('The registry already holds everything the scanned invoices say.');
+    return;
+  }
+  report.forEach(({ guid, filled, remit_to, contracts, conflicts }) => {
+    console.log(guid);
+    if (filled.length > 0) console.log(`    filled ${filled.join(', ')}`);
+    remit_to.forEach(address => console.log(`    remit-to ${quote(address)}`));
+    contracts.forEach(contract => console.log(`    contract ${contract}`));
+    conflicts.forEach(({ field, values }) => {
+      console.log(`    CONFLICT ${field}: ${values.map(v => `${quote(v.value)} ×${v.count}${v.in_registry ? ' (registry)' : ''}`).join(', ')}`);
+    });
+  });
+}
+
+/**
+ * Run SUGGESTION_CASES; a case passes when its expected entry is the top
+ * suggestion, or when nothing is suggested for a null expectation
+ * @returns {boolean} true when every case passes
+ */
+function testSuggestions() {
+  let failures = 0;
+  SUGGESTION_CASES.forEach(({ name, expected }) => {
+    const [top] = suggestVendors(SUGGESTION_TEST_REGISTRY, name, 1);
+    const got = top ? top.vendor.guid : null;
+    const passed = got === expected;
+    if (!passed) failures++;
+    const score = top ? ` (${top.score.toFixed(2)} for ${quote(top.matched)})` : '';
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${quote(name)}: expected ${expected || 'no suggestion'}, got ${got || 'no suggestion'}${score}`);
+  });
+  console.log(`\n${SUGGESTION_CASES.length - failures}/${SUGGESTION_CASES.length} suggestion cases pass`);
+  return failures === 0;
+}
+
+function parseVendorsArgs(argv) {
+  const args = { command: argv[0] || 'list', positional: [], aliases: [], dryRun: false, limit: 3 };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--id') args.vendorId = argv[++i];
+    else if (arg === '--canonical') args.canonical = argv[++i];
+    else if (arg === '--category') args.category = argv[++i];
+    else if (arg === '--slug') args.slug = argv[++i];
+    else if (arg === '--alias') args.aliases.push(argv[++i]);
+    else if (arg === '--limit') args.limit = Number(argv[++i]);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option for vendors: ${arg}`);
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+/**
+ * Run `vendors <command>`
+ * @param {string[]} argv - arguments after "vendors"
+ * @param {Array} sources - data files scanned by `unresolved` and `enrich` (see readSourceRecords)
+ * @returns {boolean|undefined} false when `test` finds a failing case
+ */
+function runVendorsCommand(argv, sources) {
+  const args = parseVendorsArgs(argv);
+  if (args.command === 'test') return testSuggestions();
+  const registry = loadRegistryFile();
+
+  if (args.command === 'list') {
+    printVendorList(registry);
+    return;
+  }
+  if (args.command === 'unresolved') {
+    printUnresolved(registry, sources, args.limit);
+    return;
+  }
+
+  if (args.command === 'enrich') {
+    // The latest run's corrected data.csv when there is one, else the raw scan
+    const ocrSource = sources.filter(source => source.kind === 'ocr-csv' && fs.existsSync(source.file)).pop();
+    if (!ocrSource) throw new Error('No data.csv to read vendor details from');
+    console.log(`Reading vendor details from ${ocrSource.label}\n`);
+    const report = enrichVendors(registry, readOcrPages(ocrSource.file));
+    printEnrichment(report);
+    if (report.length === 0) return;
+    if (args.dryRun) {
+      checkRegistry(registry);
+      console.log('\nDry run: vendors.json was not written.');
+      return;
+    }
+    saveRegistryFile(registry);
+    console.log(`\nSaved vendors.json (${report.length} entr${report.length === 1 ? 'y' : 'ies'} changed).`);
+    return;
+  }
+
+  let changed;
+  if (args.command === 'add' && args.positional.length === 1) {
+    changed = addVendor(registry, {
+      display_name: args.positional[0],
+      canonical_name: args.canonical,
+      vendor_id: args.vendorId,
+      category: args.category,
+      aliases: args.aliases,
+      slug: args.slug
+    });
+    console.log(`Added ${changed.guid}`);
+  } else if (args.command === 'alias' && args.positional.length >= 2) {
+    const added = addAliases(registry, args.positional[0], args.positional.slice(1));
+    if (added.length === 0) {
+      console.log(`Nothing to add: every name already resolves to ${args.positional[0]}`);
+      return;
+    }
+    changed = findEntry(registry, args.positional[0]);
+    console.log(`Added ${added.map(quote).join(', ')} to ${changed.guid}`);
+  } else if (args.command === 'merge' && args.positional.length === 2) {
+    changed = mergeVendors(registry, args.positional[0], args.positional[1]);
+    console.log(`Merged ${args.positional[1]} into ${changed.guid}`);
+  } else {
+    throw new Error(`Unknown or incomplete vendors command: ${argv.join(' ') || '(none)'}`);
+  }
+
+  console.log(JSON.stringify(orderEntry(changed), null, 2));
+  if (args.dryRun) {
+    checkRegistry(registry);
+    console.log('\nDry run: vendors.json was not written.');
+    return;
+  }
+  saveRegistryFile(registry);
+  console.log('\nSaved vendors.json. Run `node pipeline.js` to apply it.');
+}
+
+module.exports = {
+  loadRegistryFile,
+  saveRegistryFile,
+  guidSlug,
+  nextGuid,
+  addVendor,
+  addAliases,
+  mergeVendors,
+  findUnresolvedNames,
+  enrichVendors,
+  nameSimilarity,
+  suggestVendors,
+  runVendorsCommand
+};